@@ -5,6 +5,9 @@ const config = require('./config');
 const logger = require('./services/logger');
 const databaseService = require('./services/database');
 const fileUploadService = require('./services/fileUpload');
+const storageTieringService = require('./services/storageTiering');
+const encryptionService = require('./services/encryption');
+const authService = require('./services/auth');
 const { HealthController } = require('./controllers');
 const { 
   errorHandler, 
@@ -29,7 +32,11 @@ class Application {
     this.setupErrorHandlers();
     this.setupMiddleware();
     this.setupRoutes();
-    this.setupCleanupTasks();
+
+    // Tests run the cleanup tasks themselves, and timers would keep them from exiting
+    if (!config.server.isTest) {
+      this.setupCleanupTasks();
+    }
   }
 
   setupErrorHandlers() {
@@ -96,11 +103,19 @@ class Application {
     
     // API routes
     this.app.use('/api', require('./routes/api'));
+
+    // Signed download links, opened without an account
+    this.app.use('/d', require('./routes/links'));
     
     // Serve the main HTML file
     this.app.get('/', (req, res) => {
       res.sendFile(path.join(__dirname, 'index.html'));
     });
+
+    // Public drop box page for upload token holders
+    this.app.get('/drop', (req, res) => {
+      res.sendFile(path.join(__dirname, 'dropbox.html'));
+    });
     
     // 404 handler
     this.app.use(notFoundHandler);
@@ -120,6 +135,15 @@ class Application {
       }
     }, config.monitoring.cleanupInterval);
 
+    // Purge trashed files whose grace period is over, on the same schedule
+    setInterval(async () => {
+      try {
+        await fileUploadService.emptyTrash();
+      } catch (error) {
+        logger.error('Error in trash cleanup', error);
+      }
+    }, config.monitoring.cleanupInterval);
+
     // Cleanup stale uploads every 2 hours
     setInterval(async () => {
       try {
@@ -137,12 +161,31 @@ class Application {
         logger.error('Error in orphaned chunks cleanup', error);
       }
     }, 6 * 60 * 60 * 1000);
+
+    // Move files between hot and cold storage when a cold driver is configured
+    if (storageTieringService.isEnabled()) {
+      setInterval(async () => {
+        try {
+          await storageTieringService.runMigration();
+        } catch (error) {
+          logger.error('Error in storage tier migration', error);
+        }
+      }, config.storage.tiering.interval);
+    }
   }
 
   async initialize() {
     try {
       // Validate configuration
       config.validate();
+
+      // Fail fast on unreadable or malformed encryption master keys
+      if (encryptionService.isEnabled()) {
+        encryptionService.getKeyring();
+      }
+
+      // Likewise for the JWKS file RS256 tokens are verified with
+      authService.getPublicKeys();
       
       // Initialize upload directory
       await this.initializeUploadDirectory();
@@ -252,14 +295,14 @@ class Application {
 // Export Express app for Vercel
 const application = new Application();
 
-// Initialize for Vercel deployment
-if (process.env.VERCEL || process.env.NODE_ENV === 'production') {
+// Initialize for Vercel deployment (tests connect to a database of their own)
+if (!config.server.isTest && (process.env.VERCEL || process.env.NODE_ENV === 'production')) {
   // For Vercel, initialize without starting the server
   application.initialize().catch((error) => {
     console.error('Failed to initialize application for Vercel:', error);
   });
-} else {
-  // Only start the server locally (not on Vercel)
+} else if (require.main === module) {
+  // Only start the server when run directly (not on Vercel or in tests)
   application.start().catch((error) => {
     console.error('Failed to start application:', error);
     process.exit(1);
@@ -1,5 +1,6 @@
 const dotenv = require('dotenv');
 const path = require('path');
+const net = require('net');
 
 // Load environment variables
 dotenv.config();
@@ -45,7 +46,11 @@ class Config {
       uploadDir: process.env.UPLOAD_DIR || defaultUploadDir,
       chunkSizeLimit: parseInt(process.env.CHUNK_SIZE_LIMIT) || 50 * 1024 * 1024, // 50MB
       totalSizeLimit: parseInt(process.env.TOTAL_SIZE_LIMIT) || 5 * 1024 * 1024 * 1024, // 5GB
+      // Incomplete upload sessions expire; completed files follow retentionDays (0 = forever)
       fileExpiryHours: parseInt(process.env.FILE_EXPIRY_HOURS) || 24,
+      retentionDays: parseInt(process.env.FILE_RETENTION_DAYS) || 0,
+      // Deleted files stay restorable in the trash this long; 0 deletes permanently right away
+      trashGraceDays: process.env.TRASH_GRACE_DAYS !== undefined ? parseInt(process.env.TRASH_GRACE_DAYS) || 0 : 7,
       maxRetries: parseInt(process.env.MAX_RETRIES) || 5,
       retryDelay: parseInt(process.env.RETRY_DELAY) || 5000,
       allowedMimeTypes: process.env.ALLOWED_MIME_TYPES 
@@ -54,6 +59,91 @@ class Config {
     };
   }
 
+  // Storage Configuration - where completed files are kept (the s3 driver reads `aws`)
+  get storage() {
+    return {
+      driver: process.env.STORAGE_DRIVER || 'gridfs',
+      gridfs: {
+        bucketName: process.env.GRIDFS_BUCKET || 'uploads',
+        chunkSizeBytes: 255 * 1024
+      },
+      local: {
+        root: process.env.STORAGE_LOCAL_ROOT || './storage'
+      },
+      // Hot/cold tiering: `driver` is the hot tier, coldDriver unset disables migration
+      tiering: {
+        coldDriver: process.env.STORAGE_COLD_DRIVER || null,
+        interval: parseInt(process.env.STORAGE_TIERING_INTERVAL) || 24 * 60 * 60 * 1000, // daily
+        batchSize: parseInt(process.env.STORAGE_TIERING_BATCH_SIZE) || 100,
+        // First matching policy wins: { mimeType, minSize, maxSize, coldAfterDays, keepHotDownloads, promoteOnDownload }
+        policies: this.parseJsonEnv('STORAGE_TIER_POLICIES', [{ coldAfterDays: 90 }])
+      }
+    };
+  }
+
+  // Retention rules - minimum time files must be kept, matched at upload.
+  // Every matching rule applies and the longest wins: { uploadedBy, mimeType, tag, retainDays }
+  get retention() {
+    return {
+      rules: this.parseJsonEnv('RETENTION_RULES', [])
+    };
+  }
+
+  // Upload batches - completion callbacks are retried with a growing delay
+  get batches() {
+    return {
+      callbackTimeout: parseInt(process.env.BATCH_CALLBACK_TIMEOUT) || 10000,
+      callbackRetries: parseInt(process.env.BATCH_CALLBACK_RETRIES) || 3,
+      callbackRetryDelay: parseInt(process.env.BATCH_CALLBACK_RETRY_DELAY) || 5000,
+      // Hosts callbacks may reach even on internal addresses
+      callbackAllowedHosts: (process.env.BATCH_CALLBACK_ALLOWED_HOSTS || '')
+        .split(',').map((host) => host.trim().toLowerCase()).filter(Boolean)
+    };
+  }
+
+  // Signed download links - tokens are HMAC-signed, by default with JWT_SECRET
+  get downloadLinks() {
+    return {
+      secret: process.env.DOWNLOAD_LINK_SECRET || this.security.jwtSecret,
+      defaultExpiry: parseInt(process.env.DOWNLOAD_LINK_DEFAULT_EXPIRY) || 7 * 24 * 60 * 60, // seconds
+      maxExpiry: parseInt(process.env.DOWNLOAD_LINK_MAX_EXPIRY) || 90 * 24 * 60 * 60, // seconds
+      // How long after a download started its next ranges may continue it
+      resumeWindow: parseInt(process.env.DOWNLOAD_LINK_RESUME_WINDOW) || 24 * 60 * 60 // seconds
+    };
+  }
+
+  // Upload tokens for uploaders without an account - HMAC-signed like download links
+  get uploadTokens() {
+    return {
+      secret: process.env.UPLOAD_TOKEN_SECRET || this.security.jwtSecret,
+      defaultExpiry: parseInt(process.env.UPLOAD_TOKEN_DEFAULT_EXPIRY) || 7 * 24 * 60 * 60, // seconds
+      maxExpiry: parseInt(process.env.UPLOAD_TOKEN_MAX_EXPIRY) || 30 * 24 * 60 * 60 // seconds
+    };
+  }
+
+  // Access keys for SigV4-signed requests to the S3 API - each key's secret is
+  // an HMAC of its ID, by default with JWT_SECRET. Requests signed with a key
+  // act as its user without roles or groups: a key only reaches that user's
+  // own files and what was shared with them by name, since the groups and
+  // roles the user had at creation may have been taken away since.
+  get accessKeys() {
+    return {
+      secret: process.env.S3_ACCESS_KEY_SECRET || this.security.jwtSecret,
+      maxClockSkew: parseInt(process.env.S3_MAX_CLOCK_SKEW) || 15 * 60 // seconds
+    };
+  }
+
+  // Encryption at rest - enabled when a master key or key file is configured
+  get encryption() {
+    return {
+      masterKey: process.env.ENCRYPTION_MASTER_KEY,
+      masterKeyId: process.env.ENCRYPTION_MASTER_KEY_ID || 'default',
+      // JSON file: { "activeKeyId": "...", "keys": { "<id>": "<base64 or hex key>" } }
+      keyFile: process.env.ENCRYPTION_KEY_FILE,
+      enabled: !!(process.env.ENCRYPTION_MASTER_KEY || process.env.ENCRYPTION_KEY_FILE)
+    };
+  }
+
   // Security Configuration
   get security() {
     const origins = process.env.ALLOWED_ORIGINS || '*';
@@ -62,10 +152,28 @@ class Config {
     return {
       allowedOrigins: origins,
       jwtSecret: process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production',
+      // JSON Web Key Set with the RSA public keys RS256 tokens are checked against
+      jwtJwksFile: process.env.JWT_JWKS_FILE,
+      jwtIssuer: process.env.JWT_ISSUER,
+      jwtAudience: process.env.JWT_AUDIENCE,
+      jwtClockTolerance: parseInt(process.env.JWT_CLOCK_TOLERANCE) || 30,
+      // Users with this role (JWT `roles` claim) can access every file
+      adminRole: process.env.AUTH_ADMIN_ROLE || 'admin',
+      // Users with this role (or the admin role) place and release legal holds
+      complianceRole: process.env.AUTH_COMPLIANCE_ROLE || 'compliance',
+      // Identity set by an authenticating reverse proxy, for requests without a token
+      trustedUserHeader: process.env.AUTH_USER_HEADER,
+      trustedRolesHeader: process.env.AUTH_ROLES_HEADER,
+      trustedGroupsHeader: process.env.AUTH_GROUPS_HEADER,
+      // Those headers are only honoured on connections from these addresses
+      // (IPs or CIDR ranges), or on requests carrying this shared secret
+      trustedProxyIps: (process.env.TRUSTED_PROXY_IPS || '')
+        .split(',').map((entry) => entry.trim()).filter(Boolean),
+      trustedProxySecret: process.env.AUTH_PROXY_SECRET,
       sessionSecret: process.env.SESSION_SECRET || 'your-super-secret-session-key-change-this-in-production',
       corsOptions: {
         origin: corsOrigin,
-        methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+        methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
         allowedHeaders: [
           'Content-Type', 
           'Authorization', 
@@ -73,7 +181,16 @@ class Config {
           'x-total-chunks', 
           'x-file-id', 
           'x-file-name', 
-          'x-file-size'
+          'x-file-size',
+          'x-chunk-checksum',
+          'Tus-Resumable',
+          'Upload-Length',
+          'Upload-Offset',
+          'Upload-Metadata',
+          'Upload-Checksum',
+          'X-HTTP-Method-Override',
+          'X-Link-Password',
+          'X-Upload-Token'
         ],
         maxAge: 86400
       }
@@ -119,6 +236,15 @@ class Config {
       secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
       region: process.env.AWS_REGION || 'us-east-1',
       s3Bucket: process.env.AWS_S3_BUCKET,
+      // Custom endpoint for S3-compatible stores such as MinIO
+      endpoint: process.env.AWS_S3_ENDPOINT,
+      forcePathStyle: process.env.AWS_S3_FORCE_PATH_STYLE
+        ? process.env.AWS_S3_FORCE_PATH_STYLE === 'true'
+        : !!process.env.AWS_S3_ENDPOINT,
+      keyPrefix: process.env.AWS_S3_KEY_PREFIX || '',
+      partSize: parseInt(process.env.AWS_S3_PART_SIZE) || 16 * 1024 * 1024, // 16MB
+      presignedDownloads: process.env.AWS_S3_PRESIGNED_DOWNLOADS === 'true',
+      presignedUrlExpiry: parseInt(process.env.AWS_S3_PRESIGNED_URL_EXPIRY) || 900, // seconds
       enabled: !!(process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY)
     };
   }
@@ -155,12 +281,29 @@ class Config {
     }
   }
 
+  // Parse a JSON environment variable; null when it is set but malformed
+  parseJsonEnv(varName, defaultValue) {
+    if (!process.env[varName]) return defaultValue;
+    try {
+      return JSON.parse(process.env[varName]);
+    } catch {
+      return null;
+    }
+  }
+
   // Get all configuration as object
   getAll() {
     return {
       server: this.server,
       database: this.database,
       upload: this.upload,
+      storage: this.storage,
+      retention: this.retention,
+      batches: this.batches,
+      downloadLinks: this.downloadLinks,
+      uploadTokens: this.uploadTokens,
+      accessKeys: this.accessKeys,
+      encryption: this.encryption,
       security: this.security,
       rateLimit: this.rateLimit,
       logging: this.logging,
@@ -188,6 +331,44 @@ class Config {
       errors.push('CHUNK_SIZE_LIMIT cannot be greater than TOTAL_SIZE_LIMIT');
     }
 
+    // Validate storage
+    if (!['gridfs', 'local', 's3'].includes(this.storage.driver)) {
+      errors.push(`STORAGE_DRIVER must be one of: gridfs, local, s3 (got '${this.storage.driver}')`);
+    }
+
+    if (this.storage.driver === 's3' && !this.aws.s3Bucket) {
+      errors.push('AWS_S3_BUCKET is required when STORAGE_DRIVER is s3');
+    }
+
+    const { tiering } = this.storage;
+    if (tiering.coldDriver) {
+      if (!['gridfs', 'local', 's3'].includes(tiering.coldDriver)) {
+        errors.push(`STORAGE_COLD_DRIVER must be one of: gridfs, local, s3 (got '${tiering.coldDriver}')`);
+      }
+      if (tiering.coldDriver === this.storage.driver) {
+        errors.push('STORAGE_COLD_DRIVER must differ from STORAGE_DRIVER');
+      }
+      if (tiering.coldDriver === 's3' && !this.aws.s3Bucket) {
+        errors.push('AWS_S3_BUCKET is required when STORAGE_COLD_DRIVER is s3');
+      }
+    }
+
+    if (!Array.isArray(tiering.policies)) {
+      errors.push('STORAGE_TIER_POLICIES must be a JSON array of policies');
+    }
+
+    const { rules } = this.retention;
+    if (!Array.isArray(rules)) {
+      errors.push('RETENTION_RULES must be a JSON array of rules');
+    } else if (rules.some(rule => !(rule.retainDays > 0))) {
+      errors.push('Every retention rule needs a positive retainDays');
+    }
+
+    // S3 rejects multipart parts smaller than 5MB
+    if (this.aws.partSize < 5 * 1024 * 1024) {
+      errors.push('AWS_S3_PART_SIZE must be at least 5242880 (5MB)');
+    }
+
     // Validate security
     if (this.server.isProduction && this.security.jwtSecret === 'your-super-secret-jwt-key-change-this-in-production') {
       errors.push('JWT_SECRET must be changed in production');
@@ -197,6 +378,15 @@ class Config {
       errors.push('SESSION_SECRET must be changed in production');
     }
 
+    const { trustedUserHeader, trustedProxyIps, trustedProxySecret } = this.security;
+    if (trustedUserHeader && !trustedProxyIps.length && !trustedProxySecret) {
+      errors.push('AUTH_USER_HEADER needs TRUSTED_PROXY_IPS or AUTH_PROXY_SECRET');
+    }
+
+    if (trustedProxyIps.some((entry) => !net.isIP(entry.split('/')[0]))) {
+      errors.push('TRUSTED_PROXY_IPS must be a comma-separated list of IP addresses or CIDR ranges');
+    }
+
     // Validate database connection string
     if (!this.database.uri.startsWith('mongodb://') && !this.database.uri.startsWith('mongodb+srv://')) {
       errors.push('MONGO_URI must be a valid MongoDB connection string');
@@ -1,26 +1,72 @@
 const fileUploadService = require('../services/fileUpload');
+const retentionService = require('../services/retention');
+const fileVersionService = require('../services/fileVersions');
+const folderService = require('../services/folders');
+const uploadBatchService = require('../services/uploadBatches');
+const sharingService = require('../services/sharing');
+const downloadLinkService = require('../services/downloadLinks');
+const uploadTokenService = require('../services/uploadTokens');
+const accessKeyService = require('../services/accessKeys');
+const storage = require('../services/storage');
+const tusUploadService = require('../services/tusUpload');
+const s3MultipartService = require('../services/s3Multipart');
 const logger = require('../services/logger');
 const { 
+  AppError,
   ValidationError, 
   NotFoundError, 
   UploadError,
   asyncHandler 
 } = require('../utils/errors');
+const { parseRange } = require('../utils/range');
 
 class UploadController {
   // Initialize upload session
   initializeUpload = asyncHandler(async (req, res) => {
     try {
-      const { fileName, fileSize, mimeType, totalChunks } = req.body;
-      const uploadedBy = req.body.uploadedBy || 'anonymous';
+      const {
+        fileName, fileSize, mimeType, totalChunks, sha256, retentionDays, deleteAfter, tags, parentFileId,
+        folderId, relativePath, batchId, batchSize
+      } = req.body;
+      const uploadedBy = req.user.id;
       const uploadedFrom = {
         ip: req.ip,
         userAgent: req.get('User-Agent'),
         referer: req.get('Referer')
       };
 
-      const result = await fileUploadService.initializeUpload(
-        { fileName, fileSize, mimeType, totalChunks },
+      // Upload token holders upload into the token's folder, within its limits
+      if (req.user.uploadToken) {
+        const result = await uploadTokenService.initializeUpload(
+          req.user.uploadToken,
+          {
+            fileName, fileSize, mimeType, totalChunks, expectedChecksum: sha256, parentFileId, relativePath, batchId
+          },
+          uploadedFrom
+        );
+
+        return res.status(201).json({
+          success: true,
+          data: result
+        });
+      }
+
+      // Adding a version needs write access to the file
+      if (parentFileId) {
+        await fileUploadService.authorize(parentFileId, req.user, 'write');
+      }
+
+      // Files from a dropped directory go into folders recreating their relative path
+      const targetFolderId = relativePath
+        ? await folderService.ensurePath(folderId, relativePath, uploadedBy)
+        : folderId;
+
+      // Goes through the batch service so batch members are counted against their batch
+      const result = await uploadBatchService.initializeUpload(
+        {
+          fileName, fileSize, mimeType, totalChunks, expectedChecksum: sha256, retentionDays, deleteAfter, tags, parentFileId,
+          folderId: targetFolderId, relativePath, batchId, batchSize
+        },
         uploadedBy,
         uploadedFrom
       );
@@ -50,15 +96,13 @@ class UploadController {
         throw new ValidationError('No chunk data received');
       }
 
-      // Read the uploaded chunk file
-      const fs = require('fs').promises;
-      const chunkData = await fs.readFile(req.file.path);
-
+      // The chunk body was streamed to a staging file by the multer storage engine
       const result = await fileUploadService.uploadChunk(
         fileId,
         chunkIndex,
-        chunkData,
-        totalChunks
+        req.file,
+        totalChunks,
+        req.headers['x-chunk-checksum']
       );
 
       res.json({
@@ -81,7 +125,7 @@ class UploadController {
     try {
       const { fileId } = req.body;
 
-      const result = await fileUploadService.completeUpload(fileId);
+      const result = await uploadBatchService.completeUpload(fileId);
 
       res.json({
         success: true,
@@ -102,7 +146,7 @@ class UploadController {
     try {
       const { fileId } = req.params;
 
-      const result = await fileUploadService.getUploadStatus(fileId);
+      const result = await fileUploadService.getUploadStatus(fileId, req.user);
 
       res.json({
         success: true,
@@ -118,12 +162,54 @@ class UploadController {
     }
   });
 
+  // Create an upload batch that members join by passing its batchId to init
+  createBatch = asyncHandler(async (req, res) => {
+    try {
+      const { expectedFiles, name, rollbackOnFailure, callbackUrl } = req.body;
+
+      const result = await uploadBatchService.createBatch({
+        expectedFiles, name, rollbackOnFailure, callbackUrl, createdBy: req.user.id
+      });
+
+      res.status(201).json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logUploadError('create batch', error, {
+        ip: req.ip,
+        body: req.body
+      });
+      throw error;
+    }
+  });
+
+  // Aggregate status of an upload batch
+  getBatchStatus = asyncHandler(async (req, res) => {
+    try {
+      const result = await uploadBatchService.getBatchStatus(req.params.batchId, req.user);
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logUploadError('get batch status', error, {
+        batchId: req.params.batchId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
   // Cancel upload
   cancelUpload = asyncHandler(async (req, res) => {
     try {
       const { fileId } = req.body;
 
-      const result = await fileUploadService.cancelUpload(fileId);
+      const result = await uploadBatchService.cancelUpload(fileId, req.user);
 
       res.json({
         success: true,
@@ -138,6 +224,367 @@ class UploadController {
       throw error;
     }
   });
+
+  // Limits of the caller's upload token, for the drop box page
+  getUploadToken = asyncHandler(async (req, res) => {
+    try {
+      if (!req.user.uploadToken) {
+        throw new NotFoundError('Upload token');
+      }
+
+      res.json({
+        success: true,
+        data: uploadTokenService.toTokenInfo(req.user.uploadToken)
+      });
+
+    } catch (error) {
+      logger.logUploadError('get upload token', error, {
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Upload tokens the caller issued
+  listUploadTokens = asyncHandler(async (req, res) => {
+    try {
+      const result = await uploadTokenService.listTokens(req.user);
+      result.tokens = result.tokens.map((uploadToken) => this.withDropUrl(req, uploadToken));
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logUploadError('list upload tokens', error, {
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Issue an upload token for someone without an account
+  createUploadToken = asyncHandler(async (req, res) => {
+    try {
+      const { name, expiresIn, maxUses, maxFileSize, allowedMimeTypes, folderId } = req.body;
+
+      const uploadToken = await uploadTokenService.createToken({
+        name, expiresIn, maxUses, maxFileSize, allowedMimeTypes, folderId, createdBy: req.user.id
+      });
+
+      res.status(201).json({
+        success: true,
+        data: this.withDropUrl(req, uploadToken)
+      });
+
+    } catch (error) {
+      logger.logUploadError('create upload token', error, {
+        ip: req.ip,
+        body: req.body
+      });
+      throw error;
+    }
+  });
+
+  // Revoke an upload token; uploads already started with it stop too
+  revokeUploadToken = asyncHandler(async (req, res) => {
+    try {
+      const uploadToken = await uploadTokenService.revokeToken(req.params.tokenId, req.user);
+
+      res.json({
+        success: true,
+        data: this.withDropUrl(req, uploadToken)
+      });
+
+    } catch (error) {
+      logger.logUploadError('revoke upload token', error, {
+        tokenId: req.params.tokenId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // S3 access keys the caller created
+  listAccessKeys = asyncHandler(async (req, res) => {
+    try {
+      const result = await accessKeyService.listKeys(req.user);
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logUploadError('list access keys', error, {
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Create an access key for the S3 API; the secret is only returned here
+  createAccessKey = asyncHandler(async (req, res) => {
+    try {
+      const accessKey = await accessKeyService.createKey(req.user, { name: req.body.name });
+
+      res.status(201).json({
+        success: true,
+        data: accessKey
+      });
+
+    } catch (error) {
+      logger.logUploadError('create access key', error, {
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Revoke an access key; requests signed with it are refused from then on
+  revokeAccessKey = asyncHandler(async (req, res) => {
+    try {
+      const accessKey = await accessKeyService.revokeKey(req.params.accessKeyId, req.user);
+
+      res.json({
+        success: true,
+        data: accessKey
+      });
+
+    } catch (error) {
+      logger.logUploadError('revoke access key', error, {
+        accessKeyId: req.params.accessKeyId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Drop box page URL with the token in its fragment, which browsers do not
+  // send to the server or in Referer headers
+  withDropUrl(req, uploadToken) {
+    return { ...uploadToken, url: `${req.protocol}://${req.get('host')}/drop#token=${uploadToken.token}` };
+  }
+}
+
+class TusController {
+  // Server capability discovery (OPTIONS)
+  getServerInfo = (req, res) => {
+    const info = tusUploadService.getServerInfo();
+
+    res.set({
+      'Tus-Version': info.version,
+      'Tus-Extension': info.extensions.join(','),
+      'Tus-Max-Size': info.maxSize,
+      'Tus-Checksum-Algorithm': info.checksumAlgorithms.join(',')
+    });
+    res.status(204).end();
+  };
+
+  // Create upload (POST)
+  createUpload = asyncHandler(async (req, res) => {
+    try {
+      const uploadedFrom = {
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        referer: req.get('Referer')
+      };
+
+      const result = await tusUploadService.createUpload(
+        {
+          uploadLength: req.get('Upload-Length'),
+          uploadMetadata: req.get('Upload-Metadata')
+        },
+        req.user.id,
+        uploadedFrom
+      );
+
+      res.status(201).set({
+        Location: `${req.protocol}://${req.get('host')}${req.baseUrl}/tus/${result.fileId}`,
+        'Upload-Expires': new Date(result.expiresAt).toUTCString()
+      }).end();
+
+    } catch (error) {
+      logger.logUploadError('tus create upload', error, {
+        uploadLength: req.get('Upload-Length'),
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Offset discovery (HEAD)
+  getUploadOffset = asyncHandler(async (req, res) => {
+    try {
+      const info = await tusUploadService.getUploadInfo(req.params.fileId);
+
+      res.set({
+        'Upload-Offset': info.offset,
+        'Upload-Length': info.length,
+        'Cache-Control': 'no-store'
+      });
+      if (info.metadata) res.set('Upload-Metadata', info.metadata);
+      if (info.expiresAt) res.set('Upload-Expires', new Date(info.expiresAt).toUTCString());
+
+      res.status(200).end();
+
+    } catch (error) {
+      logger.logUploadError('tus get offset', error, {
+        fileId: req.params.fileId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Append data (PATCH); large bodies need more than the default handler timeout
+  appendData = asyncHandler(async (req, res) => {
+    try {
+      const result = await tusUploadService.appendData(
+        req.params.fileId,
+        {
+          offset: req.uploadOffset,
+          checksum: req.get('Upload-Checksum')
+        },
+        req
+      );
+
+      res.set('Upload-Offset', result.offset);
+      if (result.expiresAt) res.set('Upload-Expires', new Date(result.expiresAt).toUTCString());
+
+      res.status(204).end();
+
+    } catch (error) {
+      logger.logUploadError('tus append data', error, {
+        fileId: req.params.fileId,
+        offset: req.uploadOffset,
+        ip: req.ip
+      });
+      throw error;
+    }
+  }, 10 * 60 * 1000);
+
+  // Termination (DELETE)
+  terminateUpload = asyncHandler(async (req, res) => {
+    try {
+      await tusUploadService.terminateUpload(req.params.fileId);
+
+      res.status(204).end();
+
+    } catch (error) {
+      logger.logUploadError('tus terminate upload', error, {
+        fileId: req.params.fileId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+}
+
+class S3Controller {
+  // POST /:bucket/:key?uploads or ?uploadId=
+  handlePost = (req, res, next) => {
+    if ('uploads' in req.query) return this.createMultipartUpload(req, res, next);
+    if (req.query.uploadId) return this.completeMultipartUpload(req, res, next);
+    return this.notImplemented(req, res, next);
+  };
+
+  // PUT /:bucket/:key?partNumber=&uploadId=
+  handlePut = (req, res, next) => {
+    if (req.query.uploadId && req.query.partNumber) return this.uploadPart(req, res, next);
+    return this.notImplemented(req, res, next);
+  };
+
+  // GET /:bucket/:key?uploadId=
+  handleGet = (req, res, next) => {
+    if (req.query.uploadId) return this.listParts(req, res, next);
+    return this.notImplemented(req, res, next);
+  };
+
+  // DELETE /:bucket/:key?uploadId=
+  handleDelete = (req, res, next) => {
+    if (req.query.uploadId) return this.abortMultipartUpload(req, res, next);
+    return this.notImplemented(req, res, next);
+  };
+
+  // CreateMultipartUpload
+  createMultipartUpload = asyncHandler(async (req, res) => {
+    const { bucket } = req.params;
+    const key = req.params[0];
+    const uploadedFrom = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      referer: req.get('Referer')
+    };
+
+    const result = await s3MultipartService.createMultipartUpload(
+      bucket,
+      key,
+      req.get('Content-Type'),
+      req.user.id,
+      uploadedFrom
+    );
+
+    res.type('application/xml').send(s3MultipartService.buildXml('InitiateMultipartUploadResult', result));
+  });
+
+  // UploadPart (streams the request body, so allow time for large parts)
+  uploadPart = asyncHandler(async (req, res) => {
+    const { bucket } = req.params;
+
+    const result = await s3MultipartService.uploadPart(
+      bucket,
+      req.params[0],
+      req.query.uploadId,
+      req.query.partNumber,
+      req,
+      req.get('Content-MD5'),
+      req.s3PayloadHash
+    );
+
+    res.set('ETag', result.etag).status(200).end();
+  }, 10 * 60 * 1000);
+
+  // CompleteMultipartUpload
+  completeMultipartUpload = asyncHandler(async (req, res) => {
+    const { bucket } = req.params;
+    const key = req.params[0];
+    const parts = s3MultipartService.parseCompleteRequest(req.body);
+
+    const result = await s3MultipartService.completeMultipartUpload(bucket, key, req.query.uploadId, parts);
+
+    res.type('application/xml').send(s3MultipartService.buildXml('CompleteMultipartUploadResult', {
+      Location: `${req.protocol}://${req.get('host')}${req.baseUrl}/${bucket}/${key}`,
+      ...result
+    }));
+  });
+
+  // AbortMultipartUpload
+  abortMultipartUpload = asyncHandler(async (req, res) => {
+    await s3MultipartService.abortMultipartUpload(req.params.bucket, req.params[0], req.query.uploadId);
+
+    res.status(204).end();
+  });
+
+  // ListParts
+  listParts = asyncHandler(async (req, res) => {
+    const result = await s3MultipartService.listParts(
+      req.params.bucket,
+      req.params[0],
+      req.query.uploadId,
+      {
+        maxParts: req.query['max-parts'],
+        partNumberMarker: req.query['part-number-marker']
+      }
+    );
+
+    res.type('application/xml').send(s3MultipartService.buildXml('ListPartsResult', result));
+  });
+
+  notImplemented = (req, res, next) => {
+    next(new AppError('Only the multipart upload operations are implemented', 501));
+  };
 }
 
 class FileController {
@@ -178,7 +625,12 @@ class FileController {
       
       const FileUpload = require('../models/FileUpload');
       
-      const query = {};
+      // Trashed files are listed by /api/trash instead, older versions by
+      // /api/files/:fileId/versions unless allVersions is set
+      const query = { trashedAt: null, ...fileUploadService.accessFilter(req.user) };
+      if (!req.query.allVersions) {
+        query.isCurrentVersion = { $ne: false };
+      }
       if (status && ['pending', 'uploading', 'processing', 'completed', 'failed', 'cancelled'].includes(status)) {
         query.status = status;
       }
@@ -190,7 +642,7 @@ class FileController {
 
       const [files, total] = await Promise.all([
         FileUpload.find(query)
-          .select('-__v')
+          .select('-__v -receivedChunks -parts -chunkChecksums -legalHoldEvents')
           .sort(sort)
           .skip(skip)
           .limit(limit)
@@ -242,7 +694,7 @@ class FileController {
     try {
       const { fileId } = req.params;
 
-      const result = await fileUploadService.deleteFile(fileId);
+      const result = await fileUploadService.deleteFile(fileId, req.user);
 
       res.json({
         success: true,
@@ -258,85 +710,385 @@ class FileController {
     }
   });
 
-  // Download file
-  downloadFile = asyncHandler(async (req, res) => {
+  // List versions of a file
+  listVersions = asyncHandler(async (req, res) => {
     try {
-      const { fileId } = req.params;
+      const result = await fileVersionService.listVersions(req.params.fileId);
 
-      const FileUpload = require('../models/FileUpload');
-      const { GridFSBucket } = require('mongodb');
-      const mongoose = require('mongoose');
+      res.json({
+        success: true,
+        data: result
+      });
 
-      const fileUpload = await FileUpload.findOne({ 
-        fileId, 
-        status: 'completed' 
-      }).lean();
+    } catch (error) {
+      logger.logUploadError('list versions', error, {
+        fileId: req.params.fileId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
 
-      if (!fileUpload || !fileUpload.gridFsId) {
-        throw new NotFoundError('File not found or not ready for download');
-      }
+  // Make a version the current one
+  promoteVersion = asyncHandler(async (req, res) => {
+    try {
+      const result = await fileVersionService.promoteVersion(req.params.fileId);
 
-      const bucket = fileUploadService.getBucket();
-      if (!bucket) {
-        throw new Error('Database not connected');
-      }
+      res.json({
+        success: true,
+        data: result
+      });
 
-      // Support range requests
-      const range = req.headers.range;
-      let downloadStream;
-      
-      if (range) {
-        const parts = range.replace(/bytes=/, '').split('-');
-        const start = parseInt(parts[0], 10);
-        const end = parts[1] ? parseInt(parts[1], 10) : fileUpload.size - 1;
-        const chunksize = (end - start) + 1;
-
-        res.status(206);
-        res.set({
-          'Content-Range': `bytes ${start}-${end}/${fileUpload.size}`,
-          'Accept-Ranges': 'bytes',
-          'Content-Length': chunksize,
-          'Content-Type': fileUpload.mimeType,
-        });
+    } catch (error) {
+      logger.logUploadError('promote version', error, {
+        fileId: req.params.fileId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
 
-        downloadStream = bucket.openDownloadStream(fileUpload.gridFsId, {
-          start,
-          end: end + 1
-        });
-      } else {
-        res.set({
-          'Content-Type': fileUpload.mimeType,
-          'Content-Disposition': `attachment; filename="${encodeURIComponent(fileUpload.originalName)}"`,
-          'Content-Length': fileUpload.size,
-          'Cache-Control': 'public, max-age=3600'
-        });
+  // Permanently delete old versions
+  pruneVersions = asyncHandler(async (req, res) => {
+    try {
+      const { keep, olderThanDays } = req.body;
 
-        downloadStream = bucket.openDownloadStream(fileUpload.gridFsId);
-      }
+      const result = await fileVersionService.pruneVersions(req.params.fileId, { keep, olderThanDays });
 
-      downloadStream.on('error', (err) => {
-        logger.logUploadError('download stream error', err, { fileId });
-        if (!res.headersSent) {
-          res.status(500).json({ 
-            success: false, 
-            error: 'Error downloading file' 
-          });
-        }
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logUploadError('prune versions', error, {
+        fileId: req.params.fileId,
+        ip: req.ip
       });
+      throw error;
+    }
+  });
 
-      downloadStream.pipe(res);
+  // List files in the trash
+  listTrash = asyncHandler(async (req, res) => {
+    try {
+      const { page, limit } = req.query;
 
-      // Increment download count
-      await FileUpload.findOneAndUpdate(
-        { fileId },
-        { $inc: { downloadCount: 1 } }
-      );
+      const result = await fileUploadService.listTrash({ page, limit }, req.user);
 
-      logger.logUpload(fileId, 'download started', {
-        ip: req.ip,
-        userAgent: req.get('User-Agent')
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logUploadError('list trash', error, { ip: req.ip });
+      throw error;
+    }
+  });
+
+  // Restore a file from the trash
+  restoreFile = asyncHandler(async (req, res) => {
+    try {
+      const { fileId } = req.params;
+
+      const result = await fileUploadService.restoreFile(fileId);
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logUploadError('restore file', error, {
+        fileId: req.params.fileId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Permanently delete a file from the trash
+  purgeFile = asyncHandler(async (req, res) => {
+    try {
+      const { fileId } = req.params;
+
+      const result = await fileUploadService.purgeFile(fileId, { fromTrash: true });
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logUploadError('purge file', error, {
+        fileId: req.params.fileId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Update how long a file is kept
+  updateRetention = asyncHandler(async (req, res) => {
+    try {
+      const { fileId } = req.params;
+      const { retentionDays, deleteAfter } = req.body;
+
+      const result = await fileUploadService.setRetention(fileId, { retentionDays, deleteAfter }, req.user);
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logUploadError('update retention', error, {
+        fileId: req.params.fileId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Legal hold status and history
+  getLegalHold = asyncHandler(async (req, res) => {
+    try {
+      const result = await retentionService.getLegalHold(req.params.fileId);
+
+      res.json({
+        success: true,
+        data: result
       });
 
+    } catch (error) {
+      logger.logUploadError('get legal hold', error, {
+        fileId: req.params.fileId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Place a legal hold
+  placeLegalHold = asyncHandler(async (req, res) => {
+    try {
+      const { fileId } = req.params;
+      const { reason } = req.body;
+
+      const result = await retentionService.placeLegalHold(fileId, { reason }, req.user);
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logUploadError('place legal hold', error, {
+        fileId: req.params.fileId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Release a legal hold
+  releaseLegalHold = asyncHandler(async (req, res) => {
+    try {
+      const { fileId } = req.params;
+      const { reason } = req.body;
+
+      const result = await retentionService.releaseLegalHold(fileId, { reason }, req.user);
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logUploadError('release legal hold', error, {
+        fileId: req.params.fileId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Users and groups the file is shared with
+  listGrants = asyncHandler(async (req, res) => {
+    try {
+      const result = await sharingService.listGrants(req.params.fileId);
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logUploadError('list grants', error, {
+        fileId: req.params.fileId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Share the file with a user or group
+  grantAccess = asyncHandler(async (req, res) => {
+    try {
+      const { fileId } = req.params;
+      const { principalType, principalId, permission } = req.body;
+
+      const result = await sharingService.grantAccess(fileId, {
+        principalType,
+        principalId,
+        permission,
+        grantedBy: req.user.id
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logUploadError('grant access', error, {
+        fileId: req.params.fileId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Stop sharing the file with a user or group
+  revokeAccess = asyncHandler(async (req, res) => {
+    try {
+      const { fileId, principalType, principalId } = req.params;
+
+      const result = await sharingService.revokeAccess(fileId, {
+        principalType,
+        principalId,
+        revokedBy: req.user.id
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logUploadError('revoke access', error, {
+        fileId: req.params.fileId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Signed download links for the file
+  listLinks = asyncHandler(async (req, res) => {
+    try {
+      const result = await downloadLinkService.listLinks(req.params.fileId);
+      result.links = result.links.map((link) => this.withLinkUrl(req, link));
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logUploadError('list download links', error, {
+        fileId: req.params.fileId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Requests made through a download link
+  listLinkUses = asyncHandler(async (req, res) => {
+    try {
+      const { fileId, linkId } = req.params;
+      const { page, limit } = req.query;
+
+      const result = await downloadLinkService.listUses(fileId, linkId, { page, limit });
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logUploadError('list download link uses', error, {
+        fileId: req.params.fileId,
+        linkId: req.params.linkId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Create a signed download link
+  createLink = asyncHandler(async (req, res) => {
+    try {
+      const { fileId } = req.params;
+      const { expiresIn, maxDownloads, password, allowedIps } = req.body;
+
+      const link = await downloadLinkService.createLink(fileId, {
+        expiresIn,
+        maxDownloads,
+        password,
+        allowedIps,
+        createdBy: req.user.id
+      });
+
+      res.status(201).json({
+        success: true,
+        data: this.withLinkUrl(req, link)
+      });
+
+    } catch (error) {
+      logger.logUploadError('create download link', error, {
+        fileId: req.params.fileId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Revoke a signed download link
+  revokeLink = asyncHandler(async (req, res) => {
+    try {
+      const { fileId, linkId } = req.params;
+
+      const link = await downloadLinkService.revokeLink(fileId, linkId, req.user.id);
+
+      res.json({
+        success: true,
+        data: this.withLinkUrl(req, link)
+      });
+
+    } catch (error) {
+      logger.logUploadError('revoke download link', error, {
+        fileId: req.params.fileId,
+        linkId: req.params.linkId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Download file
+  downloadFile = asyncHandler(async (req, res) => {
+    try {
+      // ?version=N or ?version=current picks a version of the file's logical file
+      const fileUpload = await fileVersionService.resolveDownload(req.params.fileId, req.query.version);
+      if (fileUpload) {
+        fileUploadService.assertAccess(fileUpload, req.user);
+      }
+
+      await this.sendFile(req, res, fileUpload);
+
     } catch (error) {
       logger.logUploadError('download file', error, {
         fileId: req.params.fileId,
@@ -346,12 +1098,132 @@ class FileController {
     }
   });
 
+  // Download through a signed link, without an account
+  downloadByLink = asyncHandler(async (req, res) => {
+    try {
+      const fileUpload = await downloadLinkService.redeemLink(req.params.token, {
+        password: req.get('X-Link-Password') || (req.body && req.body.password),
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        range: req.headers.range
+      });
+
+      // A presigned URL would outlive revocation and skip the IP and
+      // download limits, so link downloads always go through the server
+      await this.sendFile(req, res, fileUpload, { allowRedirect: false });
+
+    } catch (error) {
+      logger.logUploadError('download by link', error, {
+        linkId: String(req.params.token).split('.')[0],
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Stream a stored file, or redirect to its storage unless `allowRedirect`
+  // is false, honouring Range requests
+  async sendFile(req, res, fileUpload, { allowRedirect = true } = {}) {
+    const FileUpload = require('../models/FileUpload');
+
+    const location = storage.locate(fileUpload);
+    if (!location) {
+      throw new NotFoundError('File not found or not ready for download');
+    }
+    const { fileId } = fileUpload;
+
+    // Files are private to their owner, grantees and link holders (and link
+    // downloads are counted), so no shared cache may keep a copy
+    res.set('Cache-Control', 'private, no-store');
+
+    // Let the client fetch straight from object storage when the driver allows
+    // it; encrypted files have to be decrypted here
+    const redirectUrl = allowRedirect && !fileUpload.encryption && await storage.getDownloadUrl(location, {
+      filename: fileUpload.originalName,
+      contentType: fileUpload.mimeType
+    });
+    if (redirectUrl) {
+      await FileUpload.findOneAndUpdate(
+        { fileId },
+        { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: new Date() } }
+      );
+
+      logger.logUpload(fileId, 'download redirected', {
+        ip: req.ip,
+        storageDriver: location.driver
+      });
+
+      return res.redirect(302, redirectUrl);
+    }
+
+    // Integrity headers describe the whole file, so they apply to range responses too
+    res.set(this.getIntegrityHeaders(fileUpload));
+
+    // Support range requests
+    const range = parseRange(req.headers.range, fileUpload.size);
+    let downloadStream;
+
+    if (range === false) {
+      res.set('Content-Range', `bytes */${fileUpload.size}`);
+      throw new AppError('Requested range not satisfiable', 416);
+    }
+
+    if (range) {
+      const { start, end } = range;
+      const chunksize = (end - start) + 1;
+
+      downloadStream = await fileUploadService.openStoredFile(fileUpload, { start, end });
+
+      res.status(206);
+      res.set({
+        'Content-Range': `bytes ${start}-${end}/${fileUpload.size}`,
+        'Accept-Ranges': 'bytes',
+        'Content-Length': chunksize,
+        'Content-Type': fileUpload.mimeType,
+      });
+    } else {
+      downloadStream = await fileUploadService.openStoredFile(fileUpload);
+
+      res.set({
+        'Content-Type': fileUpload.mimeType,
+        'Content-Disposition': `attachment; filename="${encodeURIComponent(fileUpload.originalName)}"`,
+        'Content-Length': fileUpload.size
+      });
+    }
+
+    downloadStream.on('error', (err) => {
+      logger.logUploadError('download stream error', err, { fileId });
+      if (!res.headersSent) {
+        res.status(500).json({ 
+          success: false, 
+          error: 'Error downloading file' 
+        });
+      } else {
+        // Part of the body is already out; cut the connection rather than end it cleanly
+        res.destroy(err);
+      }
+    });
+
+    downloadStream.pipe(res);
+
+    // Increment download count
+    await FileUpload.findOneAndUpdate(
+      { fileId },
+      { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: new Date() } }
+    );
+
+    logger.logUpload(fileId, 'download started', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  }
+
   // Get file stats
   getFileStats = asyncHandler(async (req, res) => {
     try {
       const FileUpload = require('../models/FileUpload');
       
-      const stats = await FileUpload.getStats();
+      const stats = await FileUpload.getStats(fileUploadService.accessFilter(req.user));
 
       res.json({
         success: true,
@@ -363,6 +1235,146 @@ class FileController {
       throw error;
     }
   });
+
+  // Public URL of a download link on this server
+  withLinkUrl(req, link) {
+    return { ...link, url: `${req.protocol}://${req.get('host')}/d/${link.token}` };
+  }
+
+  // Digest (RFC 3230) and ETag headers from the hashes computed at merge time
+  getIntegrityHeaders(fileUpload) {
+    const headers = {};
+    const digests = [];
+    const toBase64 = (hex) => Buffer.from(hex, 'hex').toString('base64');
+
+    if (fileUpload.checksum && fileUpload.checksum.length === 64) {
+      digests.push(`sha-256=${toBase64(fileUpload.checksum)}`);
+      headers.ETag = `"${fileUpload.checksum}"`;
+    }
+
+    // Records from before SHA-256 hashing hold an MD5 in `checksum`
+    const md5 = fileUpload.md5 || (fileUpload.checksum && fileUpload.checksum.length === 32 ? fileUpload.checksum : null);
+    if (md5) {
+      digests.push(`md5=${toBase64(md5)}`);
+    }
+
+    if (digests.length > 0) {
+      headers.Digest = digests.join(',');
+    }
+
+    return headers;
+  }
+}
+
+class FolderController {
+  // List a folder, or the root when there is no folderId
+  listFolder = asyncHandler(async (req, res) => {
+    try {
+      const folderId = req.params.folderId || null;
+      const { page, limit, status, sortBy, sortOrder } = req.query;
+
+      const result = await folderService.listFolder(folderId, { page, limit, status, sortBy, sortOrder }, req.user);
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logUploadError('list folder', error, {
+        folderId: req.params.folderId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Create a folder
+  createFolder = asyncHandler(async (req, res) => {
+    try {
+      const { name, parentId } = req.body;
+
+      const result = await folderService.createFolder({ name, parentId, createdBy: req.user.id }, req.user);
+
+      res.status(201).json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logUploadError('create folder', error, {
+        ip: req.ip,
+        body: req.body
+      });
+      throw error;
+    }
+  });
+
+  // Rename and/or move a folder
+  updateFolder = asyncHandler(async (req, res) => {
+    try {
+      const { folderId } = req.params;
+      const { name, parentId } = req.body;
+
+      const result = await folderService.updateFolder(folderId, { name, parentId }, req.user);
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logUploadError('update folder', error, {
+        folderId: req.params.folderId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Delete a folder, and with ?recursive=true everything in it
+  deleteFolder = asyncHandler(async (req, res) => {
+    try {
+      const { folderId } = req.params;
+      const { recursive } = req.query;
+
+      const result = await folderService.deleteFolder(folderId, { recursive }, req.user);
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logUploadError('delete folder', error, {
+        folderId: req.params.folderId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
+
+  // Move a file (and its versions) to another folder
+  moveFile = asyncHandler(async (req, res) => {
+    try {
+      const { fileId } = req.params;
+      const { folderId } = req.body;
+
+      const result = await folderService.moveFile(fileId, folderId, req.user);
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logUploadError('move file', error, {
+        fileId: req.params.fileId,
+        ip: req.ip
+      });
+      throw error;
+    }
+  });
 }
 
 class HealthController {
@@ -468,6 +1480,9 @@ class HealthController {
 
 module.exports = {
   UploadController: new UploadController(),
+  TusController: new TusController(),
+  S3Controller: new S3Controller(),
   FileController: new FileController(),
+  FolderController: new FolderController(),
   HealthController: new HealthController()
 };
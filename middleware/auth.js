@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const config = require('../config');
+const authService = require('../services/auth');
+const fileUploadService = require('../services/fileUpload');
+const uploadTokenService = require('../services/uploadTokens');
+const accessKeyService = require('../services/accessKeys');
+const logger = require('../services/logger');
+const { UnauthorizedError } = require('../utils/errors');
+const { matchesIpRanges } = require('../utils/ipRanges');
+
+// Roles and groups from a JWT claim (an array or a space-separated string)
+// or a comma-separated proxy header
+const parseList = (value) => {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  return items.filter((item) => typeof item === 'string' && item);
+};
+
+const toUser = (id, roles, groups, claims = null) => ({
+  id,
+  roles,
+  groups,
+  isAdmin: roles.includes(config.security.adminRole),
+  claims
+});
+
+// Whether the request came through the authenticating proxy: its connection
+// is from one of TRUSTED_PROXY_IPS (the peer itself, not X-Forwarded-For),
+// or it carries AUTH_PROXY_SECRET in X-Auth-Proxy-Secret
+const isFromTrustedProxy = (req) => {
+  const { trustedProxyIps, trustedProxySecret } = config.security;
+  if (trustedProxyIps.length && matchesIpRanges(trustedProxyIps, req.socket.remoteAddress)) {
+    return true;
+  }
+
+  const secret = req.get('X-Auth-Proxy-Secret');
+  if (!trustedProxySecret || !secret) {
+    return false;
+  }
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(secret), digest(trustedProxySecret));
+};
+
+// Require a bearer JWT, or the identity headers of a trusted proxy, and
+// expose the caller as req.user
+const authenticate = (req, res, next) => {
+  // CORS preflights and tus discovery never carry credentials; upload token
+  // holders were already let in by authenticateUploadToken
+  if (req.method === 'OPTIONS' || req.user) {
+    return next();
+  }
+
+  const authorization = req.get('Authorization');
+  const { trustedUserHeader, trustedRolesHeader, trustedGroupsHeader } = config.security;
+  const proxyUser = !authorization && trustedUserHeader ? req.get(trustedUserHeader) : null;
+  if (proxyUser && !isFromTrustedProxy(req)) {
+    logger.warn('Ignored identity header from an untrusted client', { path: req.path, ip: req.ip });
+  } else if (proxyUser && proxyUser.length <= 100) {
+    req.user = toUser(
+      proxyUser,
+      trustedRolesHeader ? parseList(req.get(trustedRolesHeader)) : [],
+      trustedGroupsHeader ? parseList(req.get(trustedGroupsHeader)) : []
+    );
+    return next();
+  }
+
+  const [scheme, token] = (authorization || '').split(' ');
+  if (!/^bearer$/i.test(scheme) || !token) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return next(new UnauthorizedError('Authentication required'));
+  }
+
+  try {
+    const claims = authService.verifyToken(token);
+    req.user = toUser(claims.sub, parseList(claims.roles), parseList(claims.groups), claims);
+    next();
+  } catch (error) {
+    logger.warn('Rejected bearer token', { error: error.message, path: req.path, ip: req.ip });
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    next(error);
+  }
+};
+
+// Accept an X-Upload-Token header in place of a user. Only mounted on the
+// chunked upload routes; a bearer token takes precedence.
+const authenticateUploadToken = (req, res, next) => {
+  const token = req.get('X-Upload-Token');
+  if (!token || req.get('Authorization') || req.method === 'OPTIONS') {
+    return next();
+  }
+
+  uploadTokenService.authenticate(token)
+    .then((uploadToken) => {
+      req.user = { ...toUser(`upload-token:${uploadToken.tokenId}`, [], []), uploadToken };
+      next();
+    })
+    .catch((error) => {
+      logger.warn('Rejected upload token', { error: error.message, path: req.path, ip: req.ip });
+      next(error);
+    });
+};
+
+// Accept S3 requests signed with Signature Version 4 under an access key, as
+// AWS SDKs send them. Only mounted on the S3 routes; requests with any other
+// Authorization header fall through to authenticate.
+const authenticateSigV4 = (req, res, next) => {
+  if (!/^AWS4-HMAC-SHA256\s/.test(req.get('Authorization') || '')) {
+    return next();
+  }
+
+  const separator = req.originalUrl.indexOf('?');
+  accessKeyService.authenticate({
+    method: req.method,
+    path: separator === -1 ? req.originalUrl : req.originalUrl.slice(0, separator),
+    query: separator === -1 ? '' : req.originalUrl.slice(separator + 1),
+    headers: req.headers
+  })
+    .then(({ accessKey, payloadHash }) => {
+      req.user = toUser(accessKey.userId, [], []);
+      req.s3PayloadHash = payloadHash;
+      next();
+    })
+    .catch((error) => {
+      logger.warn('Rejected SigV4 request', { error: error.message, path: req.path, ip: req.ip });
+      next(error);
+    });
+};
+
+// Reject requests for a file the caller lacks `permission` on. The file ID
+// comes from the route, the request body, the chunk headers or an S3 uploadId.
+const authorizeFile = (permission = 'read') => (req, res, next) => {
+  const fileId = req.params.fileId || (req.body && req.body.fileId) || req.get('x-file-id') || req.query.uploadId;
+  if (!fileId) {
+    return next();
+  }
+
+  fileUploadService.authorize(fileId, req.user, permission)
+    .then(() => next())
+    .catch(next);
+};
+
+module.exports = {
+  authenticate,
+  authenticateUploadToken,
+  authenticateSigV4,
+  authorizeFile
+};
@@ -0,0 +1,64 @@
+const express = require('express');
+const logger = require('../services/logger');
+const s3MultipartService = require('../services/s3Multipart');
+const { sha256Hex } = require('../utils/sigv4');
+const { ValidationError } = require('../utils/errors');
+
+const s3Error = (error, code) => {
+  error.s3Code = code;
+  return error;
+};
+
+// CompleteMultipartUpload sends an XML document. A SigV4-signed request
+// promises the body's SHA-256, which it must match.
+const s3XmlBody = express.text({
+  type: () => true,
+  limit: '1mb',
+  verify: (req, res, buf) => {
+    if (req.s3PayloadHash && sha256Hex(buf) !== req.s3PayloadHash) {
+      throw s3Error(
+        new ValidationError('The provided x-amz-content-sha256 header does not match what was computed'),
+        'XAmzContentSHA256Mismatch'
+      );
+    }
+  }
+});
+
+const S3_CODES_BY_STATUS = {
+  400: 'InvalidRequest',
+  401: 'AccessDenied',
+  403: 'AccessDenied',
+  404: 'NoSuchUpload',
+  409: 'OperationAborted',
+  413: 'EntityTooLarge',
+  429: 'SlowDown',
+  501: 'NotImplemented'
+};
+
+// Render errors as S3 XML documents so AWS SDKs can parse them
+const s3ErrorHandler = (err, req, res, next) => {
+  const statusCode = err.statusCode || err.status || 500;
+  const code = err.s3Code || S3_CODES_BY_STATUS[statusCode] || 'InternalError';
+  const message = statusCode >= 500 && !err.s3Code ? 'We encountered an internal error. Please try again.' : err.message;
+
+  logger.error('S3 API error', {
+    code,
+    error: err.message,
+    path: req.path,
+    method: req.method,
+    ip: req.ip
+  });
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  res.status(statusCode)
+    .type('application/xml')
+    .send(s3MultipartService.buildErrorXml(code, message, req.originalUrl));
+};
+
+module.exports = {
+  s3XmlBody,
+  s3ErrorHandler
+};
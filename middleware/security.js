@@ -31,9 +31,9 @@ const securityMiddleware = helmet({
 });
 
 // CORS middleware
-const corsMiddleware = cors({
+const corsOptions = {
   origin: true, // Allow all origins for now
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: [
     'Content-Type', 
     'Authorization', 
@@ -41,10 +41,41 @@ const corsMiddleware = cors({
     'x-total-chunks', 
     'x-file-id', 
     'x-file-name', 
-    'x-file-size'
+    'x-file-size',
+    'x-chunk-checksum',
+    'Tus-Resumable',
+    'Upload-Length',
+    'Upload-Offset',
+    'Upload-Metadata',
+    'Upload-Checksum',
+    'X-HTTP-Method-Override',
+    'X-Link-Password',
+    'X-Upload-Token'
+  ],
+  exposedHeaders: [
+    'Digest',
+    'ETag',
+    'Location',
+    'Tus-Resumable',
+    'Tus-Version',
+    'Tus-Extension',
+    'Tus-Max-Size',
+    'Tus-Checksum-Algorithm',
+    'Upload-Offset',
+    'Upload-Length',
+    'Upload-Metadata',
+    'Upload-Expires'
   ],
   credentials: false,
   maxAge: 86400
+};
+
+// tus OPTIONS requests fall through to the discovery route after CORS headers are set
+const corsMiddleware = cors((req, callback) => {
+  callback(null, {
+    ...corsOptions,
+    preflightContinue: req.path.startsWith('/api/tus')
+  });
 });
 
 // Rate limiting middleware
@@ -0,0 +1,59 @@
+const tusUploadService = require('../services/tusUpload');
+const { ValidationError } = require('../utils/errors');
+
+const { version: TUS_VERSION } = tusUploadService.getServerInfo();
+
+// Protocol middleware for every tus request
+const tusProtocol = (req, res, next) => {
+  // Allow clients behind restrictive proxies to tunnel PATCH/DELETE through POST
+  const override = req.get('X-HTTP-Method-Override');
+  if (override && req.method === 'POST') {
+    req.method = override.toUpperCase();
+  }
+
+  res.set('Tus-Resumable', TUS_VERSION);
+
+  if (req.method === 'OPTIONS') {
+    return next();
+  }
+
+  if (req.get('Tus-Resumable') !== TUS_VERSION) {
+    return res.status(412).set('Tus-Version', TUS_VERSION).json({
+      success: false,
+      error: `Unsupported tus version. Supported: ${TUS_VERSION}`,
+      type: 'precondition_failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  next();
+};
+
+// Validate PATCH headers before the body is consumed
+const validateTusPatch = (req, res, next) => {
+  try {
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return res.status(415).json({
+        success: false,
+        error: 'Content-Type must be application/offset+octet-stream',
+        type: 'unsupported_media_type',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (req.get('Upload-Offset') === undefined || !Number.isInteger(offset) || offset < 0) {
+      throw new ValidationError('Upload-Offset header must be a non-negative integer');
+    }
+
+    req.uploadOffset = offset;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  tusProtocol,
+  validateTusPatch
+};
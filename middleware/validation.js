@@ -11,6 +11,47 @@ const commonSchemas = {
       'any.required': 'File ID is required'
     }),
 
+  folderId: Joi.string()
+    .pattern(/^[a-f0-9]{32}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Folder ID must be a 32-character hexadecimal string',
+      'any.required': 'Folder ID is required'
+    }),
+
+  folderName: Joi.string()
+    .trim()
+    .min(1)
+    .max(255)
+    .invalid('.', '..')
+    .pattern(/^[^/\\]+$/)
+    .messages({
+      'string.empty': 'Folder name cannot be empty',
+      'string.max': 'Folder name too long',
+      'string.pattern.base': 'Folder name cannot contain slashes',
+      'any.invalid': 'Invalid folder name',
+      'any.required': 'Folder name is required'
+    }),
+
+  // Path of a file inside a dropped directory: relative, '/'-separated, no
+  // empty, '.' or '..' segments and no segment longer than a folder name
+  relativePath: Joi.string()
+    .max(1024)
+    .pattern(/^(?!\/)(?!.*\/\/)(?!(?:.*\/)?\.\.?(?:\/|$))(?!.*[^/]{256})[^\\]+$/)
+    .optional()
+    .messages({
+      'string.max': 'Relative path too long',
+      'string.pattern.base': 'Relative path must be a relative path like "dir/sub/file.txt"'
+    }),
+
+  batchId: Joi.string()
+    .pattern(/^[A-Za-z0-9_-]{8,64}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Batch ID must be 8-64 letters, digits, dashes or underscores',
+      'any.required': 'Batch ID is required'
+    }),
+
   fileName: Joi.string()
     .min(1)
     .max(255)
@@ -65,11 +106,84 @@ const commonSchemas = {
       'any.required': 'Chunk index is required'
     }),
 
-  uploadedBy: Joi.string()
-    .max(100)
+  chunkChecksum: Joi.string()
+    .max(200)
+    .pattern(/^[a-z0-9]+[=:][A-Za-z0-9+/=]+$/i)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Chunk checksum must be in the form <algorithm>=<digest>'
+    }),
+
+  sha256: Joi.string()
+    .pattern(/^[a-f0-9]{64}$/i)
+    .lowercase()
+    .optional()
+    .messages({
+      'string.pattern.base': 'SHA-256 must be a 64-character hexadecimal string'
+    }),
+
+  retentionDays: Joi.number()
+    .integer()
+    .min(0)
+    .max(36500)
+    .optional()
+    .messages({
+      'number.base': 'Retention days must be a number',
+      'number.integer': 'Retention days must be an integer',
+      'number.min': 'Retention days cannot be negative',
+      'number.max': 'Retention days cannot exceed 100 years'
+    }),
+
+  deleteAfter: Joi.date()
+    .iso()
+    .greater('now')
+    .optional()
+    .messages({
+      'date.base': 'Delete-after must be a date',
+      'date.format': 'Delete-after must be an ISO 8601 date',
+      'date.greater': 'Delete-after must be in the future'
+    }),
+
+  tags: Joi.array()
+    .items(Joi.string().trim().min(1).max(50))
+    .max(20)
+    .unique()
     .optional()
     .messages({
-      'string.max': 'Uploader name too long'
+      'array.max': 'Too many tags',
+      'array.unique': 'Tags must be unique',
+      'string.max': 'Tag too long'
+    }),
+
+  // User (token subject) or group a file is shared with
+  principalType: Joi.string()
+    .valid('user', 'group')
+    .required()
+    .messages({
+      'any.only': 'Principal type must be user or group',
+      'any.required': 'Principal type is required'
+    }),
+
+  principalId: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'Principal ID cannot be empty',
+      'string.max': 'Principal ID too long',
+      'any.required': 'Principal ID is required'
+    }),
+
+  holdReason: Joi.string()
+    .trim()
+    .min(1)
+    .max(1000)
+    .required()
+    .messages({
+      'string.empty': 'A reason is required',
+      'string.max': 'Reason too long',
+      'any.required': 'A reason is required'
     }),
 
   page: Joi.number()
@@ -123,7 +237,44 @@ const validationSchemas = {
     fileName: commonSchemas.fileName,
     fileSize: commonSchemas.fileSize,
     mimeType: commonSchemas.mimeType,
-    totalChunks: commonSchemas.totalChunks
+    totalChunks: commonSchemas.totalChunks,
+    sha256: commonSchemas.sha256,
+    parentFileId: commonSchemas.fileId.optional(),
+    folderId: commonSchemas.folderId.optional(),
+    relativePath: commonSchemas.relativePath,
+    batchId: commonSchemas.batchId.optional(),
+    batchSize: Joi.number().integer().min(1).max(10000).messages({
+      'number.base': 'Batch size must be a number',
+      'number.min': 'Batch size must be at least 1',
+      'number.max': 'Batch size exceeds maximum limit'
+    }),
+    retentionDays: commonSchemas.retentionDays,
+    deleteAfter: commonSchemas.deleteAfter,
+    tags: commonSchemas.tags
+  }).oxor('retentionDays', 'deleteAfter').with('batchSize', 'batchId'),
+
+  // Create upload batch
+  createBatch: Joi.object({
+    expectedFiles: Joi.number().integer().min(1).max(10000).required().messages({
+      'number.base': 'Expected files must be a number',
+      'number.min': 'A batch needs at least one file',
+      'number.max': 'Batch size exceeds maximum limit',
+      'any.required': 'Expected files is required'
+    }),
+    name: Joi.string().trim().max(255).optional().messages({
+      'string.max': 'Batch name too long'
+    }),
+    rollbackOnFailure: Joi.boolean().default(false),
+    callbackUrl: Joi.string().uri({ scheme: ['http', 'https'] }).max(2048).optional().messages({
+      'string.uri': 'Callback URL must be an http(s) URL',
+      'string.uriCustomScheme': 'Callback URL must be an http(s) URL',
+      'string.max': 'Callback URL too long'
+    })
+  }),
+
+  // Upload batch status
+  batchParams: Joi.object({
+    batchId: commonSchemas.batchId
   }),
 
   // Upload chunk
@@ -148,6 +299,33 @@ const validationSchemas = {
 
   // List files
   listFiles: Joi.object({
+    page: commonSchemas.page,
+    limit: commonSchemas.limit,
+    status: commonSchemas.status,
+    sortBy: commonSchemas.sortBy,
+    sortOrder: commonSchemas.sortOrder,
+    allVersions: Joi.boolean().default(false)
+  }),
+
+  // List trash
+  listTrash: Joi.object({
+    page: commonSchemas.page,
+    limit: commonSchemas.limit
+  }),
+
+  // List the uses of a download link
+  listLinkUses: Joi.object({
+    page: commonSchemas.page,
+    limit: commonSchemas.limit
+  }),
+
+  // Folder in the path
+  folderParams: Joi.object({
+    folderId: commonSchemas.folderId
+  }),
+
+  // List a folder (files are paged, subfolders are not)
+  listFolder: Joi.object({
     page: commonSchemas.page,
     limit: commonSchemas.limit,
     status: commonSchemas.status,
@@ -155,14 +333,188 @@ const validationSchemas = {
     sortOrder: commonSchemas.sortOrder
   }),
 
+  // Create folder
+  createFolder: Joi.object({
+    name: commonSchemas.folderName.required(),
+    parentId: commonSchemas.folderId.allow(null).optional()
+  }),
+
+  // Rename and/or move folder; a null parentId moves it to the root
+  updateFolder: Joi.object({
+    name: commonSchemas.folderName,
+    parentId: commonSchemas.folderId.allow(null).optional()
+  }).or('name', 'parentId').messages({
+    'object.missing': 'Either name or parentId is required'
+  }),
+
+  // Delete folder
+  deleteFolder: Joi.object({
+    recursive: Joi.boolean().default(false)
+  }),
+
+  // Move a file to a folder, or to the root with null
+  moveFile: Joi.object({
+    folderId: commonSchemas.folderId.allow(null)
+  }),
+
   // Delete file
   deleteFile: Joi.object({
     fileId: commonSchemas.fileId
   }),
 
+  // Update retention
+  updateRetention: Joi.object({
+    retentionDays: commonSchemas.retentionDays,
+    deleteAfter: commonSchemas.deleteAfter
+  }).xor('retentionDays', 'deleteAfter').messages({
+    'object.missing': 'Either retentionDays or deleteAfter is required',
+    'object.xor': 'Specify retentionDays or deleteAfter, not both'
+  }),
+
+  // Place or release a legal hold
+  legalHold: Joi.object({
+    reason: commonSchemas.holdReason
+  }),
+
+  // Share a file, or change an existing grant
+  createGrant: Joi.object({
+    principalType: commonSchemas.principalType,
+    principalId: commonSchemas.principalId,
+    permission: Joi.string().valid('read', 'write', 'manage').required().messages({
+      'any.only': 'Permission must be read, write or manage',
+      'any.required': 'Permission is required'
+    })
+  }),
+
+  // Revoke a grant
+  grantParams: Joi.object({
+    fileId: commonSchemas.fileId,
+    principalType: commonSchemas.principalType,
+    principalId: commonSchemas.principalId
+  }),
+
+  // Create a signed download link
+  createLink: Joi.object({
+    expiresIn: Joi.number().integer().min(60).messages({
+      'number.base': 'Expiry must be a number of seconds',
+      'number.min': 'Links must be valid for at least 60 seconds'
+    }),
+    maxDownloads: Joi.number().integer().min(1).max(1000000).messages({
+      'number.base': 'Max downloads must be a number',
+      'number.min': 'Max downloads must be at least 1'
+    }),
+    password: Joi.string().min(4).max(200).messages({
+      'string.min': 'Password must be at least 4 characters',
+      'string.max': 'Password too long'
+    }),
+    allowedIps: Joi.array()
+      .items(Joi.string().ip({ cidr: 'optional' }))
+      .max(50)
+      .messages({
+        'array.max': 'Too many IP addresses',
+        'string.ip': 'Allowed IPs must be IP addresses or CIDR ranges'
+      })
+  }),
+
+  // Revoke a signed download link
+  linkParams: Joi.object({
+    fileId: commonSchemas.fileId,
+    linkId: Joi.string().pattern(/^[a-f0-9]{32}$/).required().messages({
+      'string.pattern.base': 'Link ID must be a 32-character hexadecimal string',
+      'any.required': 'Link ID is required'
+    })
+  }),
+
+  // Download through a signed link
+  linkToken: Joi.object({
+    token: Joi.string().pattern(/^[a-f0-9]{32}\.\d{1,12}\.[A-Za-z0-9_-]{43}$/).required().messages({
+      'string.pattern.base': 'Invalid download link',
+      'any.required': 'Invalid download link'
+    })
+  }),
+
+  // Password of a protected download link, when sent as a form field
+  linkPassword: Joi.object({
+    password: Joi.string().max(200)
+  }),
+
+  // Issue an upload token
+  createUploadToken: Joi.object({
+    name: Joi.string().trim().max(255).messages({
+      'string.max': 'Token name too long'
+    }),
+    expiresIn: Joi.number().integer().min(60).messages({
+      'number.base': 'Expiry must be a number of seconds',
+      'number.min': 'Upload tokens must be valid for at least 60 seconds'
+    }),
+    maxUses: Joi.number().integer().min(1).max(10000).messages({
+      'number.base': 'Max uses must be a number',
+      'number.min': 'Max uses must be at least 1'
+    }),
+    maxFileSize: Joi.number().integer().min(1).messages({
+      'number.base': 'Max file size must be a number of bytes',
+      'number.min': 'Max file size must be positive'
+    }),
+    allowedMimeTypes: Joi.array()
+      .items(Joi.string().pattern(/^[\w.+-]+\/(\*|[\w.+-]+)$/))
+      .max(50)
+      .messages({
+        'array.max': 'Too many MIME types',
+        'string.pattern.base': 'Allowed MIME types must look like "type/subtype" or "type/*"'
+      }),
+    folderId: commonSchemas.folderId.optional().allow(null)
+  }),
+
+  // Revoke an upload token
+  uploadTokenParams: Joi.object({
+    tokenId: Joi.string().pattern(/^[a-f0-9]{32}$/).required().messages({
+      'string.pattern.base': 'Token ID must be a 32-character hexadecimal string',
+      'any.required': 'Token ID is required'
+    })
+  }),
+
+  // Create an S3 access key
+  createAccessKey: Joi.object({
+    name: Joi.string().trim().max(255).messages({
+      'string.max': 'Key name too long'
+    })
+  }),
+
+  // Revoke an S3 access key
+  accessKeyParams: Joi.object({
+    accessKeyId: Joi.string().pattern(/^AKFU[A-F0-9]{16}$/).required().messages({
+      'string.pattern.base': 'Invalid access key ID format',
+      'any.required': 'Access key ID is required'
+    })
+  }),
+
+  // Prune old versions
+  pruneVersions: Joi.object({
+    keep: Joi.number().integer().min(1).messages({
+      'number.base': 'Keep must be a number',
+      'number.min': 'Keep must be at least 1'
+    }),
+    olderThanDays: Joi.number().integer().min(0).messages({
+      'number.base': 'Age must be a number of days',
+      'number.min': 'Age cannot be negative'
+    })
+  }).or('keep', 'olderThanDays').messages({
+    'object.missing': 'Either keep or olderThanDays is required'
+  }),
+
   // Download file
   downloadFile: Joi.object({
     fileId: commonSchemas.fileId
+  }),
+
+  // Version to download
+  downloadQuery: Joi.object({
+    version: Joi.alternatives()
+      .try(Joi.number().integer().min(1), Joi.string().valid('current'))
+      .optional()
+      .messages({
+        'alternatives.types': 'Version must be a version number or "current"'
+      })
   })
 };
 
@@ -210,8 +562,32 @@ const validateCompleteUpload = validate(validationSchemas.completeUpload, 'body'
 const validateCancelUpload = validate(validationSchemas.cancelUpload, 'body');
 const validateGetUploadStatus = validate(validationSchemas.getUploadStatus, 'params');
 const validateListFiles = validate(validationSchemas.listFiles, 'query');
+const validateListTrash = validate(validationSchemas.listTrash, 'query');
 const validateDeleteFile = validate(validationSchemas.deleteFile, 'params');
+const validateUpdateRetention = validate(validationSchemas.updateRetention, 'body');
+const validateLegalHold = validate(validationSchemas.legalHold, 'body');
 const validateDownloadFile = validate(validationSchemas.downloadFile, 'params');
+const validateDownloadQuery = validate(validationSchemas.downloadQuery, 'query');
+const validatePruneVersions = validate(validationSchemas.pruneVersions, 'body');
+const validateCreateGrant = validate(validationSchemas.createGrant, 'body');
+const validateGrantParams = validate(validationSchemas.grantParams, 'params');
+const validateCreateLink = validate(validationSchemas.createLink, 'body');
+const validateLinkParams = validate(validationSchemas.linkParams, 'params');
+const validateListLinkUses = validate(validationSchemas.listLinkUses, 'query');
+const validateLinkToken = validate(validationSchemas.linkToken, 'params');
+const validateLinkPassword = validate(validationSchemas.linkPassword, 'body');
+const validateCreateUploadToken = validate(validationSchemas.createUploadToken, 'body');
+const validateUploadTokenParams = validate(validationSchemas.uploadTokenParams, 'params');
+const validateCreateAccessKey = validate(validationSchemas.createAccessKey, 'body');
+const validateAccessKeyParams = validate(validationSchemas.accessKeyParams, 'params');
+const validateCreateBatch = validate(validationSchemas.createBatch, 'body');
+const validateBatchParams = validate(validationSchemas.batchParams, 'params');
+const validateFolderParams = validate(validationSchemas.folderParams, 'params');
+const validateListFolder = validate(validationSchemas.listFolder, 'query');
+const validateCreateFolder = validate(validationSchemas.createFolder, 'body');
+const validateUpdateFolder = validate(validationSchemas.updateFolder, 'body');
+const validateDeleteFolder = validate(validationSchemas.deleteFolder, 'query');
+const validateMoveFile = validate(validationSchemas.moveFile, 'body');
 
 // Headers validation for chunk upload
 const validateChunkHeaders = (req, res, next) => {
@@ -219,7 +595,8 @@ const validateChunkHeaders = (req, res, next) => {
     const schema = Joi.object({
       'x-file-id': commonSchemas.fileId,
       'x-chunk-index': commonSchemas.chunkIndex,
-      'x-total-chunks': commonSchemas.totalChunks
+      'x-total-chunks': commonSchemas.totalChunks,
+      'x-chunk-checksum': commonSchemas.chunkChecksum
     });
 
     const { error, value } = schema.validate(req.headers, {
@@ -358,8 +735,32 @@ module.exports = {
   validateCancelUpload,
   validateGetUploadStatus,
   validateListFiles,
+  validateListTrash,
   validateDeleteFile,
+  validateUpdateRetention,
+  validateLegalHold,
   validateDownloadFile,
+  validateDownloadQuery,
+  validatePruneVersions,
+  validateCreateGrant,
+  validateGrantParams,
+  validateCreateLink,
+  validateLinkParams,
+  validateListLinkUses,
+  validateLinkToken,
+  validateLinkPassword,
+  validateCreateUploadToken,
+  validateUploadTokenParams,
+  validateCreateAccessKey,
+  validateAccessKeyParams,
+  validateCreateBatch,
+  validateBatchParams,
+  validateFolderParams,
+  validateListFolder,
+  validateCreateFolder,
+  validateUpdateFolder,
+  validateDeleteFolder,
+  validateMoveFile,
   validateChunkHeaders,
   validateFile,
   sanitizeInput,
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// An access key for the S3-compatible API, so stock AWS SDKs can sign
+// requests with Signature Version 4. The secret is derived from the key ID
+// with the server's secret (see config.accessKeys) and never stored.
+const accessKeySchema = new mongoose.Schema({
+  accessKeyId: {
+    type: String,
+    required: [true, 'Access key ID is required'],
+    unique: true,
+    validate: {
+      validator: (v) => /^AKFU[A-F0-9]{16}$/.test(v),
+      message: 'Invalid access key ID format'
+    }
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'Key name too long']
+  },
+  // The user requests signed with the key act as
+  userId: {
+    type: String,
+    required: [true, 'User is required'],
+    maxlength: [100, 'User name too long']
+  },
+  revokedAt: { type: Date },
+  revokedBy: {
+    type: String,
+    maxlength: [100, 'Revoker name too long']
+  },
+  lastUsedAt: { type: Date }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+accessKeySchema.index({ userId: 1, createdAt: -1 });
+
+// Static methods
+accessKeySchema.statics.findByAccessKeyId = function(accessKeyId) {
+  return this.findOne({ accessKeyId });
+};
+
+const AccessKey = mongoose.model('AccessKey', accessKeySchema);
+
+module.exports = AccessKey;
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// A signed URL that lets anyone holding it download one file without an
+// account. The token carries linkId and expiresAt under an HMAC, so the link
+// is only looked up once its signature checks out.
+const downloadLinkSchema = new mongoose.Schema({
+  linkId: {
+    type: String,
+    required: [true, 'Link ID is required'],
+    unique: true,
+    validate: {
+      validator: (v) => /^[a-f0-9]{32}$/.test(v),
+      message: 'Invalid link ID format'
+    }
+  },
+  fileId: {
+    type: String,
+    required: [true, 'File ID is required'],
+    validate: {
+      validator: (v) => /^[a-f0-9]{32}$/.test(v),
+      message: 'Invalid file ID format'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  // null allows any number of downloads until the link expires
+  maxDownloads: {
+    type: Number,
+    default: null,
+    min: [1, 'A link needs at least one download']
+  },
+  downloadCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // scrypt salt and hash as "<salt>:<hash>"; never returned by queries
+  passwordHash: {
+    type: String,
+    select: false
+  },
+  // Addresses or CIDR ranges the link may be used from; empty allows any
+  allowedIps: {
+    type: [String],
+    default: undefined
+  },
+  createdBy: {
+    type: String,
+    default: 'anonymous',
+    maxlength: [100, 'Creator name too long']
+  },
+  revokedAt: { type: Date },
+  revokedBy: {
+    type: String,
+    maxlength: [100, 'Revoker name too long']
+  },
+  lastUsedAt: { type: Date },
+  // The latest counted download: who made it, when, and the last byte served
+  // to it so far. Every use is recorded as a DownloadLinkUse.
+  lastDownload: {
+    type: new mongoose.Schema({
+      ip: { type: String },
+      userAgent: { type: String, maxlength: 500 },
+      startedAt: { type: Date },
+      end: { type: Number, min: 0 }
+    }, { _id: false }),
+    default: undefined
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.passwordHash;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+downloadLinkSchema.index({ fileId: 1, createdAt: -1 });
+
+// Static methods
+downloadLinkSchema.statics.findByLinkId = function(linkId) {
+  return this.findOne({ linkId });
+};
+
+const DownloadLink = mongoose.model('DownloadLink', downloadLinkSchema);
+
+module.exports = DownloadLink;
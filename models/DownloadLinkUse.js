@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One request served through a download link, kept for as long as the link's
+// audit trail is needed. Requests that continue the last download with the
+// next range are recorded as resumed and not counted against maxDownloads.
+const downloadLinkUseSchema = new mongoose.Schema({
+  linkId: {
+    type: String,
+    required: [true, 'Link ID is required'],
+    validate: {
+      validator: (v) => /^[a-f0-9]{32}$/.test(v),
+      message: 'Invalid link ID format'
+    }
+  },
+  fileId: {
+    type: String,
+    required: [true, 'File ID is required']
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  ip: { type: String },
+  userAgent: {
+    type: String,
+    maxlength: [500, 'User agent too long']
+  },
+  range: {
+    type: String,
+    maxlength: [100, 'Range too long']
+  },
+  resumed: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+downloadLinkUseSchema.index({ linkId: 1, at: -1 });
+
+const DownloadLinkUse = mongoose.model('DownloadLinkUse', downloadLinkUseSchema);
+
+module.exports = DownloadLinkUse;
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// A stored file, shared by every FileUpload with the same content
+const fileBlobSchema = new mongoose.Schema({
+  sha256: {
+    type: String,
+    required: [true, 'SHA-256 is required'],
+    unique: true,
+    validate: {
+      validator: (v) => /^[a-f0-9]{64}$/.test(v),
+      message: 'Invalid SHA-256 format'
+    }
+  },
+  md5: {
+    type: String,
+    validate: {
+      validator: (v) => !v || /^[a-f0-9]{32}$/.test(v),
+      message: 'Invalid MD5 format'
+    }
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: [0, 'Blob size cannot be negative']
+  },
+  // Location of the bytes (see services/storage)
+  storageDriver: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  // Data key envelope the stored bytes are encrypted with, if any
+  encryption: {
+    type: new mongoose.Schema({
+    algorithm: { type: String, enum: ['aes-256-gcm'], required: true },
+    keyId: { type: String, required: true },
+    wrappedKey: { type: String, required: true }
+  }, { _id: false }),
+    default: undefined
+  },
+  // Number of FileUpload records pointing at the stored file
+  refCount: {
+    type: Number,
+    default: 1,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+fileBlobSchema.index({ storageDriver: 1, storageKey: 1 });
+
+// Static methods
+
+// Take a reference to an existing blob; resolves to null if there is none.
+// Pass a size to only match content of that exact length.
+fileBlobSchema.statics.addReference = function(sha256, size = null) {
+  const filter = { sha256 };
+  if (size !== null) {
+    filter.size = size;
+  }
+
+  return this.findOneAndUpdate(
+    filter,
+    { $inc: { refCount: 1 } },
+    { new: true }
+  );
+};
+
+// Record a newly stored file; resolves to null if the content was
+// registered concurrently by another upload
+fileBlobSchema.statics.register = async function({ sha256, md5, size, location, encryption }) {
+  try {
+    return await this.create({
+      sha256,
+      md5,
+      size,
+      storageDriver: location.driver,
+      storageKey: location.key,
+      encryption,
+      refCount: 1
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Drop a reference to a stored file. Resolves to true when nothing refers to
+// it any more and the file should be deleted. Files stored before
+// deduplication have no blob record and are owned by a single upload.
+fileBlobSchema.statics.releaseReference = async function(location) {
+  const filter = { storageDriver: location.driver, storageKey: location.key };
+  const blob = await this.findOneAndUpdate(
+    { ...filter, refCount: { $gt: 0 } },
+    { $inc: { refCount: -1 } },
+    { new: true }
+  );
+
+  if (!blob) {
+    return !(await this.exists(filter));
+  }
+
+  if (blob.refCount > 0) {
+    return false;
+  }
+
+  // Only delete if no upload took a new reference in the meantime
+  const deleted = await this.findOneAndDelete({ _id: blob._id, refCount: { $lte: 0 } });
+  return Boolean(deleted);
+};
+
+const FileBlob = mongoose.model('FileBlob', fileBlobSchema);
+
+module.exports = FileBlob;
@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const config = require('../config');
 
+// Statuses whose record only describes an upload session, not a stored file
+const SESSION_STATUSES = ['pending', 'uploading', 'failed', 'cancelled'];
+
 // Enhanced File Upload Schema with validation
 const fileUploadSchema = new mongoose.Schema({
   fileId: { 
@@ -31,9 +34,12 @@ const fileUploadSchema = new mongoose.Schema({
       message: 'File type not allowed'
     }
   },
+  // Unknown (null) for S3 multipart uploads until they are completed
   size: { 
     type: Number, 
-    required: true,
+    required: function() {
+      return !(this.metadata && this.metadata.s3);
+    },
     min: [0, 'File size cannot be negative'],
     max: [config.upload.totalSizeLimit, 'File size exceeds maximum limit']
   },
@@ -42,11 +48,40 @@ const fileUploadSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Set of chunk indices actually received, so chunks may arrive out of order
+  receivedChunks: {
+    type: [Number],
+    default: []
+  },
   totalChunks: { 
     type: Number, 
     required: true,
     min: [1, 'Total chunks must be at least 1']
   },
+  // Verified per-chunk digests ("<algorithm>:<hex>") keyed by chunk index
+  chunkChecksums: {
+    type: Map,
+    of: String
+  },
+  // Fixed chunk size for byte-stream protocols (tus) that map offsets onto chunks
+  chunkSize: {
+    type: Number,
+    min: [1, 'Chunk size must be at least 1']
+  },
+  uploadOffset: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // S3 multipart part details keyed by part number
+  parts: {
+    type: Map,
+    of: new mongoose.Schema({
+      etag: { type: String, required: true },
+      size: { type: Number, required: true, min: 0 },
+      lastModified: { type: Date, default: Date.now }
+    }, { _id: false })
+  },
   status: { 
     type: String, 
     enum: {
@@ -55,6 +90,37 @@ const fileUploadSchema = new mongoose.Schema({
     },
     default: 'pending'
   },
+  // Where the completed file's bytes live (see services/storage)
+  storageDriver: {
+    type: String,
+    enum: {
+      values: ['gridfs', 'local', 's3'],
+      message: 'Invalid storage driver'
+    }
+  },
+  storageKey: {
+    type: String,
+    maxlength: [1024, 'Storage key too long']
+  },
+  storageTier: {
+    type: String,
+    enum: {
+      values: ['hot', 'cold'],
+      message: 'Invalid storage tier'
+    }
+  },
+  tierChangedAt: { type: Date },
+  // Per-file data key wrapped by a master key (see services/encryption);
+  // absent for uploads stored in plaintext
+  encryption: {
+    type: new mongoose.Schema({
+    algorithm: { type: String, enum: ['aes-256-gcm'], required: true },
+    keyId: { type: String, required: true },
+    wrappedKey: { type: String, required: true }
+  }, { _id: false }),
+    default: undefined
+  },
+  // GridFS id of files stored before storage drivers were introduced
   gridFsId: { 
     type: mongoose.Schema.Types.ObjectId
   },
@@ -63,15 +129,113 @@ const fileUploadSchema = new mongoose.Schema({
     default: 'anonymous',
     maxlength: [100, 'Uploader name too long']
   },
+  // Token subject of the user the file belongs to. Versions keep the owner of
+  // the file they were added to; files from before ownership have none and
+  // are only accessible to admins.
+  ownerId: {
+    type: String,
+    default: null,
+    maxlength: [100, 'Owner ID too long']
+  },
+  // Users and groups the file is shared with; every version carries the same
+  // grants. Each permission includes the ones before it: read, write, manage.
+  acl: {
+    type: [new mongoose.Schema({
+      principalType: { type: String, enum: ['user', 'group'], required: true },
+      principalId: { type: String, required: true, maxlength: [100, 'Principal ID too long'] },
+      permission: { type: String, enum: ['read', 'write', 'manage'], required: true },
+      grantedBy: { type: String, maxlength: [100, 'Granter name too long'] },
+      grantedAt: { type: Date, default: Date.now }
+    }, { _id: false })],
+    default: undefined
+  },
+  // Upload token an external uploader started this upload with; its holder
+  // can only reach the uploads it started
+  uploadTokenId: {
+    type: String,
+    validate: {
+      validator: (v) => !v || /^[a-f0-9]{32}$/.test(v),
+      message: 'Invalid upload token ID format'
+    }
+  },
   uploadedFrom: {
     ip: { type: String },
     userAgent: { type: String },
     referer: { type: String }
   },
+  // Deadline for finishing an incomplete upload session; cleared on completion
   expiresAt: { 
     type: Date,
     default: () => new Date(Date.now() + config.upload.fileExpiryHours * 60 * 60 * 1000)
   },
+  // Retention of the completed file: a fixed date in `deleteAfter`, otherwise
+  // days counted from completion (unset: FILE_RETENTION_DAYS, 0: forever)
+  retentionDays: {
+    type: Number,
+    min: [0, 'Retention cannot be negative']
+  },
+  deleteAfter: { type: Date },
+  // Earliest time the file may be deleted, set by retention rules (services/retention)
+  retainUntil: { type: Date },
+  // A file on legal hold is never deleted or expired until the hold is released
+  legalHold: {
+    type: Boolean,
+    default: false
+  },
+  legalHoldEvents: {
+    type: [new mongoose.Schema({
+      action: { type: String, enum: ['placed', 'released'], required: true },
+      reason: { type: String, required: true, maxlength: [1000, 'Reason too long'] },
+      requestedBy: { type: String, default: 'anonymous', maxlength: [100, 'Requester name too long'] },
+      at: { type: Date, default: Date.now }
+    }, { _id: false })],
+    default: undefined
+  },
+  tags: {
+    type: [String],
+    default: undefined
+  },
+  // Versions of one logical file share logicalFileId (the fileId of version 1);
+  // the current version is the one listed and downloaded by default
+  logicalFileId: {
+    type: String,
+    validate: {
+      validator: (v) => !v || /^[a-f0-9]{32}$/.test(v),
+      message: 'Invalid logical file ID format'
+    }
+  },
+  version: {
+    type: Number,
+    default: 1,
+    min: [1, 'Version must be at least 1']
+  },
+  isCurrentVersion: {
+    type: Boolean,
+    default: true
+  },
+  // Virtual folder the file is listed in (see models/Folder.js); unset is the root
+  folderId: { type: String, default: null },
+  // Path inside an uploaded directory, e.g. "photos/2024/beach.jpg"
+  relativePath: {
+    type: String,
+    maxlength: [1024, 'Relative path too long']
+  },
+  // Files uploaded together share a client-chosen batchId; batchSize is how
+  // many files the batch holds in total
+  batchId: {
+    type: String,
+    validate: {
+      validator: (v) => !v || /^[A-Za-z0-9_-]{8,64}$/.test(v),
+      message: 'Invalid batch ID format'
+    }
+  },
+  batchSize: {
+    type: Number,
+    min: [1, 'Batch size must be at least 1']
+  },
+  // Set while a deleted file sits in the trash; it is purged after purgeAfter
+  trashedAt: { type: Date },
+  purgeAfter: { type: Date },
   metadata: { 
     type: Object, 
     default: {},
@@ -92,13 +256,29 @@ const fileUploadSchema = new mongoose.Schema({
     default: 0,
     max: [config.upload.maxRetries, 'Retry count exceeds maximum']
   },
+  // SHA-256 of the stored file, computed while merging (older records hold an MD5)
   checksum: {
     type: String,
     validate: {
-      validator: (v) => !v || /^[a-f0-9]{32}$/.test(v),
+      validator: (v) => !v || /^([a-f0-9]{32}|[a-f0-9]{64})$/.test(v),
       message: 'Invalid checksum format'
     }
   },
+  md5: {
+    type: String,
+    validate: {
+      validator: (v) => !v || /^[a-f0-9]{32}$/.test(v),
+      message: 'Invalid MD5 format'
+    }
+  },
+  // SHA-256 announced by the client at init; the merged file must match it
+  expectedChecksum: {
+    type: String,
+    validate: {
+      validator: (v) => !v || /^[a-f0-9]{64}$/.test(v),
+      message: 'Invalid expected checksum format'
+    }
+  },
   processingStartedAt: { type: Date },
   processingCompletedAt: { type: Date },
   downloadCount: { 
@@ -167,11 +347,28 @@ fileUploadSchema.virtual('uploadDuration').get(function() {
 fileUploadSchema.index({ fileId: 1 }, { unique: true });
 fileUploadSchema.index({ status: 1 });
 fileUploadSchema.index({ createdAt: -1 });
-fileUploadSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// Not a TTL index: expiry and retention are enforced by the cleanup reaper,
+// which removes the stored file together with its record
+fileUploadSchema.index({ status: 1, expiresAt: 1 });
+fileUploadSchema.index({ status: 1, deleteAfter: 1 });
+fileUploadSchema.index({ legalHold: 1 });
+fileUploadSchema.index({ tags: 1 });
+fileUploadSchema.index({ trashedAt: -1 });
+fileUploadSchema.index({ folderId: 1, trashedAt: 1, createdAt: -1 });
+fileUploadSchema.index({ batchId: 1 });
+fileUploadSchema.index({ ownerId: 1, trashedAt: 1, createdAt: -1 });
+fileUploadSchema.index({ 'acl.principalType': 1, 'acl.principalId': 1 });
+fileUploadSchema.index(
+  { logicalFileId: 1, version: -1 },
+  { unique: true, partialFilterExpression: { logicalFileId: { $type: 'string' } } }
+);
+fileUploadSchema.index({ purgeAfter: 1 });
 fileUploadSchema.index({ uploadedBy: 1 });
 fileUploadSchema.index({ mimeType: 1 });
 fileUploadSchema.index({ size: 1 });
 fileUploadSchema.index({ gridFsId: 1 });
+fileUploadSchema.index({ storageDriver: 1, storageKey: 1 });
+fileUploadSchema.index({ status: 1, storageTier: 1 });
 fileUploadSchema.index({ 'uploadedFrom.ip': 1 });
 fileUploadSchema.index({ lastDownloadedAt: -1 });
 
@@ -260,13 +457,34 @@ fileUploadSchema.methods.markAsProcessing = function() {
   );
 };
 
-fileUploadSchema.methods.markAsCompleted = function(gridFsId) {
+// When a file completed at `completedAt` is due for deletion (null: keep forever),
+// never before retention rules allow it
+fileUploadSchema.methods.getRetentionDeadline = function(completedAt = new Date()) {
+  if (this.deleteAfter) return this.deleteAfter;
+
+  const days = this.retentionDays ?? config.upload.retentionDays;
+  if (!days) return null;
+
+  const deadline = new Date(completedAt.getTime() + days * 24 * 60 * 60 * 1000);
+  return this.retainUntil && this.retainUntil > deadline ? this.retainUntil : deadline;
+};
+
+// `encryption` is the data key envelope the stored bytes were sealed with
+fileUploadSchema.methods.markAsCompleted = function(location, digests = {}, encryption = null) {
+  const completedAt = new Date();
   return this.constructor.findOneAndUpdate(
     { _id: this._id },
     { 
       status: 'completed',
-      gridFsId: gridFsId,
-      processingCompletedAt: new Date()
+      storageDriver: location.driver,
+      storageKey: location.key,
+      storageTier: location.tier || 'hot',
+      encryption,
+      checksum: digests.sha256,
+      md5: digests.md5,
+      processingCompletedAt: completedAt,
+      expiresAt: null,
+      deleteAfter: this.getRetentionDeadline(completedAt)
     },
     { new: true }
   );
@@ -299,8 +517,9 @@ fileUploadSchema.methods.incrementDownloadCount = function() {
 };
 
 fileUploadSchema.methods.updateChunkProgress = function(chunkIndex) {
-  if (chunkIndex >= this.uploadedChunks) {
-    this.uploadedChunks = chunkIndex + 1;
+  if (!this.isChunkUploaded(chunkIndex)) {
+    this.receivedChunks.push(chunkIndex);
+    this.uploadedChunks = this.receivedChunks.length;
     if (this.status === 'pending') {
       this.status = 'uploading';
     }
@@ -309,39 +528,155 @@ fileUploadSchema.methods.updateChunkProgress = function(chunkIndex) {
 };
 
 fileUploadSchema.methods.isChunkUploaded = function(chunkIndex) {
-  return chunkIndex < this.uploadedChunks;
+  return (this.receivedChunks || []).includes(chunkIndex);
 };
 
 fileUploadSchema.methods.getMissingChunks = function() {
+  const received = new Set(this.receivedChunks || []);
   const missing = [];
   for (let i = 0; i < this.totalChunks; i++) {
-    if (i >= this.uploadedChunks) {
+    if (!received.has(i)) {
       missing.push(i);
     }
   }
   return missing;
 };
 
+fileUploadSchema.methods.hasAllChunks = function() {
+  return this.getMissingChunks().length === 0;
+};
+
 // Static methods
 fileUploadSchema.statics.findByFileId = function(fileId) {
   return this.findOne({ fileId });
 };
 
+// Atomically record a received chunk; safe under concurrent and repeated calls
+fileUploadSchema.statics.markChunkReceived = function(fileId, chunkIndex, checksum = null) {
+  const recordChunk = {
+    receivedChunks: {
+      $setUnion: [{ $ifNull: ['$receivedChunks', []] }, [chunkIndex]]
+    }
+  };
+  if (checksum) {
+    recordChunk[`chunkChecksums.${chunkIndex}`] = { $literal: checksum };
+  }
+
+  return this.findOneAndUpdate(
+    {
+      fileId,
+      status: { $in: ['pending', 'uploading'] }
+    },
+    [
+      { $set: recordChunk },
+      {
+        $set: {
+          uploadedChunks: { $size: '$receivedChunks' },
+          status: 'uploading'
+        }
+      }
+    ],
+    { new: true }
+  );
+};
+
+// Forget a chunk (e.g. it failed integrity checks) so the client re-sends it
+fileUploadSchema.statics.markChunkMissing = function(fileId, chunkIndex) {
+  return this.findOneAndUpdate(
+    { fileId },
+    [
+      {
+        $set: {
+          receivedChunks: {
+            $setDifference: [{ $ifNull: ['$receivedChunks', []] }, [chunkIndex]]
+          }
+        }
+      },
+      {
+        $set: {
+          uploadedChunks: { $size: '$receivedChunks' },
+          status: 'uploading'
+        }
+      },
+      { $unset: `chunkChecksums.${chunkIndex}` }
+    ],
+    { new: true }
+  );
+};
+
 fileUploadSchema.statics.findByStatus = function(status) {
   return this.find({ status });
 };
 
+// Upload sessions that were not finished in time
 fileUploadSchema.statics.findExpired = function() {
   return this.find({
-    expiresAt: { $lt: new Date() }
+    status: { $in: SESSION_STATUSES },
+    expiresAt: { $lt: new Date() },
+    legalHold: { $ne: true }
   });
 };
 
+// Completed files whose retention has run out
+fileUploadSchema.statics.findRetentionExpired = function(limit = 0) {
+  const now = new Date();
+  return this.find({
+    status: 'completed',
+    deleteAfter: { $lt: now },
+    ...this.deletableFilter(now)
+  }).limit(limit);
+};
+
+// Trashed files whose grace period is over
+fileUploadSchema.statics.findPurgeable = function() {
+  return this.find({
+    trashedAt: { $ne: null },
+    purgeAfter: { $lt: new Date() }
+  });
+};
+
+// Every version of the logical file a record belongs to (records from before
+// versioning are a logical file of their own)
+fileUploadSchema.statics.versionFilter = function(record) {
+  return record.logicalFileId
+    ? { logicalFileId: record.logicalFileId }
+    : { fileId: record.fileId };
+};
+
+// Make one version the current version of its logical file
+fileUploadSchema.statics.makeCurrentVersion = async function(record) {
+  await this.updateMany(
+    { ...this.versionFilter(record), fileId: { $ne: record.fileId }, isCurrentVersion: { $ne: false } },
+    { isCurrentVersion: false }
+  );
+  return this.findOneAndUpdate({ fileId: record.fileId }, { isCurrentVersion: true }, { new: true });
+};
+
+// After the current version went away, promote the newest remaining completed version
+fileUploadSchema.statics.ensureCurrentVersion = async function(record) {
+  const filter = { ...this.versionFilter(record), trashedAt: null };
+  if (await this.exists({ ...filter, isCurrentVersion: { $ne: false } })) {
+    return null;
+  }
+
+  const newest = await this.findOne({ ...filter, status: 'completed' }).sort({ version: -1 }).lean();
+  return newest ? this.makeCurrentVersion(newest) : null;
+};
+
+// Records that neither a legal hold nor a retention rule protects at `now`
+fileUploadSchema.statics.deletableFilter = function(now = new Date()) {
+  return {
+    legalHold: { $ne: true },
+    $or: [{ retainUntil: null }, { retainUntil: { $lte: now } }]
+  };
+};
+
 fileUploadSchema.statics.findStale = function(hours = 2) {
   const cutoffTime = new Date(Date.now() - hours * 60 * 60 * 1000);
   return this.find({
     status: { $in: ['pending', 'uploading'] },
-    updatedAt: { $lt: cutoffTime }
+    updatedAt: { $lt: cutoffTime },
+    legalHold: { $ne: true }
   });
 };
 
@@ -359,8 +694,10 @@ fileUploadSchema.statics.findBySizeRange = function(minSize, maxSize) {
   });
 };
 
-fileUploadSchema.statics.getStats = async function() {
+// Counts and sizes of the files matching `filter`, e.g. one user's files
+fileUploadSchema.statics.getStats = async function(filter = {}) {
   const stats = await this.aggregate([
+    { $match: filter },
     {
       $group: {
         _id: '$status',
@@ -371,14 +708,52 @@ fileUploadSchema.statics.getStats = async function() {
     }
   ]);
 
-  const totalFiles = await this.countDocuments();
+  const totalFiles = await this.countDocuments(filter);
   const totalSize = await this.aggregate([
+    { $match: filter },
     { $group: { _id: null, totalSize: { $sum: '$size' } } }
   ]);
 
+  // Deduplicated uploads share a stored file, so physical bytes count each file once
+  const storage = await this.aggregate([
+    { $match: filter },
+    {
+      $match: {
+        status: 'completed',
+        $or: [{ storageKey: { $ne: null } }, { gridFsId: { $ne: null } }]
+      }
+    },
+    {
+      $group: {
+        _id: {
+          driver: { $ifNull: ['$storageDriver', 'gridfs'] },
+          key: { $ifNull: ['$storageKey', { $toString: '$gridFsId' }] }
+        },
+        size: { $first: '$size' },
+        references: { $sum: 1 }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        logicalSize: { $sum: { $multiply: ['$size', '$references'] } },
+        physicalSize: { $sum: '$size' },
+        storedFiles: { $sum: 1 }
+      }
+    }
+  ]);
+  const logicalSize = storage[0]?.logicalSize || 0;
+  const physicalSize = storage[0]?.physicalSize || 0;
+
   return {
     totalFiles,
     totalSize: totalSize[0]?.totalSize || 0,
+    storage: {
+      logicalSize,
+      physicalSize,
+      savedSize: logicalSize - physicalSize,
+      storedFiles: storage[0]?.storedFiles || 0
+    },
     byStatus: stats.reduce((acc, stat) => {
       acc[stat._id] = {
         count: stat.count,
@@ -392,7 +767,9 @@ fileUploadSchema.statics.getStats = async function() {
 
 fileUploadSchema.statics.cleanupExpired = async function() {
   const result = await this.deleteMany({
-    expiresAt: { $lt: new Date() }
+    status: { $in: SESSION_STATUSES },
+    expiresAt: { $lt: new Date() },
+    legalHold: { $ne: true }
   });
   return result.deletedCount;
 };
@@ -401,7 +778,8 @@ fileUploadSchema.statics.cleanupStale = async function(hours = 2) {
   const cutoffTime = new Date(Date.now() - hours * 60 * 60 * 1000);
   const result = await this.deleteMany({
     status: { $in: ['pending', 'uploading'] },
-    updatedAt: { $lt: cutoffTime }
+    updatedAt: { $lt: cutoffTime },
+    legalHold: { $ne: true }
   });
   return result.deletedCount;
 };
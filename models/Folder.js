@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A virtual folder. Files point at one through FileUpload.folderId; folders
+// without a parentId live at the root.
+const folderSchema = new mongoose.Schema({
+  folderId: {
+    type: String,
+    required: [true, 'Folder ID is required'],
+    unique: true,
+    validate: {
+      validator: (v) => /^[a-f0-9]{32}$/.test(v),
+      message: 'Invalid folder ID format'
+    }
+  },
+  name: {
+    type: String,
+    required: [true, 'Folder name is required'],
+    maxlength: [255, 'Folder name too long'],
+    trim: true,
+    validate: {
+      validator: (v) => !/[/\\]/.test(v) && v !== '.' && v !== '..',
+      message: 'Invalid folder name'
+    }
+  },
+  parentId: {
+    type: String,
+    default: null
+  },
+  // Folder IDs from the root down to the parent, for breadcrumbs and subtree queries
+  ancestors: {
+    type: [String],
+    default: []
+  },
+  // The owner: only they (and admins) can see and change the folder, and it
+  // only holds their files
+  createdBy: {
+    type: String,
+    default: 'anonymous',
+    maxlength: [100, 'Creator name too long']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+// Names are unique per owner, so users can have top-level folders of the same name
+folderSchema.index({ createdBy: 1, parentId: 1, name: 1 }, { unique: true });
+folderSchema.index({ ancestors: 1 });
+
+// Static methods
+folderSchema.statics.findByFolderId = function(folderId) {
+  return this.findOne({ folderId });
+};
+
+// The folder and everything below it
+folderSchema.statics.subtreeFilter = function(folderId) {
+  return { $or: [{ folderId }, { ancestors: folderId }] };
+};
+
+const Folder = mongoose.model('Folder', folderSchema);
+
+module.exports = Folder;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// A set of uploads that belong together. Members are FileUpload records with
+// the batch's batchId; the batch completes once all expectedFiles of them
+// have completed and fails as soon as one of them fails.
+const uploadBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    required: [true, 'Batch ID is required'],
+    unique: true,
+    validate: {
+      validator: (v) => /^[A-Za-z0-9_-]{8,64}$/.test(v),
+      message: 'Invalid batch ID format'
+    }
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'Batch name too long']
+  },
+  status: {
+    type: String,
+    enum: ['uploading', 'completed', 'failed', 'rolled_back'],
+    default: 'uploading'
+  },
+  expectedFiles: {
+    type: Number,
+    required: [true, 'Expected file count is required'],
+    min: [1, 'A batch needs at least one file']
+  },
+  // Members initialized so far, reserved atomically so a batch never overfills
+  initializedFiles: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Permanently delete every member when one of them fails
+  rollbackOnFailure: {
+    type: Boolean,
+    default: false
+  },
+  // POSTed once when the batch completes or fails
+  callbackUrl: {
+    type: String,
+    maxlength: [2048, 'Callback URL too long']
+  },
+  callbackDeliveredAt: { type: Date },
+  callbackError: { type: String },
+  createdBy: {
+    type: String,
+    default: 'anonymous',
+    maxlength: [100, 'Creator name too long']
+  },
+  failedFileId: { type: String },
+  completedAt: { type: Date },
+  failedAt: { type: Date },
+  rolledBackAt: { type: Date }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+uploadBatchSchema.index({ status: 1, createdAt: -1 });
+
+// Static methods
+uploadBatchSchema.statics.findByBatchId = function(batchId) {
+  return this.findOne({ batchId });
+};
+
+const UploadBatch = mongoose.model('UploadBatch', uploadBatchSchema);
+
+module.exports = UploadBatch;
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Lets someone without an account start uploads through /api/upload/init,
+// within the limits set here. Files uploaded with it belong to the token's
+// creator and go into its folder. The token string carries tokenId and
+// expiresAt under an HMAC, like download links.
+const uploadTokenSchema = new mongoose.Schema({
+  tokenId: {
+    type: String,
+    required: [true, 'Token ID is required'],
+    unique: true,
+    validate: {
+      validator: (v) => /^[a-f0-9]{32}$/.test(v),
+      message: 'Invalid token ID format'
+    }
+  },
+  // Who the token is for, shown on the drop box page
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'Token name too long']
+  },
+  createdBy: {
+    type: String,
+    required: [true, 'Creator is required'],
+    maxlength: [100, 'Creator name too long']
+  },
+  // null uploads to the root folder
+  folderId: {
+    type: String,
+    default: null
+  },
+  // null falls back to TOTAL_SIZE_LIMIT
+  maxFileSize: {
+    type: Number,
+    default: null,
+    min: [1, 'Max file size must be positive']
+  },
+  // Exact types or "type/*" wildcards; empty allows any type
+  allowedMimeTypes: {
+    type: [String],
+    default: undefined
+  },
+  // Uploads can only be started before this; started ones may still finish
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  maxUses: {
+    type: Number,
+    default: 1,
+    min: [1, 'A token needs at least one use']
+  },
+  // Uploads started, reserved atomically so a token is never overused
+  useCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  revokedAt: { type: Date },
+  revokedBy: {
+    type: String,
+    maxlength: [100, 'Revoker name too long']
+  },
+  lastUsedAt: { type: Date },
+  // Every upload started with the token
+  uses: {
+    type: [new mongoose.Schema({
+      at: { type: Date, default: Date.now },
+      fileId: { type: String },
+      fileName: { type: String, maxlength: 255 },
+      fileSize: { type: Number },
+      ip: { type: String }
+    }, { _id: false })],
+    default: undefined
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+uploadTokenSchema.index({ createdBy: 1, createdAt: -1 });
+
+// Static methods
+uploadTokenSchema.statics.findByTokenId = function(tokenId) {
+  return this.findOne({ tokenId });
+};
+
+const UploadToken = mongoose.model('UploadToken', uploadTokenSchema);
+
+module.exports = UploadToken;
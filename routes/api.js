@@ -1,17 +1,46 @@
 const express = require('express');
 const multer = require('multer');
-const fs = require('fs').promises;
-const path = require('path');
 const config = require('../config');
-const { UploadController, FileController, HealthController } = require('../controllers');
+const fileUploadService = require('../services/fileUpload');
+const { parseChecksum } = require('../utils/checksum');
+const { 
+  UploadController, 
+  TusController, 
+  S3Controller, 
+  FileController, 
+  FolderController,
+  HealthController 
+} = require('../controllers');
 const { 
   validateInitUpload,
   validateCompleteUpload,
   validateCancelUpload,
   validateGetUploadStatus,
   validateListFiles,
+  validateListTrash,
   validateDeleteFile,
+  validateUpdateRetention,
+  validateLegalHold,
   validateDownloadFile,
+  validateDownloadQuery,
+  validatePruneVersions,
+  validateCreateBatch,
+  validateBatchParams,
+  validateFolderParams,
+  validateListFolder,
+  validateCreateFolder,
+  validateUpdateFolder,
+  validateDeleteFolder,
+  validateMoveFile,
+  validateCreateGrant,
+  validateGrantParams,
+  validateCreateLink,
+  validateLinkParams,
+  validateListLinkUses,
+  validateCreateUploadToken,
+  validateUploadTokenParams,
+  validateCreateAccessKey,
+  validateAccessKeyParams,
   validateChunkHeaders,
   validateFile
 } = require('../middleware/validation');
@@ -21,51 +50,46 @@ const {
   apiRateLimit,
   uploadSecurity
 } = require('../middleware/security');
+const {
+  authenticate,
+  authenticateUploadToken,
+  authenticateSigV4,
+  authorizeFile
+} = require('../middleware/auth');
+const { tusProtocol, validateTusPatch } = require('../middleware/tus');
+const { s3XmlBody, s3ErrorHandler } = require('../middleware/s3');
 
 const router = express.Router();
 
-// Multer configuration for chunk uploads
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    try {
-      const fileId = req.headers['x-file-id'];
-      
-      if (!fileId || !/^[a-f0-9]{32}$/.test(fileId)) {
-        return cb(new Error('Invalid file ID'));
-      }
-      
-      const chunkDir = path.join(config.upload.uploadDir, fileId);
-      
-      try {
-        // Ensure base upload directory exists first
-        await fs.mkdir(config.upload.uploadDir, { recursive: true });
-        // Then ensure chunk directory exists
-        await fs.mkdir(chunkDir, { recursive: true });
-      } catch (mkdirError) {
-        console.error('Directory creation error:', mkdirError);
-        return cb(mkdirError);
-      }
-      
-      cb(null, chunkDir);
-    } catch (error) {
-      console.error('Multer destination error:', error);
-      cb(error);
+// Multer storage engine that streams each chunk body to a staging file,
+// hashing it on the way, instead of buffering it in memory
+const storage = {
+  _handleFile: (req, file, cb) => {
+    const fileId = req.headers['x-file-id'];
+    const chunkIndex = Number(req.headers['x-chunk-index']);
+
+    if (!fileId || !/^[a-f0-9]{32}$/.test(fileId)) {
+      return cb(new Error('Invalid file ID'));
     }
-  },
-  filename: (req, file, cb) => {
-    try {
-      const chunkIndex = parseInt(req.headers['x-chunk-index']);
-      
-      if (isNaN(chunkIndex) || chunkIndex < 0) {
-        return cb(new Error('Invalid chunk index'));
-      }
-      
-      cb(null, `chunk-${chunkIndex}`);
-    } catch (error) {
-      cb(error);
+
+    if (!Number.isInteger(chunkIndex) || chunkIndex < 0) {
+      return cb(new Error('Invalid chunk index'));
     }
+
+    // Compute the digest the client announced while the bytes stream through
+    const checksum = parseChecksum(req.headers['x-chunk-checksum']);
+    const algorithms = checksum ? [checksum.split(':')[0]] : [];
+
+    fileUploadService.stageChunk(fileId, chunkIndex, file.stream, algorithms)
+      .then(stagedChunk => cb(null, stagedChunk))
+      .catch(cb);
+  },
+  _removeFile: (req, file, cb) => {
+    fileUploadService.discardStagedChunk(file)
+      .then(() => cb(null))
+      .catch(cb);
   }
-});
+};
 
 const fileFilter = (req, file, cb) => {
   try {
@@ -91,6 +115,16 @@ const upload = multer({
   fileFilter
 });
 
+// Health check routes
+router.get('/health', HealthController.healthCheck);
+router.get('/health/detailed', HealthController.detailedHealthCheck);
+
+// Every route below needs a bearer token; the chunked upload routes also
+// take an upload token, and the S3 routes a SigV4 signature
+router.use('/upload', authenticateUploadToken);
+router.use('/s3', authenticateSigV4);
+router.use(authenticate);
+
 // Upload routes
 router.post('/upload/init', 
   uploadRateLimit,
@@ -103,6 +137,7 @@ router.post('/upload/chunk',
   chunkRateLimit,
   uploadSecurity,
   validateChunkHeaders,
+  authorizeFile('write'),
   upload.single('chunk'),
   validateFile,
   UploadController.uploadChunk
@@ -112,6 +147,7 @@ router.post('/upload/complete',
   uploadRateLimit,
   uploadSecurity,
   validateCompleteUpload,
+  authorizeFile('write'),
   UploadController.completeUpload
 );
 
@@ -128,6 +164,117 @@ router.post('/upload/cancel',
   UploadController.cancelUpload
 );
 
+// Limits of the upload token the request was made with
+router.get('/upload/token',
+  apiRateLimit,
+  UploadController.getUploadToken
+);
+
+router.get('/upload-tokens',
+  apiRateLimit,
+  UploadController.listUploadTokens
+);
+
+router.post('/upload-tokens',
+  apiRateLimit,
+  validateCreateUploadToken,
+  UploadController.createUploadToken
+);
+
+router.delete('/upload-tokens/:tokenId',
+  apiRateLimit,
+  validateUploadTokenParams,
+  UploadController.revokeUploadToken
+);
+
+// Access keys for SigV4-signed requests to the S3 API
+router.get('/access-keys',
+  apiRateLimit,
+  UploadController.listAccessKeys
+);
+
+router.post('/access-keys',
+  apiRateLimit,
+  validateCreateAccessKey,
+  UploadController.createAccessKey
+);
+
+router.delete('/access-keys/:accessKeyId',
+  apiRateLimit,
+  validateAccessKeyParams,
+  UploadController.revokeAccessKey
+);
+
+router.post('/batches',
+  uploadRateLimit,
+  uploadSecurity,
+  validateCreateBatch,
+  UploadController.createBatch
+);
+
+router.get('/batches/:batchId',
+  apiRateLimit,
+  validateBatchParams,
+  UploadController.getBatchStatus
+);
+
+// tus 1.0 resumable upload routes
+router.use('/tus', tusProtocol);
+
+router.options(['/tus', '/tus/:fileId'], TusController.getServerInfo);
+
+router.post('/tus', 
+  uploadRateLimit,
+  TusController.createUpload
+);
+
+router.head('/tus/:fileId', 
+  apiRateLimit,
+  authorizeFile('read'),
+  TusController.getUploadOffset
+);
+
+router.patch('/tus/:fileId', 
+  chunkRateLimit,
+  validateTusPatch,
+  authorizeFile('write'),
+  TusController.appendData
+);
+
+router.delete('/tus/:fileId', 
+  uploadRateLimit,
+  authorizeFile('write'),
+  TusController.terminateUpload
+);
+
+// S3-compatible multipart upload routes (path-style: /s3/:bucket/:key)
+router.post('/s3/:bucket/*', 
+  uploadRateLimit,
+  s3XmlBody,
+  authorizeFile('write'),
+  S3Controller.handlePost
+);
+
+router.put('/s3/:bucket/*', 
+  chunkRateLimit,
+  authorizeFile('write'),
+  S3Controller.handlePut
+);
+
+router.get('/s3/:bucket/*', 
+  apiRateLimit,
+  authorizeFile('read'),
+  S3Controller.handleGet
+);
+
+router.delete('/s3/:bucket/*', 
+  uploadRateLimit,
+  authorizeFile('write'),
+  S3Controller.handleDelete
+);
+
+router.use('/s3', s3ErrorHandler);
+
 // File routes
 router.get('/files', 
   apiRateLimit,
@@ -146,14 +293,179 @@ router.delete('/files/:fileId',
   FileController.deleteFile
 );
 
+router.get('/files/:fileId/versions',
+  apiRateLimit,
+  validateDeleteFile,
+  authorizeFile('read'),
+  FileController.listVersions
+);
+
+router.post('/files/:fileId/versions/prune',
+  apiRateLimit,
+  validateDeleteFile,
+  validatePruneVersions,
+  authorizeFile('write'),
+  FileController.pruneVersions
+);
+
+router.post('/files/:fileId/promote',
+  apiRateLimit,
+  validateDeleteFile,
+  authorizeFile('write'),
+  FileController.promoteVersion
+);
+
+router.post('/files/:fileId/move',
+  apiRateLimit,
+  validateDeleteFile,
+  validateMoveFile,
+  authorizeFile('write'),
+  FolderController.moveFile
+);
+
+router.post('/files/:fileId/restore',
+  apiRateLimit,
+  validateDeleteFile,
+  authorizeFile('write'),
+  FileController.restoreFile
+);
+
+// Folder routes
+router.get('/folders',
+  apiRateLimit,
+  validateListFolder,
+  FolderController.listFolder
+);
+
+router.post('/folders',
+  apiRateLimit,
+  validateCreateFolder,
+  FolderController.createFolder
+);
+
+router.get('/folders/:folderId',
+  apiRateLimit,
+  validateFolderParams,
+  validateListFolder,
+  FolderController.listFolder
+);
+
+router.patch('/folders/:folderId',
+  apiRateLimit,
+  validateFolderParams,
+  validateUpdateFolder,
+  FolderController.updateFolder
+);
+
+router.delete('/folders/:folderId',
+  apiRateLimit,
+  validateFolderParams,
+  validateDeleteFolder,
+  FolderController.deleteFolder
+);
+
+// Trash routes
+router.get('/trash',
+  apiRateLimit,
+  validateListTrash,
+  FileController.listTrash
+);
+
+router.delete('/trash/:fileId',
+  apiRateLimit,
+  validateDeleteFile,
+  authorizeFile('manage'),
+  FileController.purgeFile
+);
+
+router.patch('/files/:fileId/retention',
+  apiRateLimit,
+  validateDeleteFile,
+  validateUpdateRetention,
+  authorizeFile('write'),
+  FileController.updateRetention
+);
+
+router.get('/files/:fileId/legal-hold',
+  apiRateLimit,
+  validateDeleteFile,
+  authorizeFile('read'),
+  FileController.getLegalHold
+);
+
+// Legal holds are placed by compliance officers on any file; see
+// retentionService.assertCanManageHolds
+router.post('/files/:fileId/legal-hold',
+  apiRateLimit,
+  validateDeleteFile,
+  validateLegalHold,
+  FileController.placeLegalHold
+);
+
+router.post('/files/:fileId/legal-hold/release',
+  apiRateLimit,
+  validateDeleteFile,
+  validateLegalHold,
+  FileController.releaseLegalHold
+);
+
+router.get('/files/:fileId/grants',
+  apiRateLimit,
+  validateDeleteFile,
+  authorizeFile('read'),
+  FileController.listGrants
+);
+
+router.post('/files/:fileId/grants',
+  apiRateLimit,
+  validateDeleteFile,
+  validateCreateGrant,
+  authorizeFile('manage'),
+  FileController.grantAccess
+);
+
+router.delete('/files/:fileId/grants/:principalType/:principalId',
+  apiRateLimit,
+  validateGrantParams,
+  authorizeFile('manage'),
+  FileController.revokeAccess
+);
+
+router.get('/files/:fileId/links',
+  apiRateLimit,
+  validateDeleteFile,
+  authorizeFile('manage'),
+  FileController.listLinks
+);
+
+router.post('/files/:fileId/links',
+  apiRateLimit,
+  validateDeleteFile,
+  validateCreateLink,
+  authorizeFile('manage'),
+  FileController.createLink
+);
+
+router.delete('/files/:fileId/links/:linkId',
+  apiRateLimit,
+  validateLinkParams,
+  authorizeFile('manage'),
+  FileController.revokeLink
+);
+
+router.get('/files/:fileId/links/:linkId/uses',
+  apiRateLimit,
+  validateLinkParams,
+  validateListLinkUses,
+  authorizeFile('manage'),
+  FileController.listLinkUses
+);
+
 router.get('/download/:fileId', 
   apiRateLimit,
   validateDownloadFile,
+  validateDownloadQuery,
   FileController.downloadFile
 );
 
-// Health check routes
-router.get('/health', HealthController.healthCheck);
-router.get('/health/detailed', HealthController.detailedHealthCheck);
-
 module.exports = router;
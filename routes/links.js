@@ -0,0 +1,24 @@
+const express = require('express');
+const { FileController } = require('../controllers');
+const { validateLinkToken, validateLinkPassword } = require('../middleware/validation');
+const { apiRateLimit } = require('../middleware/security');
+
+// Public downloads through signed links; the token in the URL is the only
+// credential, so none of these routes authenticate
+const router = express.Router();
+
+router.get('/:token',
+  apiRateLimit,
+  validateLinkToken,
+  FileController.downloadByLink
+);
+
+// Password-protected links can also be opened from a form posting `password`
+router.post('/:token',
+  apiRateLimit,
+  validateLinkToken,
+  validateLinkPassword,
+  FileController.downloadByLink
+);
+
+module.exports = router;
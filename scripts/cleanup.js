@@ -17,10 +17,15 @@ class CleanupScript {
     try {
       console.log('🧹 Starting cleanup process...');
       
-      // Cleanup expired uploads
-      console.log('Cleaning up expired uploads...');
+      // Cleanup expired upload sessions and files past their retention
+      console.log('Cleaning up expired uploads and files...');
       const expiredCount = await this.fileUploadService.cleanupExpiredUploads();
-      console.log(`✅ Cleaned up ${expiredCount} expired uploads`);
+      console.log(`✅ Cleaned up ${expiredCount} expired uploads and files`);
+      
+      // Purge trashed files past their grace period
+      console.log('Emptying trash...');
+      const trashCount = await this.fileUploadService.emptyTrash();
+      console.log(`✅ Purged ${trashCount} trashed files`);
       
       // Cleanup stale uploads
       console.log('Cleaning up stale uploads...');
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+
+const authService = require('../services/auth');
+
+/**
+ * Print an HS256 access token signed with JWT_SECRET, for development and
+ * for service accounts without an identity provider.
+ * Usage: node scripts/create-token.js <subject> [expiresInSeconds]
+ */
+class CreateTokenScript {
+  run(subject, expiresIn = '3600') {
+    try {
+      if (!subject) {
+        console.error('Usage: node scripts/create-token.js <subject> [expiresInSeconds]');
+        process.exit(1);
+      }
+
+      const seconds = parseInt(expiresIn);
+      if (!(seconds > 0)) {
+        throw new Error('expiresInSeconds must be a positive number');
+      }
+
+      console.log(authService.signToken(subject, { expiresIn: seconds }));
+    } catch (error) {
+      console.error('❌ Token creation failed:', error.message);
+      process.exit(1);
+    }
+  }
+}
+
+if (require.main === module) {
+  new CreateTokenScript().run(...process.argv.slice(2));
+}
+
+module.exports = CreateTokenScript;
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+const databaseService = require('../services/database');
+const encryptionService = require('../services/encryption');
+
+/**
+ * Re-wrap stored data keys with the active encryption master key.
+ * Add the new key to ENCRYPTION_KEY_FILE and make it active before running;
+ * old keys can be removed once this reports nothing left to rotate.
+ */
+class RotateKeysScript {
+  async run() {
+    try {
+      if (!encryptionService.isEnabled()) {
+        console.log('Encryption at rest is not configured, nothing to rotate');
+        return;
+      }
+
+      console.log('🔑 Rotating data keys...');
+      await databaseService.connect();
+
+      const { uploads, blobs } = await encryptionService.rotateDataKeys();
+      console.log(`✅ Re-wrapped ${uploads} upload keys and ${blobs} stored file keys with '${encryptionService.getKeyring().activeKeyId}'`);
+
+      await databaseService.disconnect();
+    } catch (error) {
+      console.error('❌ Key rotation failed:', error.message);
+      process.exit(1);
+    }
+  }
+}
+
+if (require.main === module) {
+  new RotateKeysScript().run();
+}
+
+module.exports = RotateKeysScript;
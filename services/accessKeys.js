@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('./logger');
+const AccessKey = require('../models/AccessKey');
+const { parseAuthorization, signRequest, parseAmzDate } = require('../utils/sigv4');
+const {
+  AppError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/errors');
+
+const s3Error = (error, code) => {
+  error.s3Code = code;
+  return error;
+};
+
+// Access keys let stock AWS SDKs and tools use the S3 API: requests signed
+// with Signature Version 4 under a key act as the user who created it, with
+// none of their roles or groups. The secret access key is derived from the key
+// ID, so it is only ever shown when the key is created (see config.accessKeys).
+class AccessKeyService {
+  async createKey(user, { name } = {}) {
+    const accessKey = await AccessKey.create({
+      accessKeyId: `AKFU${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
+      name,
+      userId: user.id
+    });
+
+    logger.info('Access key created', { accessKeyId: accessKey.accessKeyId, userId: user.id });
+
+    return {
+      ...this.toKeySummary(accessKey.toObject()),
+      secretAccessKey: this.deriveSecret(accessKey.accessKeyId)
+    };
+  }
+
+  // Keys the user created; admins see everyone's
+  async listKeys(user) {
+    const keys = await AccessKey.find(user.isAdmin ? {} : { userId: user.id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return { keys: keys.map((accessKey) => this.toKeySummary(accessKey)) };
+  }
+
+  async revokeKey(accessKeyId, user) {
+    const existing = await AccessKey.findByAccessKeyId(accessKeyId).lean();
+    if (!existing || existing.revokedAt) {
+      throw new NotFoundError('Access key');
+    }
+    if (!user.isAdmin && existing.userId !== user.id) {
+      throw new ForbiddenError('You do not have access to this access key');
+    }
+
+    const accessKey = await AccessKey.findOneAndUpdate(
+      { accessKeyId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: user.id } },
+      { new: true }
+    ).lean();
+    if (!accessKey) {
+      throw new NotFoundError('Access key');
+    }
+
+    logger.info('Access key revoked', { accessKeyId, revokedBy: user.id });
+
+    return this.toKeySummary(accessKey);
+  }
+
+  // The access key a SigV4-signed request ({ method, path, query, headers })
+  // was made with, and the SHA-256 of the body it promised, which the caller
+  // checks as the body is read (null for UNSIGNED-PAYLOAD). Errors carry the
+  // S3 error code the SDKs expect.
+  async authenticate({ method, path, query, headers }) {
+    const credentials = parseAuthorization(headers.authorization);
+    const amzDate = headers['x-amz-date'];
+    const signedAt = parseAmzDate(amzDate);
+    if (!credentials || !signedAt || !amzDate.startsWith(credentials.date) ||
+        !credentials.signedHeaders.includes('host')) {
+      throw s3Error(new ValidationError('The authorization header is malformed'), 'AuthorizationHeaderMalformed');
+    }
+
+    if (Math.abs(Date.now() - signedAt.getTime()) > config.accessKeys.maxClockSkew * 1000) {
+      throw s3Error(
+        new ForbiddenError('The difference between the request time and the current time is too large'),
+        'RequestTimeTooSkewed'
+      );
+    }
+
+    const payloadHash = headers['x-amz-content-sha256'];
+    if (!payloadHash) {
+      throw s3Error(new ValidationError('Missing required header for this request: x-amz-content-sha256'), 'InvalidRequest');
+    }
+    if (payloadHash.startsWith('STREAMING-')) {
+      throw s3Error(new AppError('Chunked payload signing is not supported; send UNSIGNED-PAYLOAD or the body hash', 501), 'NotImplemented');
+    }
+    if (payloadHash !== 'UNSIGNED-PAYLOAD' && !/^[a-f0-9]{64}$/.test(payloadHash)) {
+      throw s3Error(new ValidationError('x-amz-content-sha256 must be UNSIGNED-PAYLOAD or a SHA-256 hex digest'), 'InvalidArgument');
+    }
+
+    const accessKey = await AccessKey.findByAccessKeyId(credentials.accessKeyId).lean();
+    if (!accessKey || accessKey.revokedAt) {
+      throw s3Error(new ForbiddenError('The access key ID you provided does not exist in our records'), 'InvalidAccessKeyId');
+    }
+
+    const expected = signRequest(
+      { method, path, query, headers },
+      this.deriveSecret(accessKey.accessKeyId),
+      credentials,
+      amzDate,
+      payloadHash
+    );
+    if (!crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(credentials.signature, 'hex'))) {
+      throw s3Error(
+        new ForbiddenError('The request signature we calculated does not match the signature you provided'),
+        'SignatureDoesNotMatch'
+      );
+    }
+
+    await AccessKey.updateOne({ accessKeyId: accessKey.accessKeyId }, { $set: { lastUsedAt: new Date() } });
+
+    return { accessKey, payloadHash: payloadHash === 'UNSIGNED-PAYLOAD' ? null : payloadHash };
+  }
+
+  deriveSecret(accessKeyId) {
+    return crypto.createHmac('sha256', config.accessKeys.secret)
+      .update(`s3-access-key.${accessKeyId}`)
+      .digest('base64url');
+  }
+
+  toKeySummary(accessKey) {
+    return {
+      accessKeyId: accessKey.accessKeyId,
+      name: accessKey.name || null,
+      userId: accessKey.userId,
+      createdAt: accessKey.createdAt,
+      lastUsedAt: accessKey.lastUsedAt || null,
+      revokedAt: accessKey.revokedAt || null,
+      revokedBy: accessKey.revokedBy || null
+    };
+  }
+}
+
+module.exports = new AccessKeyService();
@@ -0,0 +1,148 @@
+const fsSync = require('fs');
+const crypto = require('crypto');
+const config = require('../config');
+const { AppError, JsonWebTokenError, TokenExpiredError } = require('../utils/errors');
+
+// Bearer JWT verification. HS256 tokens are signed with JWT_SECRET, RS256
+// tokens by an identity provider whose public keys are in the JWKS file.
+class AuthService {
+  constructor() {
+    this.publicKeys = null;
+  }
+
+  // RS256 verification keys from JWT_JWKS_FILE, with their key ids
+  getPublicKeys() {
+    if (!this.publicKeys) {
+      this.publicKeys = this.loadPublicKeys();
+    }
+    return this.publicKeys;
+  }
+
+  // Re-read the JWKS file, e.g. after the identity provider rotated its keys
+  reloadKeys() {
+    this.publicKeys = null;
+    return this.getPublicKeys();
+  }
+
+  loadPublicKeys() {
+    const { jwtJwksFile } = config.security;
+    if (!jwtJwksFile) return [];
+
+    let contents;
+    try {
+      contents = JSON.parse(fsSync.readFileSync(jwtJwksFile, 'utf8'));
+    } catch (error) {
+      throw new AppError(`Failed to read JWKS file: ${error.message}`, 500);
+    }
+
+    const keys = [];
+    for (const jwk of contents.keys || []) {
+      // Encryption keys and keys for other algorithms can share the set
+      if (jwk.kty !== 'RSA' || (jwk.use && jwk.use !== 'sig') || (jwk.alg && jwk.alg !== 'RS256')) continue;
+
+      try {
+        keys.push({ kid: jwk.kid, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) });
+      } catch (error) {
+        throw new AppError(`Invalid key '${jwk.kid}' in JWKS file: ${error.message}`, 500);
+      }
+    }
+    return keys;
+  }
+
+  // Claims of a compact JWT once its signature and time claims check out
+  verifyToken(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      throw new JsonWebTokenError('Malformed token');
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    const header = this.decodeSegment(encodedHeader);
+    const claims = this.decodeSegment(encodedPayload);
+    const signature = Buffer.from(encodedSignature, 'base64url');
+
+    if (!this.verifySignature(header, `${encodedHeader}.${encodedPayload}`, signature)) {
+      throw new JsonWebTokenError('Invalid token signature');
+    }
+    this.verifyClaims(claims);
+
+    return claims;
+  }
+
+  verifySignature(header, signingInput, signature) {
+    if (header.alg === 'HS256') {
+      const expected = crypto.createHmac('sha256', config.security.jwtSecret).update(signingInput).digest();
+      return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+
+    if (header.alg === 'RS256') {
+      return this.getPublicKeys()
+        .filter(({ kid }) => !header.kid || kid === header.kid)
+        .some(({ key }) => crypto.verify('sha256', Buffer.from(signingInput), key, signature));
+    }
+
+    // Unsigned ('none') tokens included
+    throw new JsonWebTokenError(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  verifyClaims(claims) {
+    const { jwtIssuer, jwtAudience, jwtClockTolerance } = config.security;
+    const now = Math.floor(Date.now() / 1000);
+
+    // The subject is who uploads are recorded against
+    if (typeof claims.sub !== 'string' || !claims.sub || claims.sub.length > 100) {
+      throw new JsonWebTokenError('Token subject missing or invalid');
+    }
+
+    if (claims.exp !== undefined) {
+      if (typeof claims.exp !== 'number') {
+        throw new JsonWebTokenError('Invalid token expiry');
+      }
+      if (now - jwtClockTolerance >= claims.exp) {
+        throw new TokenExpiredError(new Date(claims.exp * 1000));
+      }
+    }
+
+    if (claims.nbf !== undefined && (typeof claims.nbf !== 'number' || claims.nbf > now + jwtClockTolerance)) {
+      throw new JsonWebTokenError('Token not active yet');
+    }
+
+    if (jwtIssuer && claims.iss !== jwtIssuer) {
+      throw new JsonWebTokenError('Unexpected token issuer');
+    }
+
+    if (jwtAudience && ![].concat(claims.aud || []).includes(jwtAudience)) {
+      throw new JsonWebTokenError('Unexpected token audience');
+    }
+  }
+
+  decodeSegment(segment) {
+    let value;
+    try {
+      value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new JsonWebTokenError('Malformed token');
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new JsonWebTokenError('Malformed token');
+    }
+    return value;
+  }
+
+  // HS256 token for `sub`, valid for `expiresIn` seconds
+  signToken(sub, { expiresIn = 3600, ...claims } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = { ...claims, sub, iat: now, exp: now + expiresIn };
+    const { jwtIssuer, jwtAudience } = config.security;
+    if (jwtIssuer && !payload.iss) payload.iss = jwtIssuer;
+    if (jwtAudience && !payload.aud) payload.aud = jwtAudience;
+
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const signingInput = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+    const signature = crypto.createHmac('sha256', config.security.jwtSecret).update(signingInput).digest('base64url');
+
+    return `${signingInput}.${signature}`;
+  }
+}
+
+module.exports = new AuthService();
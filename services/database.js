@@ -182,7 +182,11 @@ class DatabaseService {
       
       // FileUpload indexes
       const FileUpload = mongoose.model('FileUpload');
+      await this.dropExpiryTtlIndex(FileUpload);
       await FileUpload.createIndexes();
+
+      // Folder indexes (sibling names are unique per owner)
+      await mongoose.model('Folder').createIndexes();
       
       logger.logDatabase('indexes created successfully');
     } catch (error) {
@@ -191,6 +195,28 @@ class DatabaseService {
     }
   }
 
+  // Older deployments had a TTL index on expiresAt that silently deleted the
+  // records of completed files and left their stored bytes behind
+  async dropExpiryTtlIndex(FileUpload) {
+    let indexes;
+    try {
+      indexes = await FileUpload.collection.indexes();
+    } catch (error) {
+      if (error.codeName === 'NamespaceNotFound') return;
+      throw error;
+    }
+
+    const ttlIndex = indexes.find((index) => index.key.expiresAt && index.expireAfterSeconds !== undefined);
+    if (!ttlIndex) return;
+
+    await FileUpload.collection.dropIndex(ttlIndex.name);
+    const result = await FileUpload.updateMany(
+      { status: 'completed', expiresAt: { $ne: null } },
+      { $set: { expiresAt: null } }
+    );
+    logger.logDatabase('dropped expiresAt TTL index', { cleared: result.modifiedCount });
+  }
+
   async dropDatabase() {
     try {
       if (config.server.isTest) {
@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('../config');
+const logger = require('./logger');
+const DownloadLink = require('../models/DownloadLink');
+const DownloadLinkUse = require('../models/DownloadLinkUse');
+const FileUpload = require('../models/FileUpload');
+const {
+  ForbiddenError,
+  GoneError,
+  NotFoundError,
+  UnauthorizedError,
+  UploadError,
+  ValidationError
+} = require('../utils/errors');
+const { createSignedToken, verifySignedToken } = require('../utils/signedToken');
+const { matchesIpRanges } = require('../utils/ipRanges');
+const { parseRange } = require('../utils/range');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Expiring download links for people without an account. A link's token is
+// "<linkId>.<expiresAt in seconds>.<HMAC>", and every request through it is
+// recorded (see DownloadLinkUse) before the file is streamed. Each request
+// counts as a download, except a range that starts right after the last one
+// served to the same client for its latest download, which continues it.
+// See config.downloadLinks.
+class DownloadLinkService {
+  async createLink(fileId, { expiresIn, maxDownloads = null, password, allowedIps, createdBy = 'anonymous' }) {
+    const { defaultExpiry, maxExpiry } = config.downloadLinks;
+    const lifetime = expiresIn || defaultExpiry;
+    if (lifetime > maxExpiry) {
+      throw new ValidationError(`Links can be valid for at most ${maxExpiry} seconds`);
+    }
+
+    const file = await FileUpload.findOne({ fileId, trashedAt: null }).select('status').lean();
+    if (!file) {
+      throw new NotFoundError('File');
+    }
+    if (file.status !== 'completed') {
+      throw new UploadError('Only completed files can be shared by link', fileId);
+    }
+
+    // Whole seconds, as the token carries them
+    const expiresAt = new Date((Math.floor(Date.now() / 1000) + lifetime) * 1000);
+    const link = await DownloadLink.create({
+      linkId: crypto.randomBytes(16).toString('hex'),
+      fileId,
+      expiresAt,
+      maxDownloads,
+      passwordHash: password ? await this.hashPassword(password) : undefined,
+      allowedIps: allowedIps && allowedIps.length ? allowedIps : undefined,
+      createdBy
+    });
+
+    logger.logUpload(fileId, 'download link created', {
+      linkId: link.linkId,
+      expiresAt,
+      maxDownloads,
+      passwordProtected: !!password,
+      createdBy
+    });
+
+    return this.toLinkSummary(link.toObject());
+  }
+
+  async listLinks(fileId) {
+    const links = await DownloadLink.find({ fileId })
+      .select('+passwordHash')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return { fileId, links: links.map((link) => this.toLinkSummary(link)) };
+  }
+
+  // Requests made through a link, newest first
+  async listUses(fileId, linkId, { page = 1, limit = 20 } = {}) {
+    if (!await DownloadLink.exists({ linkId, fileId })) {
+      throw new NotFoundError('Link');
+    }
+
+    const [uses, total] = await Promise.all([
+      DownloadLinkUse.find({ linkId })
+        .select('-_id -__v -linkId -fileId')
+        .sort({ at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      DownloadLinkUse.countDocuments({ linkId })
+    ]);
+
+    return {
+      linkId,
+      uses,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async revokeLink(fileId, linkId, revokedBy = 'anonymous') {
+    const link = await DownloadLink.findOneAndUpdate(
+      { linkId, fileId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy } },
+      { new: true }
+    ).select('+passwordHash').lean();
+
+    if (!link) {
+      throw new NotFoundError('Link');
+    }
+
+    logger.logUpload(fileId, 'download link revoked', { linkId, revokedBy });
+
+    return this.toLinkSummary(link);
+  }
+
+  // Check a token against its link and record the request; returns the
+  // file to stream
+  async redeemLink(token, { password, ip, userAgent, range } = {}) {
+    const linkId = this.verifyToken(token);
+
+    const link = await DownloadLink.findOne({ linkId }).select('+passwordHash').lean();
+    if (!link) {
+      throw new NotFoundError('Link');
+    }
+    this.assertUsable(link, new Date(), { resuming: true });
+
+    if (link.allowedIps && !this.isAllowedIp(link.allowedIps, ip)) {
+      throw new ForbiddenError('This link cannot be used from your network');
+    }
+
+    if (link.passwordHash) {
+      if (!password) {
+        throw new UnauthorizedError('This link requires a password');
+      }
+      if (!await this.verifyPassword(password, link.passwordHash)) {
+        throw new UnauthorizedError('Incorrect link password');
+      }
+    }
+
+    const fileUpload = await FileUpload.findOne({ fileId: link.fileId, status: 'completed', trashedAt: null }).lean();
+    if (!fileUpload) {
+      throw new GoneError('The linked file is no longer available');
+    }
+
+    // sendFile answers unsatisfiable ranges with a 416
+    const requested = parseRange(range, fileUpload.size);
+    if (requested === false) {
+      return fileUpload;
+    }
+
+    const now = new Date();
+    const client = { ip: ip || null, userAgent: userAgent ? userAgent.slice(0, 500) : null };
+    const end = requested ? requested.end : fileUpload.size - 1;
+    const resumed = Boolean(requested) && await this.continueDownload(link, requested, client, now);
+
+    // Otherwise count a new download, only while the link is still valid so
+    // concurrent requests cannot go past maxDownloads
+    if (!resumed) {
+      const consumed = await DownloadLink.findOneAndUpdate(
+        {
+          linkId,
+          revokedAt: null,
+          expiresAt: { $gt: now },
+          $or: [{ maxDownloads: null }, { $expr: { $lt: ['$downloadCount', '$maxDownloads'] } }]
+        },
+        {
+          $inc: { downloadCount: 1 },
+          $set: { lastUsedAt: now, lastDownload: { ...client, startedAt: now, end } }
+        }
+      );
+      if (!consumed) {
+        throw new GoneError('This link has reached its download limit');
+      }
+    }
+
+    await DownloadLinkUse.create({ linkId, fileId: link.fileId, at: now, ...client, range, resumed });
+
+    logger.logUpload(link.fileId, resumed ? 'download link resumed' : 'download link used', { linkId, ip, range });
+
+    return fileUpload;
+  }
+
+  // Move the link's latest download on to `requested` if that is the next
+  // range of it: from the same client, within the resume window, and starting
+  // right after the last byte it was served
+  async continueDownload(link, requested, client, now) {
+    const last = link.lastDownload;
+    const { resumeWindow } = config.downloadLinks;
+    if (!last || (last.ip || null) !== client.ip || (last.userAgent || null) !== client.userAgent ||
+        now - last.startedAt > resumeWindow * 1000 || requested.start !== last.end + 1) {
+      return false;
+    }
+
+    // Each range continues the download only once, even when sent twice at the same time
+    const continued = await DownloadLink.findOneAndUpdate(
+      {
+        linkId: link.linkId,
+        revokedAt: null,
+        expiresAt: { $gt: now },
+        'lastDownload.startedAt': last.startedAt,
+        'lastDownload.end': last.end
+      },
+      { $set: { lastUsedAt: now, 'lastDownload.end': requested.end } }
+    );
+    return Boolean(continued);
+  }
+
+  // `resuming` skips the download limit, which only new downloads count against
+  assertUsable(link, now = new Date(), { resuming = false } = {}) {
+    if (link.revokedAt) {
+      throw new GoneError('This link has been revoked');
+    }
+    if (link.expiresAt <= now) {
+      throw new GoneError('This link has expired');
+    }
+    if (!resuming && link.maxDownloads && link.downloadCount >= link.maxDownloads) {
+      throw new GoneError('This link has reached its download limit');
+    }
+  }
+
+  isAllowedIp(allowedIps, ip) {
+    return matchesIpRanges(allowedIps, ip);
+  }
+
+  signToken(linkId, expiresAt) {
+    return createSignedToken('download-link', config.downloadLinks.secret, linkId, expiresAt);
+  }
+
+  // Link ID from a token with a valid signature that has not expired;
+  // forged tokens are reported like unknown links
+  verifyToken(token) {
+    const verified = verifySignedToken('download-link', config.downloadLinks.secret, token);
+    if (!verified) {
+      throw new NotFoundError('Link');
+    }
+    if (verified.expiresAt <= new Date()) {
+      throw new GoneError('This link has expired');
+    }
+    return verified.id;
+  }
+
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 32);
+    return `${salt.toString('hex')}:${hash.toString('hex')}`;
+  }
+
+  async verifyPassword(password, passwordHash) {
+    const [salt, hash] = passwordHash.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  // What creators see of a link: its token, but not the password hash
+  toLinkSummary(link) {
+    return {
+      linkId: link.linkId,
+      fileId: link.fileId,
+      token: this.signToken(link.linkId, link.expiresAt),
+      expiresAt: link.expiresAt,
+      maxDownloads: link.maxDownloads,
+      downloadCount: link.downloadCount,
+      passwordProtected: !!link.passwordHash,
+      allowedIps: link.allowedIps || [],
+      createdBy: link.createdBy,
+      createdAt: link.createdAt,
+      revokedAt: link.revokedAt || null,
+      revokedBy: link.revokedBy || null,
+      lastUsedAt: link.lastUsedAt || null
+    };
+  }
+}
+
+module.exports = new DownloadLinkService();
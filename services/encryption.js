@@ -0,0 +1,499 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const config = require('../config');
+const { AppError, ChecksumMismatchError } = require('../utils/errors');
+
+const KEY_BYTES = 32;
+const WRAP_IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Stored files: an 8-byte nonce prefix, then AES-256-GCM segments of
+// SEGMENT_SIZE plaintext bytes each followed by its tag. Segments are sealed
+// independently so any byte range can be decrypted without the rest.
+const SEGMENT_SIZE = 64 * 1024;
+const NONCE_PREFIX_BYTES = 8;
+
+// Chunk files: a sequence of AES-256-GCM records of at most SEGMENT_SIZE
+// plaintext bytes, each [4-byte length][12-byte IV][ciphertext][tag]. The top
+// bit of the length marks the chunk's last record. Records are sealed together
+// with the chunk index, their plaintext offset and that flag, so they cannot be
+// altered, reordered, moved to another chunk or cut off after a whole record.
+// tus appends records, and re-seals the one it cuts to truncate.
+const CHUNK_IV_BYTES = 12;
+const CHUNK_RECORD_HEADER_BYTES = 4 + CHUNK_IV_BYTES;
+const CHUNK_FINAL_FLAG = 0x80000000;
+
+// Envelope encryption for file contents. Every upload gets its own data key,
+// stored wrapped by a master key; master keys come from ENCRYPTION_MASTER_KEY
+// or a key file and can be rotated without re-encrypting any file.
+class EncryptionService {
+  constructor() {
+    this.keyring = null;
+  }
+
+  isEnabled() {
+    return config.encryption.enabled;
+  }
+
+  // Master keys by id, plus the id new data keys are wrapped with
+  getKeyring() {
+    if (!this.keyring) {
+      this.keyring = this.loadKeyring();
+    }
+    return this.keyring;
+  }
+
+  // Re-read master keys, e.g. after a new key was added to the key file
+  reloadKeys() {
+    this.keyring = null;
+    return this.getKeyring();
+  }
+
+  loadKeyring() {
+    const { masterKey, masterKeyId, keyFile } = config.encryption;
+    const keys = new Map();
+    let activeKeyId = null;
+
+    if (keyFile) {
+      let contents;
+      try {
+        contents = JSON.parse(fsSync.readFileSync(keyFile, 'utf8'));
+      } catch (error) {
+        throw new AppError(`Failed to read encryption key file: ${error.message}`, 500);
+      }
+
+      for (const [keyId, value] of Object.entries(contents.keys || {})) {
+        keys.set(keyId, this.decodeMasterKey(value, keyId));
+      }
+      activeKeyId = contents.activeKeyId || null;
+    }
+
+    if (masterKey) {
+      keys.set(masterKeyId, this.decodeMasterKey(masterKey, masterKeyId));
+      activeKeyId = activeKeyId || masterKeyId;
+    }
+
+    if (!activeKeyId || !keys.has(activeKeyId)) {
+      throw new AppError('No active encryption master key configured', 500);
+    }
+
+    return { activeKeyId, keys };
+  }
+
+  // Master keys are 32 bytes, given as base64 or hex
+  decodeMasterKey(value, keyId) {
+    const key = /^[a-f0-9]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+    if (key.length !== KEY_BYTES) {
+      throw new AppError(`Encryption master key '${keyId}' must be ${KEY_BYTES} bytes`, 500);
+    }
+    return key;
+  }
+
+  // New random data key and its envelope for the FileUpload record
+  generateDataKey() {
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+    return { dataKey, envelope: this.wrapDataKey(dataKey) };
+  }
+
+  wrapDataKey(dataKey) {
+    const { activeKeyId, keys } = this.getKeyring();
+    const iv = crypto.randomBytes(WRAP_IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', keys.get(activeKeyId), iv);
+    cipher.setAAD(Buffer.from(activeKeyId));
+    const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    return {
+      algorithm: 'aes-256-gcm',
+      keyId: activeKeyId,
+      wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString('base64')
+    };
+  }
+
+  unwrapDataKey(envelope) {
+    const masterKey = this.getKeyring().keys.get(envelope.keyId);
+    if (!masterKey) {
+      throw new AppError(`Encryption master key '${envelope.keyId}' is not available`, 500);
+    }
+
+    const raw = Buffer.from(envelope.wrappedKey, 'base64');
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, raw.subarray(0, WRAP_IV_BYTES));
+      decipher.setAAD(Buffer.from(envelope.keyId));
+      decipher.setAuthTag(raw.subarray(WRAP_IV_BYTES, WRAP_IV_BYTES + TAG_BYTES));
+      return Buffer.concat([decipher.update(raw.subarray(WRAP_IV_BYTES + TAG_BYTES)), decipher.final()]);
+    } catch {
+      throw new AppError(`Failed to unwrap data key with master key '${envelope.keyId}'`, 500);
+    }
+  }
+
+  // Same data key, wrapped with the current active master key
+  rewrapDataKey(envelope) {
+    return this.wrapDataKey(this.unwrapDataKey(envelope));
+  }
+
+  // Key rotation: re-wrap every stored data key that still uses an older
+  // master key. File contents are untouched; retire old keys afterwards.
+  async rotateDataKeys() {
+    const FileUpload = require('../models/FileUpload');
+    const FileBlob = require('../models/FileBlob');
+    const { activeKeyId } = this.reloadKeys();
+    const result = { uploads: 0, blobs: 0 };
+
+    for (const [Model, counter] of [[FileUpload, 'uploads'], [FileBlob, 'blobs']]) {
+      const cursor = Model.find({
+        'encryption.keyId': { $exists: true, $ne: activeKeyId }
+      }).select('encryption').lean().cursor();
+
+      for await (const doc of cursor) {
+        // Only replace the envelope we read, in case it changed meanwhile
+        const updated = await Model.updateOne(
+          { _id: doc._id, 'encryption.wrappedKey': doc.encryption.wrappedKey },
+          { encryption: this.rewrapDataKey(doc.encryption) }
+        );
+        result[counter] += updated.modifiedCount;
+      }
+    }
+
+    return result;
+  }
+
+  // Separate subkeys so chunk files and stored files never share a key
+  deriveKey(dataKey, purpose) {
+    return Buffer.from(crypto.hkdfSync('sha256', dataKey, Buffer.alloc(0), `file-upload:${purpose}`, KEY_BYTES));
+  }
+
+  // Stored files
+
+  createEncryptStream(dataKey) {
+    const key = this.deriveKey(dataKey, 'object');
+    const noncePrefix = crypto.randomBytes(NONCE_PREFIX_BYTES);
+    let pending = Buffer.alloc(0);
+    let index = 0;
+    let headerWritten = false;
+
+    const seal = (plaintext, final) => {
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, this.segmentNonce(noncePrefix, index++));
+      cipher.setAAD(Buffer.from([final ? 1 : 0]));
+      return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    };
+
+    return new Transform({
+      transform(data, encoding, callback) {
+        if (!headerWritten) {
+          this.push(noncePrefix);
+          headerWritten = true;
+        }
+
+        pending = pending.length ? Buffer.concat([pending, data]) : data;
+        // Hold back the last segment until flush so it can be sealed as final
+        while (pending.length > SEGMENT_SIZE) {
+          this.push(seal(pending.subarray(0, SEGMENT_SIZE), false));
+          pending = pending.subarray(SEGMENT_SIZE);
+        }
+        callback();
+      },
+      flush(callback) {
+        if (!headerWritten) this.push(noncePrefix);
+        this.push(seal(pending, true));
+        callback();
+      }
+    });
+  }
+
+  // Decrypts whole stored files, or the segments selected by getEncryptedRange()
+  // when given the nonce prefix and range options
+  createDecryptStream(dataKey, { noncePrefix = null, firstSegment = 0, endsAtFinal = true, skip = 0, length = Infinity } = {}) {
+    const key = this.deriveKey(dataKey, 'object');
+    const sealedSize = SEGMENT_SIZE + TAG_BYTES;
+    let prefix = noncePrefix;
+    let pending = Buffer.alloc(0);
+    let index = firstSegment;
+    let toSkip = skip;
+    let remaining = length;
+
+    const open = (sealed, final) => {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, this.segmentNonce(prefix, index++));
+      decipher.setAAD(Buffer.from([final ? 1 : 0]));
+      decipher.setAuthTag(sealed.subarray(sealed.length - TAG_BYTES));
+      return Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - TAG_BYTES)), decipher.final()]);
+    };
+
+    const emit = (stream, plaintext) => {
+      let output = plaintext;
+      if (toSkip > 0) {
+        const skipped = Math.min(toSkip, output.length);
+        output = output.subarray(skipped);
+        toSkip -= skipped;
+      }
+      if (output.length > remaining) {
+        output = output.subarray(0, remaining);
+      }
+      remaining -= output.length;
+      if (output.length) stream.push(output);
+    };
+
+    return new Transform({
+      transform(data, encoding, callback) {
+        pending = pending.length ? Buffer.concat([pending, data]) : data;
+
+        if (!prefix) {
+          if (pending.length < NONCE_PREFIX_BYTES) return callback();
+          prefix = pending.subarray(0, NONCE_PREFIX_BYTES);
+          pending = pending.subarray(NONCE_PREFIX_BYTES);
+        }
+
+        try {
+          while (pending.length > sealedSize) {
+            emit(this, open(pending.subarray(0, sealedSize), false));
+            pending = pending.subarray(sealedSize);
+          }
+          callback();
+        } catch {
+          callback(new AppError('Stored file failed decryption', 500));
+        }
+      },
+      flush(callback) {
+        try {
+          if (!prefix || pending.length < TAG_BYTES) {
+            throw new Error('truncated');
+          }
+          emit(this, open(pending, endsAtFinal));
+          callback();
+        } catch {
+          callback(new AppError('Stored file failed decryption', 500));
+        }
+      }
+    });
+  }
+
+  segmentNonce(noncePrefix, index) {
+    const nonce = Buffer.alloc(NONCE_PREFIX_BYTES + 4);
+    noncePrefix.copy(nonce);
+    nonce.writeUInt32BE(index, NONCE_PREFIX_BYTES);
+    return nonce;
+  }
+
+  getEncryptedSize(plainSize) {
+    const segments = Math.max(1, Math.ceil(plainSize / SEGMENT_SIZE));
+    return NONCE_PREFIX_BYTES + plainSize + segments * TAG_BYTES;
+  }
+
+  // Ciphertext bytes (inclusive) and decrypt options for plaintext bytes start..end
+  getEncryptedRange(plainSize, start, end) {
+    const lastSegment = Math.max(0, Math.ceil(plainSize / SEGMENT_SIZE) - 1);
+    const firstSegment = Math.floor(start / SEGMENT_SIZE);
+    const endSegment = Math.floor(end / SEGMENT_SIZE);
+    const endSegmentSize = endSegment === lastSegment ? plainSize - endSegment * SEGMENT_SIZE : SEGMENT_SIZE;
+    const sealedSize = SEGMENT_SIZE + TAG_BYTES;
+
+    return {
+      headerEnd: NONCE_PREFIX_BYTES - 1,
+      start: NONCE_PREFIX_BYTES + firstSegment * sealedSize,
+      end: NONCE_PREFIX_BYTES + endSegment * sealedSize + endSegmentSize + TAG_BYTES - 1,
+      firstSegment,
+      endsAtFinal: endSegment === lastSegment,
+      skip: start - firstSegment * SEGMENT_SIZE,
+      length: end - start + 1
+    };
+  }
+
+  // Chunk files
+
+  getChunkKey(dataKey) {
+    return this.deriveKey(dataKey, 'chunk');
+  }
+
+  // One record holding bytes of chunk `chunkIndex` that start at plaintext
+  // `offset`; `final` marks the chunk's last record
+  sealChunkRecord(chunkKey, plaintext, { chunkIndex, offset, final }) {
+    const iv = crypto.randomBytes(CHUNK_IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', chunkKey, iv);
+    cipher.setAAD(this.chunkRecordAad(chunkIndex, offset, final));
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE((final ? CHUNK_FINAL_FLAG : 0) + plaintext.length);
+    return Buffer.concat([length, iv, cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+  }
+
+  // Tampered or misplaced records are reported like corrupted chunks
+  openChunkRecord(chunkKey, record, { chunkIndex, offset }) {
+    try {
+      const { final } = this.readChunkRecordHeader(record);
+      const decipher = crypto.createDecipheriv('aes-256-gcm', chunkKey, record.subarray(4, CHUNK_RECORD_HEADER_BYTES));
+      decipher.setAAD(this.chunkRecordAad(chunkIndex, offset, final));
+      decipher.setAuthTag(record.subarray(record.length - TAG_BYTES));
+      return Buffer.concat([
+        decipher.update(record.subarray(CHUNK_RECORD_HEADER_BYTES, record.length - TAG_BYTES)),
+        decipher.final()
+      ]);
+    } catch {
+      throw new ChecksumMismatchError('Chunk file failed authentication', 422);
+    }
+  }
+
+  chunkRecordAad(chunkIndex, offset, final) {
+    const aad = Buffer.alloc(13);
+    aad.writeUInt32BE(chunkIndex);
+    aad.writeBigUInt64BE(BigInt(offset), 4);
+    aad[12] = final ? 1 : 0;
+    return aad;
+  }
+
+  readChunkRecordHeader(record) {
+    const header = record.readUInt32BE(0);
+    return { length: header & ~CHUNK_FINAL_FLAG, final: header >= CHUNK_FINAL_FLAG };
+  }
+
+  chunkRecordSize(plainLength) {
+    return CHUNK_RECORD_HEADER_BYTES + plainLength + TAG_BYTES;
+  }
+
+  // Seals the body of chunk `chunkIndex` from plaintext `offset` on into
+  // records. update(data, true) ends the chunk with a final record.
+  createChunkSealer(chunkKey, chunkIndex, offset = 0) {
+    let position = offset;
+
+    return {
+      update: (data, final = false) => {
+        const records = [];
+        let start = 0;
+        do {
+          const plaintext = data.subarray(start, start + SEGMENT_SIZE);
+          start += SEGMENT_SIZE;
+          const last = final && start >= data.length;
+          if (plaintext.length || last) {
+            records.push(this.sealChunkRecord(chunkKey, plaintext, { chunkIndex, offset: position, final: last }));
+            position += plaintext.length;
+          }
+        } while (start < data.length);
+        return Buffer.concat(records);
+      }
+    };
+  }
+
+  createChunkEncryptStream(chunkKey, chunkIndex) {
+    const sealer = this.createChunkSealer(chunkKey, chunkIndex);
+    let pending = Buffer.alloc(0);
+
+    return new Transform({
+      transform(data, encoding, callback) {
+        pending = pending.length ? Buffer.concat([pending, data]) : data;
+        // Hold back the last record until flush so it can be sealed as final
+        const whole = Math.max(0, Math.ceil(pending.length / SEGMENT_SIZE) - 1) * SEGMENT_SIZE;
+        const records = sealer.update(pending.subarray(0, whole));
+        pending = pending.subarray(whole);
+        callback(null, records.length ? records : undefined);
+      },
+      flush(callback) {
+        callback(null, sealer.update(pending, true));
+      }
+    });
+  }
+
+  createChunkDecryptStream(chunkKey, chunkIndex) {
+    let pending = Buffer.alloc(0);
+    let offset = 0;
+    let ended = false;
+
+    return new Transform({
+      transform: (data, encoding, callback) => {
+        pending = pending.length ? Buffer.concat([pending, data]) : data;
+        const output = [];
+
+        try {
+          while (pending.length >= CHUNK_RECORD_HEADER_BYTES) {
+            const { length, final } = this.readChunkRecordHeader(pending);
+            if (ended || length > SEGMENT_SIZE) {
+              throw new ChecksumMismatchError('Chunk file failed authentication', 422);
+            }
+            const recordSize = this.chunkRecordSize(length);
+            if (pending.length < recordSize) break;
+
+            output.push(this.openChunkRecord(chunkKey, pending.subarray(0, recordSize), { chunkIndex, offset }));
+            offset += length;
+            ended = final;
+            pending = pending.subarray(recordSize);
+          }
+        } catch (error) {
+          return callback(error);
+        }
+
+        callback(null, output.length ? Buffer.concat(output) : undefined);
+      },
+      flush: (callback) => {
+        callback(pending.length || !ended ? new ChecksumMismatchError('Chunk file is truncated', 422) : null);
+      }
+    });
+  }
+
+  // Complete records of an open chunk file; a record cut short by a crash
+  // ends the scan
+  async scanChunkRecords(handle) {
+    const { size } = await handle.stat();
+    const header = Buffer.alloc(4);
+    const records = [];
+    let position = 0;
+    let offset = 0;
+
+    while (position + CHUNK_RECORD_HEADER_BYTES <= size) {
+      await handle.read(header, 0, 4, position);
+      const { length: plainLength, final } = this.readChunkRecordHeader(header);
+      const recordSize = this.chunkRecordSize(plainLength);
+      if (plainLength > SEGMENT_SIZE || position + recordSize > size) break;
+
+      records.push({ position, size: recordSize, offset, length: plainLength, final });
+      position += recordSize;
+      offset += plainLength;
+    }
+
+    return { records, end: position, plainSize: offset };
+  }
+
+  // Sealer that continues chunk `chunkIndex` in an open chunk file (opened
+  // 'a+') at its end
+  async openChunkForAppend(handle, chunkKey, chunkIndex) {
+    const { end, plainSize } = await this.scanChunkRecords(handle);
+    await handle.truncate(end);
+    return this.createChunkSealer(chunkKey, chunkIndex, plainSize);
+  }
+
+  // Cut chunk `chunkIndex` back to its first `plainLength` bytes, re-sealing
+  // the record the cut falls into. What is left is no longer final.
+  async truncateChunk(chunkPath, plainLength, chunkKey, chunkIndex) {
+    const handle = await fs.open(chunkPath, 'r+');
+
+    try {
+      const { records, end } = await this.scanChunkRecords(handle);
+      const cut = records.find((record) => record.offset + record.length > plainLength);
+      if (!cut) {
+        await handle.truncate(end);
+        return;
+      }
+
+      const record = Buffer.alloc(cut.size);
+      await handle.read(record, 0, cut.size, cut.position);
+      const kept = this.openChunkRecord(chunkKey, record, { chunkIndex, offset: cut.offset })
+        .subarray(0, plainLength - cut.offset);
+
+      await handle.truncate(cut.position);
+      if (kept.length) {
+        const resealed = this.sealChunkRecord(chunkKey, kept, { chunkIndex, offset: cut.offset, final: false });
+        await handle.write(resealed, 0, resealed.length, cut.position);
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // Plaintext stream of chunk file `chunkIndex`; chunkKey is null for
+  // unencrypted uploads
+  readChunk(chunkPath, chunkKey, chunkIndex) {
+    const source = fsSync.createReadStream(chunkPath);
+    if (!chunkKey) return source;
+
+    return pipeline(source, this.createChunkDecryptStream(chunkKey, chunkIndex), () => {});
+  }
+}
+
+module.exports = new EncryptionService();
@@ -2,18 +2,35 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const { GridFSBucket } = require('mongodb');
-const mongoose = require('mongoose');
+const { PassThrough, Readable, Transform, pipeline: pipeStreams } = require('stream');
+const { pipeline } = require('stream/promises');
 const config = require('../config');
 const logger = require('./logger');
+const storage = require('./storage');
+const encryption = require('./encryption');
+const retention = require('./retention');
 const FileUpload = require('../models/FileUpload');
+const FileBlob = require('../models/FileBlob');
+const Folder = require('../models/Folder');
 const { 
+  AppError,
   UploadError, 
+  ChecksumMismatchError,
   FileSystemError, 
   DatabaseError, 
+  ConflictError,
+  ForbiddenError,
   ValidationError,
-  NotFoundError 
+  NotFoundError,
+  RetentionError
 } = require('../utils/errors');
+const { SUPPORTED_ALGORITHMS, createChecksum, parseChecksum } = require('../utils/checksum');
+
+// Incoming chunk bodies are written here first and renamed into place once accepted
+const STAGING_DIR = '.staging';
+
+// Permissions a file's ACL can grant; each includes the ones before it
+const PERMISSIONS = ['read', 'write', 'manage'];
 
 class FileUploadService {
   constructor() {
@@ -23,29 +40,15 @@ class FileUploadService {
     this.maxRetries = config.upload.maxRetries;
     this.retryDelay = config.upload.retryDelay;
     this.fileExpiryHours = config.upload.fileExpiryHours;
-    this.bucket = null;
-    this.initializeBucket();
-  }
-
-  initializeBucket() {
-    // GridFS bucket will be initialized when needed
-    this.bucket = null;
-  }
-
-  getBucket() {
-    if (!this.bucket && mongoose.connection.readyState === 1) {
-      this.bucket = new GridFSBucket(mongoose.connection.db, {
-        bucketName: 'uploads',
-        chunkSizeBytes: 261120 // 255KB chunks
-      });
-    }
-    return this.bucket;
   }
 
   // Initialize upload session
   async initializeUpload(fileData, uploadedBy = 'anonymous', uploadedFrom = {}) {
     try {
-      const { fileName, fileSize, mimeType, totalChunks } = fileData;
+      const {
+        fileName, fileSize, mimeType, totalChunks, chunkSize, metadata, expectedChecksum,
+        retentionDays, deleteAfter, tags, parentFileId, folderId, relativePath, batchId, batchSize, uploadTokenId
+      } = fileData;
 
       // Validate input
       this.validateFileData(fileData);
@@ -63,13 +66,107 @@ class FileUploadService {
         mimeType: mimeType || 'application/octet-stream',
         size: fileSize,
         totalChunks,
+        chunkSize,
+        expectedChecksum,
         status: 'pending',
         uploadedBy,
+        ownerId: uploadedBy,
         uploadedFrom,
-        expiresAt: new Date(Date.now() + this.fileExpiryHours * 60 * 60 * 1000)
+        metadata: metadata || {},
+        expiresAt: new Date(Date.now() + this.fileExpiryHours * 60 * 60 * 1000),
+        retentionDays,
+        deleteAfter,
+        tags,
+        relativePath,
+        batchId,
+        batchSize,
+        uploadTokenId,
+        logicalFileId: fileId
       });
+      fileUpload.retainUntil = retention.getRetainUntil(fileUpload);
 
-      await fileUpload.save();
+      // A new version joins its parent's logical file and becomes current once complete
+      if (parentFileId) {
+        fileUpload.set(await this.getNextVersion(parentFileId));
+      }
+
+      // New versions stay in their parent's folder unless told otherwise.
+      // Folders only hold their owner's files.
+      if (folderId) {
+        const folder = await Folder.findByFolderId(folderId).lean();
+        if (!folder) {
+          throw new NotFoundError('Folder');
+        }
+        if (folder.createdBy !== fileUpload.ownerId) {
+          throw new ForbiddenError('Files can only be put in folders of their owner');
+        }
+        fileUpload.folderId = folderId;
+      }
+
+      // Chunks and the stored file are encrypted with a data key of their own
+      if (encryption.isEnabled()) {
+        fileUpload.encryption = encryption.generateDataKey().envelope;
+      }
+
+      // Content that is already stored is satisfied server-side without any
+      // chunks, but only from the caller's own files: an announced hash is no
+      // proof of having the bytes. Upload token holders always send theirs.
+      const existingBlob = expectedChecksum && !uploadTokenId && await this.ownsContent(uploadedBy, expectedChecksum, fileSize)
+        ? await FileBlob.addReference(expectedChecksum, fileSize)
+        : null;
+
+      if (existingBlob) {
+        fileUpload.set({
+          status: 'completed',
+          storageDriver: existingBlob.storageDriver,
+          storageKey: existingBlob.storageKey,
+          storageTier: storage.tierOf(existingBlob.storageDriver),
+          encryption: existingBlob.encryption ? existingBlob.encryption.toObject() : null,
+          checksum: existingBlob.sha256,
+          md5: existingBlob.md5,
+          receivedChunks: Array.from({ length: totalChunks }, (_, i) => i),
+          uploadedChunks: totalChunks,
+          expiresAt: null,
+          deleteAfter: fileUpload.getRetentionDeadline()
+        });
+      }
+
+      try {
+        await fileUpload.save();
+      } catch (error) {
+        if (existingBlob) {
+          await this.releaseStoredFile(fileId, storage.locate(existingBlob));
+        }
+        if (error.code === 11000 && parentFileId) {
+          throw new ConflictError('Another version of this file was started at the same time, please retry');
+        }
+        throw error;
+      }
+
+      if (existingBlob) {
+        if (!fileUpload.isCurrentVersion) {
+          await FileUpload.makeCurrentVersion(fileUpload);
+        }
+
+        logger.logUpload(fileId, 'initialized from stored content', {
+          fileName: sanitizedFileName,
+          fileSize,
+          storageDriver: existingBlob.storageDriver,
+          storageKey: existingBlob.storageKey,
+          uploadedBy
+        });
+
+        return {
+          fileId,
+          status: 'completed',
+          deduplicated: true,
+          logicalFileId: fileUpload.logicalFileId,
+          version: fileUpload.version,
+          folderId: fileUpload.folderId || null,
+          deleteAfter: fileUpload.deleteAfter,
+          message: 'File content already stored, no upload needed'
+        };
+      }
 
       logger.logUpload(fileId, 'initialized', {
         fileName: sanitizedFileName,
@@ -80,13 +177,23 @@ class FileUploadService {
 
       return {
         fileId,
+        status: 'pending',
+        logicalFileId: fileUpload.logicalFileId,
+        version: fileUpload.version,
+        folderId: fileUpload.folderId || null,
+        batchId: fileUpload.batchId,
         expiresAt: fileUpload.expiresAt,
+        deleteAfter: fileUpload.deleteAfter,
         message: 'Upload session initialized successfully'
       };
 
     } catch (error) {
       logger.logUploadError('initialization', error);
-      
+
+      if (error instanceof AppError) {
+        throw error;
+      }
+
       if (error.name === 'ValidationError') {
         throw new ValidationError('Invalid file data', Object.values(error.errors).map(e => e.message));
       }
@@ -95,15 +202,18 @@ class FileUploadService {
     }
   }
 
-  // Upload chunk
-  async uploadChunk(fileId, chunkIndex, chunkData, totalChunks) {
+  // Upload chunk from a staging file produced by stageChunk()
+  async uploadChunk(fileId, chunkIndex, stagedChunk, totalChunks, checksum = null) {
+    let fileUpload = null;
+    let replacedChunk = false;
+
     try {
       // Validate inputs
       this.validateFileId(fileId);
       this.validateChunkIndex(chunkIndex, totalChunks);
 
       // Find file upload record
-      const fileUpload = await FileUpload.findByFileId(fileId);
+      fileUpload = await FileUpload.findByFileId(fileId);
       if (!fileUpload) {
         throw new NotFoundError('Upload session');
       }
@@ -117,12 +227,24 @@ class FileUploadService {
         throw new UploadError('Upload has been cancelled', fileId, chunkIndex);
       }
 
-      if (chunkIndex >= totalChunks) {
+      if (chunkIndex >= fileUpload.totalChunks) {
         throw new UploadError('Chunk index exceeds total chunks', fileId, chunkIndex);
       }
 
+      // Verify the client-supplied digest before accepting the bytes.
+      // A rejected retry never touches a previously accepted chunk.
+      const chunkChecksum = checksum ? await this.verifyChunkChecksum(fileId, chunkIndex, stagedChunk, checksum) : null;
+      if (chunkChecksum === false) {
+        throw new ChecksumMismatchError(
+          `Chunk ${chunkIndex} failed checksum verification. Please re-send it.`,
+          422
+        );
+      }
+
       // Check if chunk already uploaded
-      if (fileUpload.isChunkUploaded(chunkIndex)) {
+      const alreadyUploaded = fileUpload.isChunkUploaded(chunkIndex);
+      if (alreadyUploaded && !chunkChecksum) {
+        await this.discardStagedChunk(stagedChunk);
         logger.logUpload(fileId, 'chunk already uploaded', { chunkIndex });
         return {
           chunkIndex,
@@ -132,46 +254,39 @@ class FileUploadService {
         };
       }
 
-      // Save chunk to disk
-      const chunkPath = await this.saveChunk(fileId, chunkIndex, chunkData);
-
-      // Update progress with concurrency protection
-      const updated = await FileUpload.findOneAndUpdate(
-        { 
-          fileId,
-          uploadedChunks: { $lte: chunkIndex }
-        },
-        {
-          $set: {
-            uploadedChunks: chunkIndex + 1,
-            status: 'uploading',
-            updatedAt: new Date()
-          }
-        },
-        { new: true }
-      );
+      // Move the staged chunk into place
+      await this.commitChunk(fileId, chunkIndex, stagedChunk);
+      replacedChunk = !alreadyUploaded;
 
-      const currentUpload = updated || fileUpload;
+      // Record the chunk index; the set makes retries and parallel chunks idempotent
+      const updated = await FileUpload.markChunkReceived(fileId, chunkIndex, chunkChecksum);
+      if (!updated) {
+        throw new UploadError('Upload is no longer accepting chunks', fileId, chunkIndex);
+      }
 
       logger.logUpload(fileId, 'chunk uploaded', {
         chunkIndex,
-        uploadedChunks: currentUpload.uploadedChunks,
-        totalChunks: currentUpload.totalChunks
+        chunkSize: stagedChunk.size,
+        uploadedChunks: updated.uploadedChunks,
+        totalChunks: updated.totalChunks
       });
 
       return {
         chunkIndex,
-        uploadedChunks: currentUpload.uploadedChunks,
-        totalChunks: currentUpload.totalChunks,
-        progress: currentUpload.progress
+        uploadedChunks: updated.uploadedChunks,
+        totalChunks: updated.totalChunks,
+        progress: updated.progress
       };
 
     } catch (error) {
       logger.logUploadError('chunk upload', error, { fileId, chunkIndex });
       
-      // Cleanup chunk if upload failed
+      // Cleanup the staged data, and the chunk itself if it was new and not recorded
       try {
-        await this.deleteChunk(fileId, chunkIndex);
+        await this.discardStagedChunk(stagedChunk);
+        if (replacedChunk) {
+          await this.deleteChunk(fileId, chunkIndex);
+        }
       } catch (cleanupError) {
         logger.logUploadError('chunk cleanup', cleanupError, { fileId, chunkIndex });
       }
@@ -207,11 +322,14 @@ class FileUploadService {
         };
       }
 
-      if (fileUpload.uploadedChunks !== fileUpload.totalChunks) {
-        throw new UploadError(
-          `Incomplete upload: ${fileUpload.uploadedChunks}/${fileUpload.totalChunks} chunks received`,
+      const missingChunks = fileUpload.getMissingChunks();
+      if (missingChunks.length > 0) {
+        const error = new UploadError(
+          `Incomplete upload: ${fileUpload.totalChunks - missingChunks.length}/${fileUpload.totalChunks} chunks received`,
           fileId
         );
+        error.details = { missingChunks };
+        throw error;
       }
 
       // Verify all chunks exist
@@ -235,6 +353,13 @@ class FileUploadService {
         
       } catch (err) {
         logger.logUploadError('merge chunks', err, { fileId });
+
+        // Corrupted chunks are re-requested instead of failing the upload
+        if (err instanceof ChecksumMismatchError && err.retryable) {
+          const current = await FileUpload.findByFileId(fileId);
+          err.details = { missingChunks: current ? current.getMissingChunks() : [] };
+          throw err;
+        }
         
         // Mark as failed
         try {
@@ -251,6 +376,10 @@ class FileUploadService {
         } catch (updateError) {
           logger.logUploadError('update failed status', updateError, { fileId });
         }
+
+        if (err instanceof ChecksumMismatchError) {
+          throw err;
+        }
         
         throw new UploadError(`File processing failed: ${err.message}`, fileId);
       }
@@ -261,10 +390,8 @@ class FileUploadService {
     }
   }
 
-  // Merge chunks into GridFS
+  // Merge chunks into the configured storage driver
   async mergeChunks(fileId) {
-    let uploadStream = null;
-    
     try {
       const fileUpload = await FileUpload.findByFileId(fileId);
       
@@ -297,18 +424,17 @@ class FileUploadService {
         throw new FileSystemError(`Chunk directory verification failed: ${error.message}`, chunkDir, 'access');
       }
 
-      // Initialize GridFS upload stream
-      const bucket = this.getBucket();
-      if (!bucket) {
-        throw new Error('Database not connected - GridFS bucket unavailable');
-      }
-      
-      logger.logUpload(fileId, 'GridFS bucket initialized', {
-        bucketName: 'uploads',
-        dbState: mongoose.connection.readyState
-      });
-      
-      uploadStream = bucket.openUploadStream(fileUpload.originalName, {
+      // Stream the chunks, in order, into storage, sealing them with the
+      // upload's data key when it has one. The whole-file digests are
+      // computed on the way through so every chunk is read only once.
+      const dataKey = fileUpload.encryption ? encryption.unwrapDataKey(fileUpload.encryption) : null;
+      const digests = {};
+      const chunks = Readable.from(this.readChunks(fileUpload, dataKey && encryption.getChunkKey(dataKey), digests));
+      const source = dataKey ? pipeStreams(chunks, encryption.createEncryptStream(dataKey), () => {}) : chunks;
+
+      const stored = await storage.put(source, {
+        filename: fileUpload.originalName,
+        contentType: fileUpload.mimeType,
         metadata: {
           fileId,
           originalName: fileUpload.originalName,
@@ -319,102 +445,80 @@ class FileUploadService {
         }
       });
 
-      let totalBytesWritten = 0;
-
-      // Merge chunks sequentially
-      for (let i = 0; i < fileUpload.totalChunks; i++) {
-        const chunkPath = path.join(chunkDir, `chunk-${i}`);
-        
+      // The stored file must match the hash the client announced at init
+      if (fileUpload.expectedChecksum && digests.sha256 !== fileUpload.expectedChecksum) {
         try {
-          const stats = await fs.stat(chunkPath);
-          const chunkData = await fs.readFile(chunkPath);
-          
-          // Write chunk data to GridFS stream
-          const writePromise = new Promise((resolve, reject) => {
-            if (uploadStream.write(chunkData)) {
-              resolve();
-            } else {
-              uploadStream.once('drain', resolve);
-              uploadStream.once('error', reject);
-            }
-          });
-          
-          await writePromise;
-          totalBytesWritten += stats.size;
-          
-          logger.logUpload(fileId, 'chunk merged', { 
-            chunkIndex: i + 1, 
-            totalChunks: fileUpload.totalChunks,
-            chunkSize: stats.size
-          });
+          await storage.delete(storage.location(stored.driver, stored.key));
         } catch (error) {
-          throw new FileSystemError(`Failed to read chunk ${i}: ${error.message}`, chunkPath, 'read');
+          logger.logUploadError('delete mismatched stored file', error, { fileId, storageKey: stored.key });
         }
+        const mismatch = new ChecksumMismatchError(
+          `File checksum mismatch: expected sha256 ${fileUpload.expectedChecksum}, got ${digests.sha256}`,
+          422
+        );
+        mismatch.retryable = false;
+        throw mismatch;
       }
 
-      // End the upload stream
-      uploadStream.end();
-
-      // Wait for the upload to complete
-      await new Promise((resolve, reject) => {
-        uploadStream.on('finish', () => {
-          logger.logUpload(fileId, 'GridFS upload finished', { totalBytes: totalBytesWritten });
-          resolve();
-        });
-        uploadStream.on('error', (error) => {
-          logger.logUploadError('GridFS upload error', error, { fileId });
-          reject(error);
-        });
+      logger.logUpload(fileId, 'stored', {
+        driver: stored.driver,
+        key: stored.key,
+        totalBytes: stored.size
       });
 
       // Verify file size
-      if (Math.abs(totalBytesWritten - fileUpload.size) > 1024) {
+      const expectedSize = dataKey ? encryption.getEncryptedSize(fileUpload.size) : fileUpload.size;
+      if (Math.abs(stored.size - expectedSize) > 1024) {
         logger.logUpload(fileId, 'size mismatch', {
-          expected: fileUpload.size,
-          actual: totalBytesWritten
+          expected: expectedSize,
+          actual: stored.size
         });
       }
 
+      const envelope = fileUpload.encryption ? fileUpload.encryption.toObject() : null;
+      const blob = await this.registerBlob(fileId, digests, stored, envelope);
+
       // Update file upload record
-      await fileUpload.markAsCompleted(uploadStream.id);
+      await fileUpload.markAsCompleted(blob.location, digests, blob.encryption);
+      if (!fileUpload.isCurrentVersion) {
+        await FileUpload.makeCurrentVersion(fileUpload);
+      }
 
       // Cleanup chunks
       await this.cleanupChunks(fileId);
 
       logger.logUpload(fileId, 'merge completed', {
-        size: totalBytesWritten,
-        gridFsId: uploadStream.id
+        size: stored.size,
+        storageDriver: blob.location.driver,
+        storageKey: blob.location.key,
+        encrypted: Boolean(blob.encryption),
+        sha256: digests.sha256
       });
 
     } catch (error) {
       logger.logUploadError('merge chunks', error, { fileId });
       
-      if (uploadStream) {
+      // A corrupted chunk was already put back to 'uploading' for re-upload
+      if (!(error instanceof ChecksumMismatchError && error.retryable)) {
         try {
-          await uploadStream.abort();
-        } catch (abortError) {
-          logger.logUploadError('abort upload stream', abortError, { fileId });
+          await FileUpload.findOneAndUpdate(
+            { fileId },
+            { 
+              status: 'failed',
+              errorMessage: error.message
+            }
+          );
+        } catch (updateError) {
+          logger.logUploadError('update failure status', updateError, { fileId });
         }
       }
       
-      try {
-        await FileUpload.findOneAndUpdate(
-          { fileId },
-          { 
-            status: 'failed',
-            errorMessage: error.message
-          }
-        );
-      } catch (updateError) {
-        logger.logUploadError('update failure status', updateError, { fileId });
-      }
-      
       throw error;
     }
   }
 
   // Get upload status
-  async getUploadStatus(fileId) {
+  async getUploadStatus(fileId, user = null) {
     try {
       this.validateFileId(fileId);
 
@@ -422,6 +526,7 @@ class FileUploadService {
       if (!fileUpload) {
         throw new NotFoundError('Upload session');
       }
+      this.assertAccess(fileUpload, user);
 
       return {
         fileId: fileUpload.fileId,
@@ -430,12 +535,30 @@ class FileUploadService {
         status: fileUpload.status,
         uploadedChunks: fileUpload.uploadedChunks,
         totalChunks: fileUpload.totalChunks,
+        missingChunks: fileUpload.getMissingChunks(),
         progress: fileUpload.progress,
+        checksum: fileUpload.checksum,
+        md5: fileUpload.md5,
+        storageTier: fileUpload.storageTier,
         createdAt: fileUpload.createdAt,
         updatedAt: fileUpload.updatedAt,
         expiresAt: fileUpload.expiresAt,
+        retentionDays: fileUpload.retentionDays,
+        deleteAfter: fileUpload.deleteAfter,
+        retainUntil: fileUpload.retainUntil,
+        legalHold: fileUpload.legalHold,
+        tags: fileUpload.tags,
+        folderId: fileUpload.folderId || null,
+        relativePath: fileUpload.relativePath,
+        batchId: fileUpload.batchId,
+        trashedAt: fileUpload.trashedAt,
+        purgeAfter: fileUpload.purgeAfter,
+        logicalFileId: fileUpload.logicalFileId,
+        version: fileUpload.version,
+        isCurrentVersion: fileUpload.isCurrentVersion,
         errorMessage: fileUpload.errorMessage,
         uploadedBy: fileUpload.uploadedBy,
+        ownerId: fileUpload.ownerId,
         mimeType: fileUpload.mimeType
       };
 
@@ -446,7 +569,7 @@ class FileUploadService {
   }
 
   // Cancel upload
-  async cancelUpload(fileId) {
+  async cancelUpload(fileId, user = null) {
     try {
       this.validateFileId(fileId);
 
@@ -454,6 +577,7 @@ class FileUploadService {
       if (!fileUpload) {
         throw new NotFoundError('Upload session');
       }
+      this.assertAccess(fileUpload, user, 'write');
 
       if (fileUpload.status === 'completed') {
         throw new UploadError('Cannot cancel completed upload', fileId);
@@ -483,34 +607,119 @@ class FileUploadService {
     }
   }
 
-  // Delete file
-  async deleteFile(fileId) {
+  // Delete file: completed files go to the trash for TRASH_GRACE_DAYS,
+  // unfinished uploads have nothing worth restoring and are purged
+  async deleteFile(fileId, user = null) {
     try {
       this.validateFileId(fileId);
 
-      const fileUpload = await FileUpload.findByFileId(fileId);
+      const now = new Date();
+      const fileUpload = await FileUpload.findOne({ fileId, trashedAt: null }).lean();
       if (!fileUpload) {
         throw new NotFoundError('File');
       }
+      this.assertAccess(fileUpload, user, 'write');
+      retention.assertDeletable(fileUpload, now);
 
-      // Delete from GridFS if exists
-      if (fileUpload.gridFsId) {
-        try {
-          const bucket = this.getBucket();
-          if (bucket) {
-            await bucket.delete(fileUpload.gridFsId);
-            logger.logUpload(fileId, 'deleted from GridFS');
-          }
-        } catch (gridFsError) {
-          logger.logUploadError('delete from GridFS', gridFsError, { fileId });
+      const { trashGraceDays } = config.upload;
+      if (fileUpload.status !== 'completed' || !trashGraceDays) {
+        return await this.purgeFile(fileId);
+      }
+
+      const purgeAfter = new Date(now.getTime() + trashGraceDays * 24 * 60 * 60 * 1000);
+      const trashed = await FileUpload.findOneAndUpdate(
+        { fileId, trashedAt: null, ...FileUpload.deletableFilter(now) },
+        { trashedAt: now, purgeAfter, isCurrentVersion: false },
+        { new: true }
+      );
+      if (!trashed) {
+        await this.rejectDelete(fileId, now);
+      }
+      await FileUpload.ensureCurrentVersion(trashed);
+
+      logger.logUpload(fileId, 'moved to trash', { purgeAfter });
+
+      return {
+        fileId,
+        trashed: true,
+        purgeAfter,
+        message: 'File moved to trash'
+      };
+
+    } catch (error) {
+      logger.logUploadError('delete file', error, { fileId });
+      throw error;
+    }
+  }
+
+  // Bring a file back out of the trash
+  async restoreFile(fileId) {
+    try {
+      this.validateFileId(fileId);
+
+      const fileUpload = await FileUpload.findOneAndUpdate(
+        { fileId, trashedAt: { $ne: null } },
+        { $unset: { trashedAt: 1, purgeAfter: 1 } },
+        { new: true }
+      );
+      if (!fileUpload) {
+        throw new NotFoundError('File in trash');
+      }
+      // Comes back as the current version only if its logical file has none
+      await FileUpload.ensureCurrentVersion(fileUpload);
+
+      // Its folder may have been deleted while it was in the trash
+      if (fileUpload.folderId && !(await Folder.exists({ folderId: fileUpload.folderId }))) {
+        await FileUpload.updateOne({ fileId }, { folderId: null });
+      }
+
+      logger.logUpload(fileId, 'restored from trash');
+
+      return {
+        fileId,
+        message: 'File restored successfully'
+      };
+
+    } catch (error) {
+      logger.logUploadError('restore file', error, { fileId });
+      throw error;
+    }
+  }
+
+  // Permanently delete the record, its chunks and (once unshared) its stored
+  // file. `fromTrash` only purges files that are already in the trash.
+  async purgeFile(fileId, { fromTrash = false } = {}) {
+    try {
+      this.validateFileId(fileId);
+
+      // Delete the record first so concurrent deletes release its blob only once;
+      // held and retained files are left alone
+      const now = new Date();
+      const filter = { fileId, ...FileUpload.deletableFilter(now) };
+      if (fromTrash) {
+        filter.trashedAt = { $ne: null };
+      }
+
+      const fileUpload = await FileUpload.findOneAndDelete(filter);
+      if (!fileUpload) {
+        if (fromTrash && !(await FileUpload.exists({ fileId, trashedAt: { $ne: null } }))) {
+          throw new NotFoundError('File in trash');
         }
+        await this.rejectDelete(fileId, now);
+      }
+
+      // Delete the stored file once no other upload shares its content
+      const location = storage.locate(fileUpload);
+      if (location) {
+        await this.releaseStoredFile(fileId, location);
       }
 
       // Cleanup chunks
       await this.cleanupChunks(fileId);
 
-      // Delete record
-      await FileUpload.deleteOne({ fileId });
+      if (fileUpload.isCurrentVersion) {
+        await FileUpload.ensureCurrentVersion(fileUpload);
+      }
 
       logger.logUpload(fileId, 'deleted');
 
@@ -520,33 +729,443 @@ class FileUploadService {
       };
 
     } catch (error) {
-      logger.logUploadError('delete file', error, { fileId });
+      logger.logUploadError('purge file', error, { fileId });
       throw error;
     }
   }
 
-  // Helper methods
-  async saveChunk(fileId, chunkIndex, chunkData) {
+  // Files in the trash, most recently deleted first
+  async listTrash({ page = 1, limit = 20 } = {}, user = null) {
+    const query = { trashedAt: { $ne: null }, ...this.accessFilter(user) };
+    const [files, total] = await Promise.all([
+      FileUpload.find(query)
+        .select('-__v -receivedChunks -parts -chunkChecksums -legalHoldEvents')
+        .sort({ trashedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      FileUpload.countDocuments(query)
+    ]);
+
+    return {
+      files,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Change how long a file is kept: `deleteAfter` is a fixed date, otherwise
+  // `retentionDays` counts from completion and 0 keeps the file forever
+  // Anyone who can write to the file may keep it longer; only admins may
+  // have it deleted sooner
+  async setRetention(fileId, { retentionDays = 0, deleteAfter = null } = {}, user) {
     try {
-      const chunkDir = path.join(this.uploadDir, fileId);
-      
-      // Ensure directory exists
+      this.validateFileId(fileId);
+
+      const fileUpload = await FileUpload.findByFileId(fileId);
+      if (!fileUpload) {
+        throw new NotFoundError('File');
+      }
+
+      // Deadlines of sessions still uploading are compared as if they had
+      // completed now
+      const completedAt = fileUpload.processingCompletedAt || new Date();
+      const deadlineOf = (file) => file.status === 'completed'
+        ? file.deleteAfter || null
+        : file.getRetentionDeadline(completedAt);
+      const previousDeadline = deadlineOf(fileUpload);
+
+      if (deleteAfter && fileUpload.retainUntil && deleteAfter < fileUpload.retainUntil) {
+        throw new RetentionError(
+          `File is retained until ${fileUpload.retainUntil.toISOString()} and cannot be deleted earlier`,
+          { retainUntil: fileUpload.retainUntil }
+        );
+      }
+
+      fileUpload.retentionDays = deleteAfter ? undefined : retentionDays;
+      fileUpload.deleteAfter = deleteAfter || undefined;
+      if (fileUpload.status === 'completed' && !deleteAfter) {
+        fileUpload.deleteAfter = fileUpload.getRetentionDeadline(
+          fileUpload.processingCompletedAt || fileUpload.createdAt
+        ) || undefined;
+      }
+
+      const deadline = deadlineOf(fileUpload);
+      if (!user.isAdmin && deadline && (!previousDeadline || deadline < previousDeadline)) {
+        throw new ForbiddenError('Only admins can shorten how long a file is kept');
+      }
+      await fileUpload.save();
+
+      logger.logUpload(fileId, 'retention updated', {
+        retentionDays: fileUpload.retentionDays,
+        deleteAfter: fileUpload.deleteAfter
+      });
+
+      return {
+        fileId,
+        retentionDays: fileUpload.retentionDays ?? null,
+        deleteAfter: fileUpload.deleteAfter || null
+      };
+
+    } catch (error) {
+      logger.logUploadError('set retention', error, { fileId });
+      throw error;
+    }
+  }
+
+  // Version fields for a new version of the logical file `parentFileId` belongs to
+  async getNextVersion(parentFileId) {
+    const parent = await FileUpload.findOne({ fileId: parentFileId, trashedAt: null }).lean();
+    if (!parent) {
+      throw new NotFoundError('Parent file');
+    }
+
+    // Records from before versioning become version 1 of their own logical file
+    if (!parent.logicalFileId) {
+      await FileUpload.updateOne({ fileId: parent.fileId }, { logicalFileId: parent.fileId, version: 1 });
+    }
+
+    const latest = await FileUpload.findOne(FileUpload.versionFilter(parent))
+      .sort({ version: -1 })
+      .select('version')
+      .lean();
+
+    return {
+      logicalFileId: parent.logicalFileId || parent.fileId,
+      version: (latest?.version || 1) + 1,
+      isCurrentVersion: false,
+      folderId: parent.folderId || null,
+      ...(parent.ownerId && { ownerId: parent.ownerId }),
+      ...(parent.acl && { acl: parent.acl })
+    };
+  }
+
+  // Helper methods
+
+  // Access control. `user` is req.user; methods called without one act for
+  // the server itself and are not restricted. Owners and admins may do
+  // anything, other users what the file's ACL grants them or their groups.
+  // Upload token holders only reach the uploads they started.
+
+  // FileUpload query conditions for the files `user` has `permission` on
+  accessFilter(user, permission = 'read') {
+    if (!user || user.isAdmin) return {};
+    if (user.uploadToken) {
+      return { uploadTokenId: user.uploadToken.tokenId };
+    }
+
+    const permissions = PERMISSIONS.slice(PERMISSIONS.indexOf(permission));
+    const grantTo = (principalType, principalId) => ({
+      acl: { $elemMatch: { principalType, principalId, permission: { $in: permissions } } }
+    });
+
+    return {
+      $or: [
+        { ownerId: user.id },
+        grantTo('user', user.id),
+        grantTo('group', { $in: user.groups || [] })
+      ]
+    };
+  }
+
+  canAccess(fileUpload, user, permission = 'read') {
+    if (user && user.uploadToken) {
+      return permission !== 'manage' && fileUpload.uploadTokenId === user.uploadToken.tokenId;
+    }
+    if (!user || user.isAdmin || (!!fileUpload.ownerId && fileUpload.ownerId === user.id)) {
+      return true;
+    }
+
+    const groups = user.groups || [];
+    return (fileUpload.acl || []).some((grant) =>
+      (grant.principalType === 'user' ? grant.principalId === user.id : groups.includes(grant.principalId)) &&
+      PERMISSIONS.indexOf(grant.permission) >= PERMISSIONS.indexOf(permission)
+    );
+  }
+
+  assertAccess(fileUpload, user, permission = 'read') {
+    if (this.canAccess(fileUpload, user, permission)) return;
+
+    throw new ForbiddenError(permission !== 'read' && this.canAccess(fileUpload, user)
+      ? `You need ${permission} access to this file`
+      : 'You do not have access to this file');
+  }
+
+  // Check access to a file by ID; files that do not exist are left for the
+  // caller to report
+  async authorize(fileId, user, permission = 'read') {
+    const fileUpload = await FileUpload.findByFileId(fileId).select('fileId ownerId acl uploadTokenId').lean();
+    if (fileUpload) {
+      this.assertAccess(fileUpload, user, permission);
+    }
+    return fileUpload;
+  }
+
+  // Whether `ownerId` already has a completed file with this content
+  async ownsContent(ownerId, sha256, size) {
+    return Boolean(await FileUpload.exists({ ownerId, checksum: sha256, size, status: 'completed', trashedAt: null }));
+  }
+
+  // Explain why a delete matched nothing: the file is gone or protected
+  async rejectDelete(fileId, now = new Date()) {
+    const existing = await FileUpload.findByFileId(fileId).lean();
+    if (existing) {
+      retention.assertDeletable(existing, now);
+    }
+    throw new NotFoundError('File');
+  }
+
+  // Yield every chunk's (decrypted) bytes in order, for streaming into
+  // storage. Each chunk is re-verified against the digest recorded on
+  // receipt or its encryption, and the whole-file SHA-256, MD5 and size are filled into
+  // `digests` once the last chunk has been read.
+  async *readChunks(fileUpload, chunkKey = null, digests = {}) {
+    const { fileId, totalChunks } = fileUpload;
+    const sha256 = crypto.createHash('sha256');
+    const md5 = crypto.createHash('md5');
+    let size = 0;
+
+    for (let i = 0; i < totalChunks; i++) {
+      const chunkPath = this.getChunkPath(fileId, i);
+      const expectedChecksum = fileUpload.chunkChecksums && fileUpload.chunkChecksums.get(String(i));
+      const [algorithm, expectedHex] = expectedChecksum ? expectedChecksum.split(':') : [];
+      const chunkHash = algorithm ? createChecksum(algorithm) : null;
+      let chunkSize = 0;
+      let corrupted = false;
+
       try {
-        await fs.access(chunkDir);
-      } catch {
-        await fs.mkdir(chunkDir, { recursive: true });
+        for await (const data of encryption.readChunk(chunkPath, chunkKey, i)) {
+          sha256.update(data);
+          md5.update(data);
+          if (chunkHash) chunkHash.update(data);
+          chunkSize += data.length;
+          yield data;
+        }
+      } catch (error) {
+        // Encrypted chunks that fail authentication were tampered with
+        if (!(error instanceof ChecksumMismatchError)) {
+          throw new FileSystemError(`Failed to merge chunk ${i}: ${error.message}`, chunkPath, 'read');
+        }
+        corrupted = true;
       }
-      
-      const chunkPath = path.join(chunkDir, `chunk-${chunkIndex}`);
-      await fs.writeFile(chunkPath, chunkData);
-      
+
+      if (corrupted || (chunkHash && chunkHash.digest('hex') !== expectedHex)) {
+        await this.deleteChunk(fileId, i);
+        await FileUpload.markChunkMissing(fileId, i);
+        throw new ChecksumMismatchError(
+          `Chunk ${i} was corrupted in storage and must be re-uploaded`,
+          422
+        );
+      }
+
+      size += chunkSize;
+
+      // Upload tokens limit the announced size, so their uploads may not outgrow it
+      if (fileUpload.uploadTokenId && size > fileUpload.size) {
+        throw new ValidationError(`Uploaded data exceeds the announced file size of ${fileUpload.size} bytes`);
+      }
+
+      logger.logUpload(fileId, 'chunk merged', {
+        chunkIndex: i + 1,
+        totalChunks,
+        chunkSize
+      });
+    }
+
+    Object.assign(digests, {
+      sha256: sha256.digest('hex'),
+      md5: md5.digest('hex'),
+      size
+    });
+  }
+
+  // Register a freshly stored file as the blob for its content and return
+  // the location and encryption envelope the upload should point at. If the
+  // same content was stored concurrently, the other copy wins and ours is deleted.
+  async registerBlob(fileId, digests, stored, envelope = null) {
+    const location = storage.location(stored.driver, stored.key);
+    const blob = await FileBlob.register({ ...digests, location, encryption: envelope || undefined });
+    if (blob) {
+      return { location, encryption: envelope };
+    }
+
+    const existingBlob = await FileBlob.addReference(digests.sha256);
+    if (!existingBlob) {
+      throw new DatabaseError('Failed to register stored file', 'register blob');
+    }
+
+    try {
+      await storage.delete(location);
+    } catch (error) {
+      logger.logUploadError('delete duplicate stored file', error, { fileId, storageKey: location.key });
+    }
+
+    logger.logUpload(fileId, 'merge deduplicated', {
+      storageKey: existingBlob.storageKey,
+      sha256: digests.sha256,
+      refCount: existingBlob.refCount
+    });
+
+    return {
+      location: storage.locate(existingBlob),
+      encryption: existingBlob.encryption ? existingBlob.encryption.toObject() : null
+    };
+  }
+
+  // Plaintext stream of a completed upload's stored file, optionally limited
+  // to the inclusive byte range { start, end }
+  async openStoredFile(fileUpload, range = null) {
+    const location = storage.locate(fileUpload);
+    if (!location) {
+      throw new NotFoundError('Stored file');
+    }
+
+    if (!fileUpload.encryption) {
+      return storage.get(location, range || {});
+    }
+
+    const dataKey = encryption.unwrapDataKey(fileUpload.encryption);
+    if (!range) {
+      return pipeStreams(await storage.get(location), encryption.createDecryptStream(dataKey), () => {});
+    }
+
+    // Fetch only the sealed segments covering the range, plus the nonce header
+    const sealed = encryption.getEncryptedRange(fileUpload.size, range.start, range.end);
+    const header = [];
+    for await (const data of await storage.get(location, { start: 0, end: sealed.headerEnd })) {
+      header.push(data);
+    }
+
+    return pipeStreams(
+      await storage.get(location, { start: sealed.start, end: sealed.end }),
+      encryption.createDecryptStream(dataKey, { ...sealed, noncePrefix: Buffer.concat(header) }),
+      () => {}
+    );
+  }
+
+  // Drop an upload's reference to a stored file and delete the file once
+  // no other upload shares it
+  async releaseStoredFile(fileId, location) {
+    try {
+      const unreferenced = await FileBlob.releaseReference(location);
+      if (unreferenced) {
+        await storage.delete(location);
+        logger.logUpload(fileId, 'deleted from storage', { storageDriver: location.driver });
+      } else {
+        logger.logUpload(fileId, 'stored file still referenced', { storageKey: location.key });
+      }
+    } catch (storageError) {
+      logger.logUploadError('delete from storage', storageError, { fileId });
+    }
+  }
+
+  getChunkDir(fileId) {
+    return path.join(this.uploadDir, fileId);
+  }
+
+  getChunkPath(fileId, chunkIndex) {
+    return path.join(this.getChunkDir(fileId), `chunk-${chunkIndex}`);
+  }
+
+  // Key for an upload's chunk files, or null when it is stored in plaintext
+  async getChunkKey(fileUpload) {
+    const record = typeof fileUpload === 'string'
+      ? await FileUpload.findByFileId(fileUpload).select('encryption').lean()
+      : fileUpload;
+
+    if (!record || !record.encryption) return null;
+    return encryption.getChunkKey(encryption.unwrapDataKey(record.encryption));
+  }
+
+  // Stream the body of chunk `chunkIndex` to a staging file, hashing (and
+  // encrypting) it on the way through so it never has to be held in memory or
+  // read back for verification
+  async stageChunk(fileId, chunkIndex, source, algorithms = []) {
+    const stagingDir = path.join(this.uploadDir, STAGING_DIR);
+    const stagingPath = path.join(stagingDir, `${fileId}-${crypto.randomBytes(8).toString('hex')}`);
+    const hashes = algorithms.map(algorithm => [algorithm, createChecksum(algorithm)]);
+    let size = 0;
+
+    try {
+      const chunkKey = await this.getChunkKey(fileId);
+      await fs.mkdir(stagingDir, { recursive: true });
+      await pipeline(
+        source,
+        new Transform({
+          transform: (data, encoding, callback) => {
+            size += data.length;
+            if (size > this.chunkSizeLimit) {
+              return callback(new AppError(`Chunk exceeds maximum size of ${this.chunkSizeLimit} bytes`, 413));
+            }
+            hashes.forEach(([, hash]) => hash.update(data));
+            callback(null, data);
+          }
+        }),
+        chunkKey ? encryption.createChunkEncryptStream(chunkKey, chunkIndex) : new PassThrough(),
+        fsSync.createWriteStream(stagingPath)
+      );
+    } catch (error) {
+      await fs.rm(stagingPath, { force: true });
+      if (error instanceof AppError) throw error;
+      throw new FileSystemError(`Failed to save chunk: ${error.message}`, stagingPath, 'write');
+    }
+
+    return {
+      path: stagingPath,
+      size,
+      digests: Object.fromEntries(hashes.map(([algorithm, hash]) => [algorithm, hash.digest('hex')]))
+    };
+  }
+
+  // Atomically move a staged chunk into place, replacing any earlier copy
+  async commitChunk(fileId, chunkIndex, stagedChunk) {
+    const chunkPath = this.getChunkPath(fileId, chunkIndex);
+
+    try {
+      await fs.mkdir(this.getChunkDir(fileId), { recursive: true });
+      await fs.rename(stagedChunk.path, chunkPath);
       return chunkPath;
     } catch (error) {
-      const chunkPath = path.join(this.uploadDir, fileId, `chunk-${chunkIndex}`);
       throw new FileSystemError(`Failed to save chunk: ${error.message}`, chunkPath, 'write');
     }
   }
 
+  // Give a received chunk another index. Encrypted chunks are sealed with
+  // their index, so they are re-sealed under the new one.
+  async moveChunk(fileId, fromIndex, toIndex, chunkKey = null) {
+    const fromPath = this.getChunkPath(fileId, fromIndex);
+    const toPath = this.getChunkPath(fileId, toIndex);
+    const tempPath = `${toPath}.tmp`;
+
+    try {
+      if (chunkKey) {
+        await pipeline(
+          encryption.readChunk(fromPath, chunkKey, fromIndex),
+          encryption.createChunkEncryptStream(chunkKey, toIndex),
+          fsSync.createWriteStream(tempPath)
+        );
+        await fs.rename(tempPath, toPath);
+        await fs.unlink(fromPath);
+      } else {
+        await fs.rename(fromPath, toPath);
+      }
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      if (error instanceof ChecksumMismatchError) throw error;
+      throw new FileSystemError(`Failed to move chunk: ${error.message}`, fromPath, 'write');
+    }
+  }
+
+  async discardStagedChunk(stagedChunk) {
+    if (stagedChunk && stagedChunk.path) {
+      await fs.rm(stagedChunk.path, { force: true });
+    }
+  }
+
   async deleteChunk(fileId, chunkIndex) {
     try {
       const chunkPath = path.join(this.uploadDir, fileId, `chunk-${chunkIndex}`);
@@ -584,14 +1203,46 @@ class FileUploadService {
     }
   }
 
+  // Returns the normalized checksum when it matches, false on mismatch
+  async verifyChunkChecksum(fileId, chunkIndex, stagedChunk, checksum) {
+    const normalized = parseChecksum(checksum);
+    if (!normalized) {
+      throw new ValidationError(
+        `Invalid chunk checksum. Expected <algorithm>=<digest> using one of: ${SUPPORTED_ALGORITHMS.join(', ')}`
+      );
+    }
+
+    // Use the digest computed while staging, or hash the staged file if the
+    // algorithm was not known up front
+    const [algorithm, expectedHex] = normalized.split(':');
+    let actualHex = stagedChunk.digests && stagedChunk.digests[algorithm];
+    if (!actualHex) {
+      const hash = createChecksum(algorithm);
+      const chunkKey = await this.getChunkKey(fileId);
+      for await (const data of encryption.readChunk(stagedChunk.path, chunkKey, chunkIndex)) {
+        hash.update(data);
+      }
+      actualHex = hash.digest('hex');
+    }
+
+    if (actualHex !== expectedHex) {
+      logger.logUpload(fileId, 'chunk checksum mismatch', { chunkIndex, algorithm });
+      return false;
+    }
+
+    return normalized;
+  }
+
   validateFileData(fileData) {
-    const { fileName, fileSize, totalChunks } = fileData;
+    const { fileName, fileSize, totalChunks, metadata } = fileData;
     
     if (!fileName || typeof fileName !== 'string') {
       throw new ValidationError('Invalid filename');
     }
     
-    if (!fileSize || typeof fileSize !== 'number' || fileSize <= 0) {
+    // S3 multipart uploads only learn their size when they are completed
+    const sizeDeferred = fileSize === null && Boolean(metadata && metadata.s3);
+    if (!sizeDeferred && (!fileSize || typeof fileSize !== 'number' || fileSize <= 0)) {
       throw new ValidationError('Invalid file size');
     }
     
@@ -634,8 +1285,10 @@ class FileUploadService {
 
       for (const upload of expiredUploads) {
         try {
+          // Skip sessions that completed since they were listed
+          const { deletedCount } = await FileUpload.deleteOne({ fileId: upload.fileId, status: upload.status });
+          if (!deletedCount) continue;
           await this.cleanupChunks(upload.fileId);
-          await FileUpload.deleteOne({ fileId: upload.fileId });
           cleanedCount++;
         } catch (error) {
           logger.logUploadError('cleanup expired upload', error, { fileId: upload.fileId });
@@ -643,13 +1296,59 @@ class FileUploadService {
       }
 
       logger.logCleanup('expired uploads', cleanedCount);
-      return cleanedCount;
+
+      return cleanedCount + await this.cleanupRetentionExpired();
     } catch (error) {
       logger.logUploadError('cleanup expired uploads', error);
       throw error;
     }
   }
 
+  // Delete completed files past their retention, stored bytes and record together
+  async cleanupRetentionExpired() {
+    const expiredFiles = await FileUpload.findRetentionExpired().select('fileId').lean();
+    let cleanedCount = 0;
+
+    for (const file of expiredFiles) {
+      try {
+        await this.purgeFile(file.fileId);
+        cleanedCount++;
+      } catch (error) {
+        // Deleted or put on hold by someone else in the meantime
+        if (error instanceof NotFoundError || error instanceof RetentionError) continue;
+        logger.logUploadError('cleanup retention expired file', error, { fileId: file.fileId });
+      }
+    }
+
+    logger.logCleanup('retention expired files', cleanedCount);
+    return cleanedCount;
+  }
+
+  // Permanently delete trashed files whose grace period is over
+  async emptyTrash() {
+    try {
+      const purgeable = await FileUpload.findPurgeable().select('fileId').lean();
+      let cleanedCount = 0;
+
+      for (const file of purgeable) {
+        try {
+          await this.purgeFile(file.fileId, { fromTrash: true });
+          cleanedCount++;
+        } catch (error) {
+          // Restored, already purged or put on hold in the meantime
+          if (error instanceof NotFoundError || error instanceof RetentionError) continue;
+          logger.logUploadError('purge trashed file', error, { fileId: file.fileId });
+        }
+      }
+
+      logger.logCleanup('trash', cleanedCount);
+      return cleanedCount;
+    } catch (error) {
+      logger.logUploadError('empty trash', error);
+      throw error;
+    }
+  }
+
   async cleanupStaleUploads(hours = 2) {
     try {
       const staleUploads = await FileUpload.findStale(hours);
@@ -683,6 +1382,12 @@ class FileUploadService {
       let cleanedCount = 0;
 
       for (const dir of uploadDirs) {
+        // Chunks being received live in the staging directory, not under a file ID
+        if (dir === STAGING_DIR) {
+          cleanedCount += await this.cleanupStagedChunks();
+          continue;
+        }
+
         if (!validFileIds.has(dir)) {
           const dirPath = path.join(this.uploadDir, dir);
           try {
@@ -704,6 +1409,31 @@ class FileUploadService {
       throw error;
     }
   }
+
+  // Staged chunk bodies left behind by requests that died mid-transfer; a
+  // body still being written is newer than `hours`
+  async cleanupStagedChunks(hours = 2) {
+    const stagingDir = path.join(this.uploadDir, STAGING_DIR);
+    const cutoff = Date.now() - hours * 60 * 60 * 1000;
+    let cleanedCount = 0;
+
+    for (const name of await fs.readdir(stagingDir)) {
+      const stagingPath = path.join(stagingDir, name);
+      try {
+        const stats = await fs.stat(stagingPath);
+        if (stats.mtimeMs < cutoff) {
+          await fs.rm(stagingPath, { force: true });
+          cleanedCount++;
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.logUploadError('cleanup staged chunk', error, { stagingPath });
+        }
+      }
+    }
+
+    return cleanedCount;
+  }
 }
 
 module.exports = new FileUploadService();
@@ -0,0 +1,121 @@
+const logger = require('./logger');
+const fileUploadService = require('./fileUpload');
+const FileUpload = require('../models/FileUpload');
+const { NotFoundError, RetentionError, UploadError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const VERSION_FIELDS = 'fileId logicalFileId version isCurrentVersion originalName mimeType size status checksum uploadedBy createdAt processingCompletedAt legalHold retainUntil';
+
+// Versions of a logical file: uploads started with a parentFileId join their
+// parent's logical file, and the newest completed one becomes current
+class FileVersionService {
+  // Every version of the logical file `fileId` belongs to, newest first
+  async listVersions(fileId) {
+    const record = await this.findVersion(fileId);
+
+    const versions = await FileUpload.find({ ...FileUpload.versionFilter(record), trashedAt: null })
+      .select(VERSION_FIELDS)
+      .sort({ version: -1 })
+      .lean();
+
+    const current = versions.find((version) => version.isCurrentVersion !== false);
+
+    return {
+      logicalFileId: record.logicalFileId || record.fileId,
+      currentVersion: current ? current.version || 1 : null,
+      versions
+    };
+  }
+
+  // Completed record to download: `fileId` itself, or a version of its logical
+  // file by number or 'current'
+  async resolveDownload(fileId, version) {
+    if (version === undefined) {
+      return FileUpload.findOne({ fileId, status: 'completed', trashedAt: null }).lean();
+    }
+
+    const record = await FileUpload.findOne({ fileId, trashedAt: null }).lean();
+    if (!record) return null;
+
+    const filter = { ...FileUpload.versionFilter(record), status: 'completed', trashedAt: null };
+    if (version === 'current') {
+      filter.isCurrentVersion = { $ne: false };
+    } else if (record.logicalFileId) {
+      filter.version = version;
+    } else if (version !== 1) {
+      // Records from before versioning only have version 1
+      return null;
+    }
+
+    return FileUpload.findOne(filter).lean();
+  }
+
+  // Make an older (or any completed) version the current one
+  async promoteVersion(fileId) {
+    const record = await this.findVersion(fileId);
+    if (record.status !== 'completed') {
+      throw new UploadError('Only completed versions can be made current', fileId);
+    }
+
+    const promoted = await FileUpload.makeCurrentVersion(record);
+
+    logger.logUpload(fileId, 'promoted to current version', {
+      logicalFileId: record.logicalFileId,
+      version: record.version
+    });
+
+    return {
+      fileId,
+      logicalFileId: promoted.logicalFileId || promoted.fileId,
+      version: promoted.version,
+      isCurrentVersion: true
+    };
+  }
+
+  // Permanently delete old versions. A version is pruned when it is not among
+  // the `keep` newest and is older than `olderThanDays`; either limit may be
+  // left out. The current version and versions under retention are never pruned.
+  async pruneVersions(fileId, { keep, olderThanDays } = {}) {
+    const record = await this.findVersion(fileId);
+    const cutoff = olderThanDays !== undefined ? new Date(Date.now() - olderThanDays * DAY_MS) : null;
+
+    const versions = await FileUpload.find({ ...FileUpload.versionFilter(record), trashedAt: null })
+      .select('fileId version isCurrentVersion status createdAt')
+      .sort({ version: -1 })
+      .lean();
+
+    const candidates = versions.filter((version, index) => {
+      if (version.isCurrentVersion !== false || version.status !== 'completed') return false;
+      if (keep !== undefined && index < keep) return false;
+      if (cutoff && version.createdAt >= cutoff) return false;
+      return true;
+    });
+
+    const pruned = [];
+    const skipped = [];
+    for (const version of candidates) {
+      try {
+        await fileUploadService.purgeFile(version.fileId);
+        pruned.push(version.fileId);
+      } catch (error) {
+        if (!(error instanceof RetentionError || error instanceof NotFoundError)) throw error;
+        skipped.push({ fileId: version.fileId, reason: error.message });
+      }
+    }
+
+    logger.logUpload(fileId, 'versions pruned', { pruned: pruned.length, skipped: skipped.length });
+
+    return { pruned, skipped };
+  }
+
+  async findVersion(fileId) {
+    const record = await FileUpload.findOne({ fileId, trashedAt: null }).lean();
+    if (!record) {
+      throw new NotFoundError('File');
+    }
+    return record;
+  }
+}
+
+module.exports = new FileVersionService();
@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+const fileUploadService = require('./fileUpload');
+const retention = require('./retention');
+const Folder = require('../models/Folder');
+const FileUpload = require('../models/FileUpload');
+const { ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../utils/errors');
+
+const LIST_FIELDS = '-__v -receivedChunks -parts -chunkChecksums -legalHoldEvents';
+
+// Virtual folder tree. Folders only exist as records: moving or renaming one
+// never touches stored files.
+//
+// Every folder belongs to its creator (`createdBy`), and a whole tree to the
+// creator of its root folder. Users only see and change their own folders;
+// admins can use everyone's. A folder only holds files of its owner. Methods
+// taking a `user` skip the checks when there is none.
+class FolderService {
+  async createFolder({ name, parentId = null, createdBy = 'anonymous' }, user = null) {
+    const parent = parentId ? await this.findFolder(parentId, user) : null;
+
+    const folder = new Folder({
+      folderId: crypto.randomBytes(16).toString('hex'),
+      name,
+      parentId: parent ? parent.folderId : null,
+      ancestors: parent ? [...parent.ancestors, parent.folderId] : [],
+      // Subfolders admins create belong to the owner of the tree
+      createdBy: parent ? parent.createdBy : createdBy
+    });
+    await this.saveFolder(folder);
+
+    logger.info('Folder created', { folderId: folder.folderId, name, parentId });
+
+    return folder.toJSON();
+  }
+
+  // A folder's subfolders and the (current versions of) files in it that
+  // `user` may access, with breadcrumbs from the root. `folderId` null lists
+  // the root, with the user's own top-level folders.
+  async listFolder(folderId = null, { page = 1, limit = 50, status, sortBy = 'createdAt', sortOrder = 'desc' } = {}, user = null) {
+    const folder = folderId ? await this.findFolder(folderId, user) : null;
+
+    const fileQuery = {
+      folderId,
+      trashedAt: null,
+      isCurrentVersion: { $ne: false },
+      ...fileUploadService.accessFilter(user)
+    };
+    if (status) {
+      fileQuery.status = status;
+    }
+
+    const [breadcrumbs, folders, files, total] = await Promise.all([
+      this.getBreadcrumbs(folder),
+      Folder.find({ parentId: folderId, ...this.ownerFilter(user) }).select('-__v').sort({ name: 1 }).lean(),
+      FileUpload.find(fileQuery)
+        .select(LIST_FIELDS)
+        .sort({ [sortBy]: sortOrder === 'asc' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      FileUpload.countDocuments(fileQuery)
+    ]);
+
+    return {
+      folder,
+      breadcrumbs,
+      folders,
+      files,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Root-first path to the folder, the folder itself included
+  async getBreadcrumbs(folder) {
+    if (!folder) return [];
+
+    const ancestors = await Folder.find({ folderId: { $in: folder.ancestors } })
+      .select('folderId name')
+      .lean();
+    const byId = new Map(ancestors.map((ancestor) => [ancestor.folderId, ancestor]));
+
+    return [...folder.ancestors.map((id) => byId.get(id)), folder]
+      .filter(Boolean)
+      .map(({ folderId, name }) => ({ folderId, name }));
+  }
+
+  // Rename and/or move a folder within its owner's tree; `parentId` null
+  // moves it to the root
+  async updateFolder(folderId, { name, parentId } = {}, user = null) {
+    const folder = await this.findFolder(folderId, user);
+
+    if (name !== undefined) {
+      folder.name = name;
+    }
+
+    const oldDepth = folder.ancestors.length;
+    const moved = parentId !== undefined && parentId !== folder.parentId;
+    if (moved) {
+      const parent = parentId ? await this.findFolder(parentId, user) : null;
+      if (parent && (parent.folderId === folderId || parent.ancestors.includes(folderId))) {
+        throw new ValidationError('A folder cannot be moved into itself');
+      }
+      if (parent && parent.createdBy !== folder.createdBy) {
+        throw new ForbiddenError('Folders can only be moved into folders of the same owner');
+      }
+
+      folder.parentId = parent ? parent.folderId : null;
+      folder.ancestors = parent ? [...parent.ancestors, parent.folderId] : [];
+    }
+
+    await this.saveFolder(folder);
+
+    // Re-root the ancestor lists of everything below the moved folder
+    if (moved) {
+      await Folder.updateMany({ ancestors: folderId }, [
+        {
+          $set: {
+            ancestors: {
+              $concatArrays: [
+                [...folder.ancestors],
+                { $slice: ['$ancestors', oldDepth, { $size: '$ancestors' }] }
+              ]
+            }
+          }
+        }
+      ]);
+    }
+
+    logger.info('Folder updated', { folderId, name, parentId: folder.parentId, moved });
+
+    return folder.toJSON();
+  }
+
+  // Delete a folder. Non-empty folders need `recursive`, which deletes every
+  // file below it through FileUploadService.deleteFile (so completed files go
+  // to the trash) and nothing at all if any of them is held, retained or
+  // not accessible to `user`.
+  async deleteFolder(folderId, { recursive = false } = {}, user = null) {
+    await this.findFolder(folderId, user);
+
+    const folderIds = (await Folder.find(Folder.subtreeFilter(folderId)).select('folderId').lean())
+      .map((folder) => folder.folderId);
+    const files = await FileUpload.find({ folderId: { $in: folderIds }, trashedAt: null }).lean();
+
+    if (!recursive && (folderIds.length > 1 || files.length > 0)) {
+      throw new ConflictError('Folder is not empty');
+    }
+
+    const now = new Date();
+    files.forEach((file) => {
+      fileUploadService.assertAccess(file, user, 'write');
+      retention.assertDeletable(file, now);
+    });
+
+    let deletedFiles = 0;
+    for (const file of files) {
+      try {
+        await fileUploadService.deleteFile(file.fileId);
+        deletedFiles++;
+      } catch (error) {
+        // Deleted concurrently
+        if (!(error instanceof NotFoundError)) throw error;
+      }
+    }
+
+    await Folder.deleteMany({ folderId: { $in: folderIds } });
+
+    logger.info('Folder deleted', { folderId, folders: folderIds.length, files: deletedFiles });
+
+    return {
+      folderId,
+      deletedFolders: folderIds.length,
+      deletedFiles,
+      message: 'Folder deleted successfully'
+    };
+  }
+
+  // Move a file, all of its versions included, into one of its owner's
+  // folders; `folderId` null moves it to the root
+  async moveFile(fileId, folderId = null, user = null) {
+    const record = await FileUpload.findOne({ fileId, trashedAt: null }).lean();
+    if (!record) {
+      throw new NotFoundError('File');
+    }
+    if (folderId) {
+      this.assertHoldsFilesOf(await this.findFolder(folderId, user), record.ownerId);
+    }
+
+    await FileUpload.updateMany(FileUpload.versionFilter(record), { folderId });
+
+    logger.logUpload(fileId, 'moved', { from: record.folderId || null, to: folderId });
+
+    return { fileId, folderId };
+  }
+
+  // Folder for a file `ownerId` uploads from a directory: the directories of
+  // `relativePath` ("a/b/file.txt" → a/b) below `parentId`, created as needed
+  async ensurePath(parentId, relativePath, ownerId = 'anonymous') {
+    let folderId = null;
+    if (parentId) {
+      const parent = await this.findFolder(parentId);
+      this.assertHoldsFilesOf(parent, ownerId);
+      folderId = parent.folderId;
+    }
+
+    const directories = relativePath.split('/').slice(0, -1).map((name) => name.trim()).filter(Boolean);
+    for (const name of directories) {
+      const existing = await Folder.findOne({ parentId: folderId, name, createdBy: ownerId }).select('folderId').lean();
+      if (existing) {
+        folderId = existing.folderId;
+        continue;
+      }
+
+      try {
+        folderId = (await this.createFolder({ name, parentId: folderId, createdBy: ownerId })).folderId;
+      } catch (error) {
+        // Files of one directory are initialized in parallel
+        if (!(error instanceof ConflictError)) throw error;
+        folderId = (await Folder.findOne({ parentId: folderId, name, createdBy: ownerId }).select('folderId').lean()).folderId;
+      }
+    }
+
+    return folderId;
+  }
+
+  // The folder, if `user` (when given) may use it
+  async findFolder(folderId, user = null) {
+    const folder = await Folder.findByFolderId(folderId);
+    if (!folder) {
+      throw new NotFoundError('Folder');
+    }
+    if (user && !user.isAdmin && folder.createdBy !== user.id) {
+      throw new ForbiddenError('You do not have access to this folder');
+    }
+    return folder;
+  }
+
+  // Query conditions for the folders `user` may see
+  ownerFilter(user) {
+    return user && !user.isAdmin ? { createdBy: user.id } : {};
+  }
+
+  // Files stay with their owner: they can only go into folders that owner has
+  assertHoldsFilesOf(folder, ownerId) {
+    if (folder.createdBy !== ownerId) {
+      throw new ForbiddenError('Files can only be put in folders of their owner');
+    }
+  }
+
+  async saveFolder(folder) {
+    try {
+      await folder.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError(`A folder named "${folder.name}" already exists here`);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new FolderService();
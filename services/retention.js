@@ -0,0 +1,105 @@
+const config = require('../config');
+const logger = require('./logger');
+const FileUpload = require('../models/FileUpload');
+const { ConflictError, ForbiddenError, NotFoundError, RetentionError } = require('../utils/errors');
+const { matchesMimeType } = require('../utils/mimeType');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Keeps files from being deleted: retention rules give a file a minimum
+// retention date when it is uploaded, and legal holds block deletion and
+// expiry until they are released. See config.retention.
+class RetentionService {
+  // Rules whose uploader, MIME type and tag criteria all match the file
+  getMatchingRules(file) {
+    const { rules } = config.retention;
+    return (rules || []).filter((rule) => {
+      if (rule.uploadedBy && rule.uploadedBy !== file.uploadedBy) return false;
+      if (rule.mimeType && !matchesMimeType(rule.mimeType, file.mimeType)) return false;
+      if (rule.tag && !(file.tags || []).includes(rule.tag)) return false;
+      return true;
+    });
+  }
+
+  // Minimum retention date for a file uploaded at `from`; the longest rule wins
+  getRetainUntil(file, from = new Date()) {
+    const days = Math.max(0, ...this.getMatchingRules(file).map((rule) => rule.retainDays));
+    return days ? new Date(from.getTime() + days * DAY_MS) : null;
+  }
+
+  // Throw if a legal hold or retention date protects the file at `now`
+  assertDeletable(file, now = new Date()) {
+    if (file.legalHold) {
+      throw new RetentionError('File is on legal hold and cannot be deleted', { legalHold: true });
+    }
+    if (file.retainUntil && file.retainUntil > now) {
+      throw new RetentionError(
+        `File is retained until ${file.retainUntil.toISOString()} and cannot be deleted`,
+        { retainUntil: file.retainUntil }
+      );
+    }
+  }
+
+  async getLegalHold(fileId) {
+    const fileUpload = await FileUpload.findByFileId(fileId).lean();
+    if (!fileUpload) {
+      throw new NotFoundError('File');
+    }
+
+    return this.toHoldStatus(fileUpload);
+  }
+
+  async placeLegalHold(fileId, { reason }, user) {
+    this.assertCanManageHolds(user);
+    return this.setLegalHold(fileId, true, { reason, requestedBy: user.id });
+  }
+
+  async releaseLegalHold(fileId, { reason }, user) {
+    this.assertCanManageHolds(user);
+    return this.setLegalHold(fileId, false, { reason, requestedBy: user.id });
+  }
+
+  // Holds are a compliance decision, not the file owner's: only admins and
+  // users with the compliance role place or release them, on any file
+  assertCanManageHolds(user) {
+    if (!user.isAdmin && !user.roles.includes(config.security.complianceRole)) {
+      throw new ForbiddenError('Only compliance officers can place or release legal holds');
+    }
+  }
+
+  // Flip the hold and record who did it and why in the same update
+  async setLegalHold(fileId, legalHold, { reason, requestedBy }) {
+    const action = legalHold ? 'placed' : 'released';
+
+    const fileUpload = await FileUpload.findOneAndUpdate(
+      { fileId, legalHold: legalHold ? { $ne: true } : true },
+      {
+        $set: { legalHold },
+        $push: { legalHoldEvents: { action, reason, requestedBy, at: new Date() } }
+      },
+      { new: true, runValidators: true }
+    ).lean();
+
+    if (!fileUpload) {
+      if (!(await FileUpload.exists({ fileId }))) {
+        throw new NotFoundError('File');
+      }
+      throw new ConflictError(legalHold ? 'File is already on legal hold' : 'File is not on legal hold');
+    }
+
+    logger.logUpload(fileId, `legal hold ${action}`, { reason, requestedBy });
+
+    return this.toHoldStatus(fileUpload);
+  }
+
+  toHoldStatus(fileUpload) {
+    return {
+      fileId: fileUpload.fileId,
+      legalHold: Boolean(fileUpload.legalHold),
+      retainUntil: fileUpload.retainUntil || null,
+      events: fileUpload.legalHoldEvents || []
+    };
+  }
+}
+
+module.exports = new RetentionService();
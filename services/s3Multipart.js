@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+const FileUpload = require('../models/FileUpload');
+const fileUploadService = require('./fileUpload');
+const {
+  ValidationError,
+  NotFoundError,
+  ChecksumMismatchError
+} = require('../utils/errors');
+
+const S3_NAMESPACE = 'http://s3.amazonaws.com/doc/2006-03-01/';
+const MAX_PARTS = 10000;
+const DEFAULT_MAX_LIST_PARTS = 1000;
+
+const s3Error = (error, code) => {
+  error.s3Code = code;
+  return error;
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const toXmlElements = (value) => Object.entries(value)
+  .filter(([, child]) => child !== undefined && child !== null)
+  .map(([name, child]) => {
+    if (Array.isArray(child)) {
+      return child.map(item => `<${name}>${toXmlElements(item)}</${name}>`).join('');
+    }
+    if (typeof child === 'object' && !(child instanceof Date)) {
+      return `<${name}>${toXmlElements(child)}</${name}>`;
+    }
+    const text = child instanceof Date ? child.toISOString() : child;
+    return `<${name}>${escapeXml(text)}</${name}>`;
+  })
+  .join('');
+
+const quoteETag = (etag) => `"${etag}"`;
+const unquoteETag = (etag) => String(etag || '').trim().replace(/^"|"$/g, '');
+
+// S3 multipart upload API mapped onto FileUploadService.
+// The upload ID is the FileUpload fileId and part N is stored as chunk N-1.
+class S3MultipartService {
+  constructor() {
+    this.maxPartSize = config.upload.chunkSizeLimit;
+    this.maxObjectSize = config.upload.totalSizeLimit;
+  }
+
+  // CreateMultipartUpload
+  async createMultipartUpload(bucket, key, mimeType, uploadedBy = 'anonymous', uploadedFrom = {}) {
+    this.validateObjectKey(key);
+
+    // S3 does not announce the object size or part count, so the session has
+    // no size until it is completed and accepts any part number as its chunk
+    const result = await fileUploadService.initializeUpload(
+      {
+        fileName: path.posix.basename(key),
+        fileSize: null,
+        mimeType,
+        totalChunks: MAX_PARTS,
+        metadata: { s3: { bucket, key } }
+      },
+      uploadedBy,
+      uploadedFrom
+    );
+
+    logger.logUpload(result.fileId, 's3 multipart upload created', { bucket, key });
+
+    return {
+      Bucket: bucket,
+      Key: key,
+      UploadId: result.fileId
+    };
+  }
+
+  // UploadPart: the request body is streamed straight to a staging file.
+  // payloadHash is the SHA-256 a SigV4-signed request promised for it.
+  async uploadPart(bucket, key, uploadId, partNumber, body, contentMd5, payloadHash = null) {
+    const fileUpload = await this.findUpload(bucket, key, uploadId);
+    const part = this.parsePartNumber(partNumber);
+
+    let staged;
+    try {
+      staged = await fileUploadService.stageChunk(uploadId, part - 1, body, payloadHash ? ['md5', 'sha256'] : ['md5']);
+    } catch (error) {
+      if (error.statusCode === 413) {
+        throw s3Error(new ValidationError(`Part exceeds maximum size of ${this.maxPartSize} bytes`), 'EntityTooLarge');
+      }
+      throw error;
+    }
+
+    const etag = staged.digests.md5;
+    if (contentMd5 && Buffer.from(etag, 'hex').toString('base64') !== contentMd5) {
+      await fileUploadService.discardStagedChunk(staged);
+      throw s3Error(new ChecksumMismatchError('The Content-MD5 you specified did not match what we received', 400), 'BadDigest');
+    }
+    if (payloadHash && staged.digests.sha256 !== payloadHash) {
+      await fileUploadService.discardStagedChunk(staged);
+      throw s3Error(
+        new ChecksumMismatchError('The provided x-amz-content-sha256 header does not match what was computed', 400),
+        'XAmzContentSHA256Mismatch'
+      );
+    }
+
+    // Passing the checksum makes a re-uploaded part number replace its data, as in S3
+    await fileUploadService.uploadChunk(uploadId, part - 1, staged, fileUpload.totalChunks, `md5:${etag}`);
+
+    await FileUpload.updateOne(
+      { fileId: uploadId },
+      {
+        $set: {
+          [`parts.${part}`]: { etag, size: staged.size, lastModified: new Date() }
+        }
+      }
+    );
+
+    return { etag: quoteETag(etag) };
+  }
+
+  // CompleteMultipartUpload
+  async completeMultipartUpload(bucket, key, uploadId, requestedParts) {
+    const fileUpload = await this.findUpload(bucket, key, uploadId);
+
+    if (requestedParts.length === 0) {
+      throw s3Error(new ValidationError('The XML you provided did not specify any parts'), 'MalformedXML');
+    }
+
+    let totalSize = 0;
+    const md5s = [];
+
+    requestedParts.forEach(({ partNumber, etag }, position) => {
+      if (position > 0 && partNumber <= requestedParts[position - 1].partNumber) {
+        throw s3Error(new ValidationError('The list of parts was not in ascending order'), 'InvalidPartOrder');
+      }
+
+      const stored = fileUpload.parts && fileUpload.parts.get(String(partNumber));
+      if (!stored || !fileUpload.isChunkUploaded(partNumber - 1) || stored.etag !== unquoteETag(etag)) {
+        throw s3Error(new ValidationError(`Part ${partNumber} could not be found or its ETag does not match`), 'InvalidPart');
+      }
+
+      totalSize += stored.size;
+      md5s.push(Buffer.from(stored.etag, 'hex'));
+    });
+
+    if (totalSize > this.maxObjectSize) {
+      throw s3Error(
+        new ValidationError(`Your proposed upload exceeds the maximum allowed object size of ${this.maxObjectSize} bytes`),
+        'EntityTooLarge'
+      );
+    }
+
+    // Renumber the selected parts onto contiguous chunks 0..N-1. Part numbers
+    // are ascending, so every move target is either unused or already moved.
+    const totalChunks = requestedParts.length;
+    const chunkKey = await fileUploadService.getChunkKey(fileUpload);
+    for (let i = 0; i < totalChunks; i++) {
+      const sourceIndex = requestedParts[i].partNumber - 1;
+      if (sourceIndex !== i) {
+        await fileUploadService.moveChunk(uploadId, sourceIndex, i, chunkKey);
+      }
+    }
+
+    for (const index of fileUpload.receivedChunks) {
+      if (index >= totalChunks) {
+        await fileUploadService.deleteChunk(uploadId, index);
+      }
+    }
+
+    const etag = `${crypto.createHash('md5').update(Buffer.concat(md5s)).digest('hex')}-${totalChunks}`;
+
+    await FileUpload.findOneAndUpdate(
+      { fileId: uploadId },
+      {
+        $set: {
+          size: totalSize,
+          totalChunks,
+          receivedChunks: Array.from({ length: totalChunks }, (_, i) => i),
+          uploadedChunks: totalChunks,
+          'metadata.s3.etag': etag
+        },
+        $unset: { parts: 1 }
+      }
+    );
+
+    await fileUploadService.completeUpload(uploadId);
+
+    logger.logUpload(uploadId, 's3 multipart upload completed', { bucket, key, parts: totalChunks });
+
+    return {
+      Bucket: bucket,
+      Key: key,
+      ETag: quoteETag(etag)
+    };
+  }
+
+  // AbortMultipartUpload
+  async abortMultipartUpload(bucket, key, uploadId) {
+    await this.findUpload(bucket, key, uploadId);
+    return fileUploadService.cancelUpload(uploadId);
+  }
+
+  // ListParts
+  async listParts(bucket, key, uploadId, { maxParts, partNumberMarker } = {}) {
+    const fileUpload = await this.findUpload(bucket, key, uploadId);
+    const limit = Math.min(parseInt(maxParts) || DEFAULT_MAX_LIST_PARTS, DEFAULT_MAX_LIST_PARTS);
+    const marker = parseInt(partNumberMarker) || 0;
+
+    const parts = Array.from((fileUpload.parts || new Map()).entries())
+      .map(([partNumber, part]) => ({ partNumber: Number(partNumber), ...part.toObject() }))
+      .filter(part => part.partNumber > marker && fileUpload.isChunkUploaded(part.partNumber - 1))
+      .sort((a, b) => a.partNumber - b.partNumber);
+
+    const page = parts.slice(0, limit);
+    const isTruncated = parts.length > limit;
+
+    return {
+      Bucket: bucket,
+      Key: key,
+      UploadId: uploadId,
+      StorageClass: 'STANDARD',
+      PartNumberMarker: marker,
+      NextPartNumberMarker: page.length > 0 ? page[page.length - 1].partNumber : marker,
+      MaxParts: limit,
+      IsTruncated: isTruncated,
+      Part: page.map(part => ({
+        PartNumber: part.partNumber,
+        LastModified: part.lastModified,
+        ETag: quoteETag(part.etag),
+        Size: part.size
+      }))
+    };
+  }
+
+  // Helper methods
+  async findUpload(bucket, key, uploadId) {
+    if (!uploadId || !/^[a-f0-9]{32}$/.test(uploadId)) {
+      throw s3Error(new NotFoundError('Upload'), 'NoSuchUpload');
+    }
+
+    const fileUpload = await FileUpload.findByFileId(uploadId);
+    const s3 = fileUpload && fileUpload.metadata && fileUpload.metadata.s3;
+
+    if (!s3 || s3.bucket !== bucket || s3.key !== key || !['pending', 'uploading'].includes(fileUpload.status)) {
+      throw s3Error(new NotFoundError('Upload'), 'NoSuchUpload');
+    }
+
+    return fileUpload;
+  }
+
+  parsePartNumber(partNumber) {
+    const part = Number(partNumber);
+    if (!Number.isInteger(part) || part < 1 || part > MAX_PARTS) {
+      throw s3Error(new ValidationError(`Part number must be an integer between 1 and ${MAX_PARTS}`), 'InvalidArgument');
+    }
+    return part;
+  }
+
+  // Minimal reader for the flat <CompleteMultipartUpload> document
+  parseCompleteRequest(xml) {
+    if (typeof xml !== 'string' || !/<CompleteMultipartUpload[\s>]/.test(xml)) {
+      throw s3Error(new ValidationError('The XML you provided was not well-formed'), 'MalformedXML');
+    }
+
+    const parts = [];
+    const partPattern = /<Part>([\s\S]*?)<\/Part>/g;
+    let match;
+
+    while ((match = partPattern.exec(xml)) !== null) {
+      const partNumber = /<PartNumber>\s*(\d+)\s*<\/PartNumber>/.exec(match[1]);
+      const etag = /<ETag>([\s\S]*?)<\/ETag>/.exec(match[1]);
+
+      if (!partNumber || !etag) {
+        throw s3Error(new ValidationError('Each part must specify PartNumber and ETag'), 'MalformedXML');
+      }
+
+      parts.push({
+        partNumber: this.parsePartNumber(partNumber[1]),
+        etag: etag[1].replace(/&quot;/g, '"')
+      });
+    }
+
+    return parts;
+  }
+
+  validateObjectKey(key) {
+    if (!key || key.length > 1024) {
+      throw s3Error(new ValidationError('Object key must be between 1 and 1024 characters'), 'KeyTooLongError');
+    }
+  }
+
+  buildXml(rootName, body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<${rootName} xmlns="${S3_NAMESPACE}">${toXmlElements(body)}</${rootName}>`;
+  }
+
+  buildErrorXml(code, message, resource) {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<Error>${toXmlElements({
+      Code: code,
+      Message: message,
+      Resource: resource,
+      RequestId: crypto.randomBytes(8).toString('hex').toUpperCase()
+    })}</Error>`;
+  }
+}
+
+module.exports = new S3MultipartService();
@@ -0,0 +1,88 @@
+const logger = require('./logger');
+const FileUpload = require('../models/FileUpload');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+// Shares files with other users and groups through the ACL on FileUpload.
+// All versions of a logical file carry the same grants, so every change is
+// written to each of them; FileUploadService enforces the grants.
+class SharingService {
+  async listGrants(fileId) {
+    return this.toGrantList(await this.findFile(fileId));
+  }
+
+  // Share the file, or change the permission of an existing grant
+  async grantAccess(fileId, { principalType, principalId, permission, grantedBy = 'anonymous' }) {
+    const record = await this.findFile(fileId);
+    if (principalType === 'user' && principalId === record.ownerId) {
+      throw new ValidationError('The owner already has full access to this file');
+    }
+
+    const grant = { principalType, principalId, permission, grantedBy, grantedAt: new Date() };
+
+    // Replace any grant to the same principal in one update
+    await FileUpload.updateMany(FileUpload.versionFilter(record), [
+      {
+        $set: {
+          acl: {
+            $concatArrays: [
+              {
+                $filter: {
+                  input: { $ifNull: ['$acl', []] },
+                  cond: {
+                    $not: [{
+                      $and: [
+                        { $eq: ['$$this.principalType', principalType] },
+                        { $eq: ['$$this.principalId', { $literal: principalId }] }
+                      ]
+                    }]
+                  }
+                }
+              },
+              [{ $literal: grant }]
+            ]
+          }
+        }
+      }
+    ]);
+
+    logger.logUpload(fileId, 'shared', { principalType, principalId, permission, grantedBy });
+
+    return this.listGrants(fileId);
+  }
+
+  async revokeAccess(fileId, { principalType, principalId, revokedBy = 'anonymous' }) {
+    const record = await this.findFile(fileId);
+    const granted = (record.acl || []).some((grant) =>
+      grant.principalType === principalType && grant.principalId === principalId
+    );
+    if (!granted) {
+      throw new NotFoundError('Grant');
+    }
+
+    await FileUpload.updateMany(FileUpload.versionFilter(record), {
+      $pull: { acl: { principalType, principalId } }
+    });
+
+    logger.logUpload(fileId, 'unshared', { principalType, principalId, revokedBy });
+
+    return this.listGrants(fileId);
+  }
+
+  async findFile(fileId) {
+    const record = await FileUpload.findOne({ fileId, trashedAt: null }).lean();
+    if (!record) {
+      throw new NotFoundError('File');
+    }
+    return record;
+  }
+
+  toGrantList(record) {
+    return {
+      fileId: record.fileId,
+      ownerId: record.ownerId || null,
+      grants: record.acl || []
+    };
+  }
+}
+
+module.exports = new SharingService();
@@ -0,0 +1,55 @@
+const { Transform } = require('stream');
+const { AppError } = require('../../utils/errors');
+
+// Base class for storage drivers. Keys are opaque strings chosen by the driver.
+//
+//   put(source, { filename, contentType, metadata }) -> { key, size }
+//   get(key, { start, end })                         -> Readable (end is inclusive)
+//   delete(key)                                      -> removes the object, no-op if missing
+//   stat(key)                                        -> { size, contentType, createdAt } or null
+//   exists(key)                                      -> boolean
+//   getSignedUrl(key, { filename, contentType })     -> direct download URL, or null
+class StorageDriver {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async put() {
+    throw new AppError(`Storage driver '${this.name}' does not implement put`, 501);
+  }
+
+  async get() {
+    throw new AppError(`Storage driver '${this.name}' does not implement get`, 501);
+  }
+
+  async delete() {
+    throw new AppError(`Storage driver '${this.name}' does not implement delete`, 501);
+  }
+
+  async stat() {
+    throw new AppError(`Storage driver '${this.name}' does not implement stat`, 501);
+  }
+
+  async exists(key) {
+    return Boolean(await this.stat(key));
+  }
+
+  // Drivers whose backend can serve downloads directly return a URL here
+  async getSignedUrl() {
+    return null;
+  }
+
+  // Pass-through stream that counts the bytes written by put()
+  createByteCounter() {
+    const counter = new Transform({
+      transform(data, encoding, callback) {
+        counter.bytes += data.length;
+        callback(null, data);
+      }
+    });
+    counter.bytes = 0;
+    return counter;
+  }
+}
+
+module.exports = StorageDriver;
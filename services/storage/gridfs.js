@@ -0,0 +1,86 @@
+const { GridFSBucket, ObjectId } = require('mongodb');
+const mongoose = require('mongoose');
+const { pipeline } = require('stream/promises');
+const StorageDriver = require('./driver');
+const { DatabaseError, NotFoundError } = require('../../utils/errors');
+
+// Stores file contents in a MongoDB GridFS bucket
+class GridFsStorageDriver extends StorageDriver {
+  constructor({ bucketName, chunkSizeBytes }) {
+    super('gridfs');
+    this.bucketName = bucketName;
+    this.chunkSizeBytes = chunkSizeBytes;
+    this.bucket = null;
+  }
+
+  getBucket() {
+    if (!this.bucket && mongoose.connection.readyState === 1) {
+      this.bucket = new GridFSBucket(mongoose.connection.db, {
+        bucketName: this.bucketName,
+        chunkSizeBytes: this.chunkSizeBytes
+      });
+    }
+
+    if (!this.bucket) {
+      throw new DatabaseError('Database not connected - GridFS bucket unavailable', 'gridfs');
+    }
+    return this.bucket;
+  }
+
+  async put(source, { filename, contentType, metadata } = {}) {
+    const uploadStream = this.getBucket().openUploadStream(filename || 'file', { contentType, metadata });
+    const counter = this.createByteCounter();
+
+    try {
+      await pipeline(source, counter, uploadStream);
+    } catch (error) {
+      try {
+        await uploadStream.abort();
+      } catch {
+        // Already finished or aborted
+      }
+      throw error;
+    }
+
+    return { key: uploadStream.id.toString(), size: counter.bytes };
+  }
+
+  async get(key, { start, end } = {}) {
+    const id = this.toObjectId(key);
+    if (!(await this.stat(key))) {
+      throw new NotFoundError('Stored file');
+    }
+
+    // GridFS treats `end` as exclusive
+    const options = start !== undefined ? { start, end: end !== undefined ? end + 1 : undefined } : {};
+    return this.getBucket().openDownloadStream(id, options);
+  }
+
+  async delete(key) {
+    try {
+      await this.getBucket().delete(this.toObjectId(key));
+    } catch (error) {
+      if (!/not found/i.test(error.message)) throw error;
+    }
+  }
+
+  async stat(key) {
+    const [file] = await this.getBucket().find({ _id: this.toObjectId(key) }).limit(1).toArray();
+    if (!file) return null;
+
+    return {
+      size: file.length,
+      contentType: file.contentType || (file.metadata && file.metadata.mimeType),
+      createdAt: file.uploadDate
+    };
+  }
+
+  toObjectId(key) {
+    if (!ObjectId.isValid(key)) {
+      throw new NotFoundError('Stored file');
+    }
+    return new ObjectId(key);
+  }
+}
+
+module.exports = GridFsStorageDriver;
@@ -0,0 +1,82 @@
+const config = require('../../config');
+const GridFsStorageDriver = require('./gridfs');
+const LocalStorageDriver = require('./local');
+const S3StorageDriver = require('./s3');
+const { AppError } = require('../../utils/errors');
+
+const DRIVERS = {
+  gridfs: () => new GridFsStorageDriver(config.storage.gridfs),
+  local: () => new LocalStorageDriver(config.storage.local),
+  s3: () => new S3StorageDriver(config.aws)
+};
+
+// Routes stored-file operations to the driver that holds each file.
+// A location is { driver, key, tier }; records remember theirs so files stay
+// readable after the configured driver changes or they move between tiers.
+class StorageService {
+  constructor() {
+    this.drivers = new Map();
+  }
+
+  getDriver(name = config.storage.driver) {
+    if (!this.drivers.has(name)) {
+      const create = DRIVERS[name];
+      if (!create) {
+        throw new AppError(`Unknown storage driver: ${name}`, 500);
+      }
+      this.drivers.set(name, create());
+    }
+    return this.drivers.get(name);
+  }
+
+  // The cold tier is whichever driver tiering migrates to; everything else is hot
+  tierOf(driverName) {
+    return driverName === config.storage.tiering.coldDriver ? 'cold' : 'hot';
+  }
+
+  location(driver, key) {
+    return { driver, key, tier: this.tierOf(driver) };
+  }
+
+  // Location of a record's stored file; records completed before storage
+  // drivers existed only carry a GridFS id
+  locate(record) {
+    if (record && record.storageKey) {
+      return this.location(record.storageDriver || 'gridfs', record.storageKey);
+    }
+    if (record && record.gridFsId) {
+      return this.location('gridfs', record.gridFsId.toString());
+    }
+    return null;
+  }
+
+  // Write a stream to the configured (hot) driver, or to `driverName`
+  async put(source, options = {}, driverName = config.storage.driver) {
+    const driver = this.getDriver(driverName);
+    const { key, size } = await driver.put(source, options);
+    return { ...this.location(driver.name, key), size };
+  }
+
+  async get(location, range = {}) {
+    return this.getDriver(location.driver).get(location.key, range);
+  }
+
+  async delete(location) {
+    return this.getDriver(location.driver).delete(location.key);
+  }
+
+  async stat(location) {
+    return this.getDriver(location.driver).stat(location.key);
+  }
+
+  async exists(location) {
+    return this.getDriver(location.driver).exists(location.key);
+  }
+
+  // URL the client can download from directly, or null to stream through us
+  async getDownloadUrl(location, options = {}) {
+    return this.getDriver(location.driver).getSignedUrl(location.key, options);
+  }
+}
+
+module.exports = new StorageService();
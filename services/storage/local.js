@@ -0,0 +1,75 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const StorageDriver = require('./driver');
+const { NotFoundError, FileSystemError } = require('../../utils/errors');
+
+// Stores file contents as plain files under a root directory (e.g. a mounted volume)
+class LocalStorageDriver extends StorageDriver {
+  constructor({ root }) {
+    super('local');
+    this.root = path.resolve(root);
+  }
+
+  async put(source) {
+    const key = crypto.randomBytes(16).toString('hex');
+    const filePath = this.getPath(key);
+    const tempPath = `${filePath}.tmp`;
+    const counter = this.createByteCounter();
+
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await pipeline(source, counter, fsSync.createWriteStream(tempPath));
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    return { key, size: counter.bytes };
+  }
+
+  async get(key, { start, end } = {}) {
+    const filePath = this.getPath(key);
+    if (!(await this.stat(key))) {
+      throw new NotFoundError('Stored file');
+    }
+
+    return fsSync.createReadStream(filePath, { start, end });
+  }
+
+  async delete(key) {
+    const filePath = this.getPath(key);
+    try {
+      await fs.rm(filePath, { force: true });
+    } catch (error) {
+      throw new FileSystemError(`Failed to delete stored file: ${error.message}`, filePath, 'delete');
+    }
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.stat(this.getPath(key));
+      return {
+        size: stats.size,
+        contentType: null,
+        createdAt: stats.birthtime || stats.mtime
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Keys are random hex, fanned out over subdirectories by their first byte
+  getPath(key) {
+    if (!/^[a-f0-9]{32}$/.test(key)) {
+      throw new NotFoundError('Stored file');
+    }
+    return path.join(this.root, key.slice(0, 2), key);
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const StorageDriver = require('./driver');
+const { AppError, NotFoundError } = require('../../utils/errors');
+
+// Stores file contents in an S3-compatible bucket (AWS S3, MinIO, ...)
+class S3StorageDriver extends StorageDriver {
+  constructor(options) {
+    super('s3');
+    this.options = options;
+    this.bucket = options.s3Bucket;
+    this.keyPrefix = options.keyPrefix || '';
+    this.client = null;
+  }
+
+  // aws-sdk is an optional dependency, so only load it when the driver is used
+  getClient() {
+    if (!this.client) {
+      let AWS;
+      try {
+        AWS = require('aws-sdk');
+      } catch {
+        throw new AppError('The s3 storage driver requires the aws-sdk package', 500);
+      }
+
+      const { accessKeyId, secretAccessKey, region, endpoint, forcePathStyle } = this.options;
+      this.client = new AWS.S3({
+        region,
+        endpoint: endpoint || undefined,
+        s3ForcePathStyle: forcePathStyle,
+        signatureVersion: 'v4',
+        // Fall back to the SDK's default credential chain (env, instance role, ...)
+        ...(accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : {})
+      });
+    }
+    return this.client;
+  }
+
+  // Streams straight into a native multipart upload, one part at a time
+  async put(source, { contentType, metadata } = {}) {
+    const key = `${this.keyPrefix}${crypto.randomBytes(16).toString('hex')}`;
+    const body = this.createByteCounter();
+
+    const upload = this.getClient().upload({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      Metadata: this.toObjectMetadata(metadata)
+    }, {
+      partSize: this.options.partSize,
+      queueSize: 2
+    });
+
+    try {
+      await Promise.all([pipeline(source, body), upload.promise()]);
+    } catch (error) {
+      upload.abort();
+      body.destroy();
+      throw error;
+    }
+
+    return { key, size: body.bytes };
+  }
+
+  async get(key, { start, end } = {}) {
+    if (!(await this.stat(key))) {
+      throw new NotFoundError('Stored file');
+    }
+
+    const params = { Bucket: this.bucket, Key: key };
+    if (start !== undefined) {
+      params.Range = `bytes=${start}-${end !== undefined ? end : ''}`;
+    }
+    return this.getClient().getObject(params).createReadStream();
+  }
+
+  async delete(key) {
+    // DeleteObject succeeds for keys that do not exist
+    await this.getClient().deleteObject({ Bucket: this.bucket, Key: key }).promise();
+  }
+
+  async stat(key) {
+    try {
+      const head = await this.getClient().headObject({ Bucket: this.bucket, Key: key }).promise();
+      return {
+        size: head.ContentLength,
+        contentType: head.ContentType,
+        createdAt: head.LastModified
+      };
+    } catch (error) {
+      if (error.statusCode === 404 || error.code === 'NotFound') return null;
+      throw error;
+    }
+  }
+
+  // Presigned GET so clients can download from the bucket directly
+  async getSignedUrl(key, { filename, contentType } = {}) {
+    if (!this.options.presignedDownloads) return null;
+
+    const params = {
+      Bucket: this.bucket,
+      Key: key,
+      Expires: this.options.presignedUrlExpiry
+    };
+    if (filename) {
+      params.ResponseContentDisposition = `attachment; filename="${encodeURIComponent(filename)}"`;
+    }
+    if (contentType) {
+      params.ResponseContentType = contentType;
+    }
+
+    return this.getClient().getSignedUrlPromise('getObject', params);
+  }
+
+  // S3 user metadata is flat strings and must be ASCII
+  toObjectMetadata(metadata = {}) {
+    const result = {};
+    for (const [name, value] of Object.entries(metadata)) {
+      if (value instanceof Date) {
+        result[name.toLowerCase()] = value.toISOString();
+      } else if (['string', 'number', 'boolean'].includes(typeof value)) {
+        result[name.toLowerCase()] = encodeURIComponent(String(value));
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = S3StorageDriver;
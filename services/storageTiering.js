@@ -0,0 +1,177 @@
+const { ObjectId } = require('mongodb');
+const config = require('../config');
+const logger = require('./logger');
+const storage = require('./storage');
+const FileUpload = require('../models/FileUpload');
+const FileBlob = require('../models/FileBlob');
+const { AppError, NotFoundError } = require('../utils/errors');
+const { matchesMimeType } = require('../utils/mimeType');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Moves completed files between the hot (STORAGE_DRIVER) and cold
+// (STORAGE_COLD_DRIVER) drivers based on download activity. Policies are
+// matched per MIME type and size range; see config.storage.tiering.
+class StorageTieringService {
+  constructor() {
+    this.running = false;
+  }
+
+  isEnabled() {
+    return Boolean(config.storage.tiering.coldDriver);
+  }
+
+  // First policy whose MIME type pattern and size range match the file
+  getPolicy(file) {
+    const { policies } = config.storage.tiering;
+    return (policies || []).find((policy) => {
+      if (policy.mimeType && !matchesMimeType(policy.mimeType, file.mimeType)) return false;
+      if (policy.minSize !== undefined && file.size < policy.minSize) return false;
+      if (policy.maxSize !== undefined && file.size > policy.maxSize) return false;
+      return true;
+    }) || null;
+  }
+
+  // Tier the file belongs in right now under its policy
+  getTargetTier(file, currentTier, now = new Date()) {
+    const policy = this.getPolicy(file);
+    if (!policy) return currentTier;
+
+    const movedAt = file.tierChangedAt || file.processingCompletedAt || file.createdAt;
+
+    if (currentTier === 'cold') {
+      // Downloaded since it went cold: bring it back
+      const downloadedSince = file.lastDownloadedAt && file.lastDownloadedAt > movedAt;
+      return policy.promoteOnDownload !== false && downloadedSince ? 'hot' : 'cold';
+    }
+
+    if (policy.coldAfterDays === undefined || policy.coldAfterDays === null) return 'hot';
+
+    if (policy.keepHotDownloads !== undefined && file.downloadCount >= policy.keepHotDownloads) {
+      return 'hot';
+    }
+
+    const lastActivity = Math.max(
+      new Date(movedAt).getTime(),
+      file.lastDownloadedAt ? new Date(file.lastDownloadedAt).getTime() : 0
+    );
+    return now - lastActivity >= policy.coldAfterDays * DAY_MS ? 'cold' : 'hot';
+  }
+
+  // Evaluate every completed file and move up to batchSize stored files
+  async runMigration(now = new Date()) {
+    const result = { demoted: 0, promoted: 0, failed: 0 };
+    if (!this.isEnabled() || this.running) {
+      return result;
+    }
+
+    this.running = true;
+    const { batchSize } = config.storage.tiering;
+    const seen = new Set();
+
+    try {
+      const cursor = FileUpload.find({
+        status: 'completed',
+        trashedAt: null,
+        $or: [{ storageKey: { $ne: null } }, { gridFsId: { $ne: null } }]
+      }).lean().cursor();
+
+      for await (const file of cursor) {
+        if (result.demoted + result.promoted + result.failed >= batchSize) break;
+
+        const location = storage.locate(file);
+        const locationId = `${location.driver}:${location.key}`;
+        if (seen.has(locationId)) continue;
+        seen.add(locationId);
+
+        try {
+          // Deduplicated uploads share the bytes: stay hot while any of them wants to
+          const group = await FileUpload.find(this.locationFilter(location)).lean();
+          const wantsHot = group.some((member) => this.getTargetTier(member, location.tier, now) === 'hot');
+          const targetTier = wantsHot ? 'hot' : 'cold';
+          if (targetTier === location.tier) continue;
+
+          await this.moveFile(location, targetTier, file);
+          result[targetTier === 'cold' ? 'demoted' : 'promoted']++;
+        } catch (error) {
+          result.failed++;
+          logger.logUploadError('storage tier migration', error, {
+            fileId: file.fileId,
+            storageDriver: location.driver,
+            storageKey: location.key
+          });
+        }
+      }
+
+      logger.info('Storage tier migration finished', result);
+      return result;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Copy the bytes to the target tier, repoint every record and blob at the
+  // copy, then delete the original
+  async moveFile(from, targetTier, file) {
+    const targetDriver = targetTier === 'cold'
+      ? config.storage.tiering.coldDriver
+      : config.storage.driver;
+
+    const stat = await storage.stat(from);
+    if (!stat) {
+      throw new NotFoundError('Stored file');
+    }
+
+    const source = await storage.get(from);
+    const to = await storage.put(source, {
+      filename: file.originalName,
+      contentType: stat.contentType || file.mimeType,
+      metadata: { fileId: file.fileId, sha256: file.checksum }
+    }, targetDriver);
+
+    try {
+      if (to.size !== stat.size) {
+        throw new AppError(`Copied ${to.size} of ${stat.size} bytes to ${to.driver}`, 500);
+      }
+
+      await FileBlob.updateOne(
+        { storageDriver: from.driver, storageKey: from.key },
+        { storageDriver: to.driver, storageKey: to.key }
+      );
+      await FileUpload.updateMany(this.locationFilter(from), {
+        storageDriver: to.driver,
+        storageKey: to.key,
+        storageTier: to.tier,
+        tierChangedAt: new Date()
+      });
+    } catch (error) {
+      await storage.delete(to);
+      throw error;
+    }
+
+    await storage.delete(from);
+
+    logger.logUpload(file.fileId, `moved to ${targetTier} storage`, {
+      from: from.driver,
+      to: to.driver,
+      size: to.size
+    });
+  }
+
+  // Records pointing at a location, including pre-driver records that only hold a GridFS id
+  locationFilter(location) {
+    const filter = { storageDriver: location.driver, storageKey: location.key };
+    if (location.driver !== 'gridfs' || !ObjectId.isValid(location.key)) {
+      return filter;
+    }
+
+    return {
+      $or: [
+        filter,
+        { storageKey: null, gridFsId: new ObjectId(location.key) }
+      ]
+    };
+  }
+}
+
+module.exports = new StorageTieringService();
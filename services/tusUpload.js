@@ -0,0 +1,303 @@
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('./logger');
+const FileUpload = require('../models/FileUpload');
+const fileUploadService = require('./fileUpload');
+const encryption = require('./encryption');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  UploadError,
+  ChecksumMismatchError
+} = require('../utils/errors');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'termination', 'checksum', 'expiration'];
+const CHECKSUM_ALGORITHMS = ['md5', 'sha1', 'sha256'];
+
+// tus 1.0 resumable uploads mapped onto the regular chunked FileUpload flow.
+// PATCH bodies are split into fixed-size chunk files so the usual
+// completeUpload/mergeChunks path produces the final stored file.
+class TusUploadService {
+  constructor() {
+    this.chunkSize = config.upload.chunkSizeLimit;
+    this.maxSize = config.upload.totalSizeLimit;
+    this.activePatches = new Set();
+  }
+
+  getServerInfo() {
+    return {
+      version: TUS_VERSION,
+      extensions: TUS_EXTENSIONS,
+      maxSize: this.maxSize,
+      checksumAlgorithms: CHECKSUM_ALGORITHMS
+    };
+  }
+
+  // Creation extension
+  async createUpload({ uploadLength, uploadMetadata }, uploadedBy = 'anonymous', uploadedFrom = {}) {
+    if (uploadLength === undefined) {
+      throw new ValidationError('Upload-Length header is required');
+    }
+
+    const fileSize = Number(uploadLength);
+    if (!Number.isInteger(fileSize) || fileSize < 1) {
+      throw new ValidationError('Upload-Length must be a positive integer');
+    }
+
+    if (fileSize > this.maxSize) {
+      throw new AppError(`Upload-Length exceeds maximum size of ${this.maxSize}`, 413);
+    }
+
+    const metadata = this.parseMetadata(uploadMetadata);
+
+    return fileUploadService.initializeUpload(
+      {
+        fileName: metadata.filename || metadata.name || 'upload',
+        fileSize,
+        mimeType: metadata.filetype || metadata.type,
+        totalChunks: Math.ceil(fileSize / this.chunkSize),
+        chunkSize: this.chunkSize,
+        metadata
+      },
+      uploadedBy,
+      uploadedFrom
+    );
+  }
+
+  // Offset discovery (HEAD)
+  async getUploadInfo(fileId) {
+    const fileUpload = await this.findUpload(fileId);
+
+    return {
+      fileId,
+      offset: fileUpload.uploadOffset,
+      length: fileUpload.size,
+      metadata: this.encodeMetadata(fileUpload.metadata),
+      expiresAt: fileUpload.status === 'completed' ? null : fileUpload.expiresAt
+    };
+  }
+
+  // Core PATCH: append the request stream at the given offset
+  async appendData(fileId, { offset, checksum }, stream) {
+    if (this.activePatches.has(fileId)) {
+      throw new ConflictError('Upload is locked by another PATCH request');
+    }
+
+    this.activePatches.add(fileId);
+
+    try {
+      const fileUpload = await this.findUpload(fileId);
+
+      if (offset !== fileUpload.uploadOffset) {
+        throw new ConflictError(`Upload-Offset mismatch: expected ${fileUpload.uploadOffset}`);
+      }
+
+      // Final PATCH already received; finish processing if it did not happen yet
+      if (offset === fileUpload.size) {
+        if (!['completed', 'processing'].includes(fileUpload.status)) {
+          await fileUploadService.completeUpload(fileId);
+        }
+        return { offset, expiresAt: null };
+      }
+
+      const hash = this.createChecksumHash(checksum);
+      await fs.mkdir(fileUploadService.getChunkDir(fileId), { recursive: true });
+      await this.truncateTo(fileUpload, offset);
+
+      const { position, error: streamError } = await this.writeStream(fileUpload, offset, stream, hash);
+
+      // Checksummed PATCHes are all-or-nothing; plain ones keep what arrived
+      if (hash && (streamError || hash.digest('base64') !== hash.expected)) {
+        await this.truncateTo(fileUpload, offset, position);
+        throw streamError || new ChecksumMismatchError('Upload-Checksum does not match the received data');
+      }
+
+      if (streamError instanceof AppError) {
+        await this.truncateTo(fileUpload, offset, position);
+        throw streamError;
+      }
+
+      const updated = await FileUpload.findOneAndUpdate(
+        {
+          fileId,
+          uploadOffset: offset,
+          status: { $in: ['pending', 'uploading'] }
+        },
+        { $set: { uploadOffset: position, status: 'uploading' } },
+        { new: true }
+      );
+
+      if (!updated) {
+        await this.truncateTo(fileUpload, offset, position);
+        throw new ConflictError('Upload was modified concurrently');
+      }
+
+      await this.markCompletedChunks(fileUpload, offset, position);
+
+      logger.logUpload(fileId, 'tus data appended', {
+        offset,
+        newOffset: position,
+        size: fileUpload.size
+      });
+
+      if (streamError) {
+        throw streamError;
+      }
+
+      if (position === fileUpload.size) {
+        await fileUploadService.completeUpload(fileId);
+        return { offset: position, expiresAt: null };
+      }
+
+      return { offset: position, expiresAt: updated.expiresAt };
+
+    } catch (error) {
+      logger.logUploadError('tus patch', error, { fileId, offset });
+      throw error;
+    } finally {
+      this.activePatches.delete(fileId);
+    }
+  }
+
+  // Termination extension
+  async terminateUpload(fileId) {
+    await this.findUpload(fileId);
+    return fileUploadService.cancelUpload(fileId);
+  }
+
+  // Helper methods
+  async findUpload(fileId) {
+    fileUploadService.validateFileId(fileId);
+
+    const fileUpload = await FileUpload.findByFileId(fileId);
+
+    // Only uploads created through tus have a fixed chunk size to map offsets onto
+    if (!fileUpload || !fileUpload.chunkSize || fileUpload.status === 'cancelled' || fileUpload.isExpired) {
+      throw new NotFoundError('Upload');
+    }
+
+    return fileUpload;
+  }
+
+  async writeStream(fileUpload, offset, stream, hash) {
+    const { fileId, chunkSize, size } = fileUpload;
+    let position = offset;
+    let handle = null;
+    let handleIndex = -1;
+    let cipher = null;
+
+    try {
+      const chunkKey = await fileUploadService.getChunkKey(fileUpload);
+
+      for await (const data of stream) {
+        if (position + data.length > size) {
+          throw new ValidationError('Request body exceeds Upload-Length');
+        }
+
+        if (hash) hash.update(data);
+
+        let cursor = 0;
+        while (cursor < data.length) {
+          const chunkIndex = Math.floor(position / chunkSize);
+          const chunkEnd = Math.min((chunkIndex + 1) * chunkSize, size);
+          const slice = data.subarray(cursor, cursor + (chunkEnd - position));
+
+          if (chunkIndex !== handleIndex) {
+            if (handle) await handle.close();
+            handle = await fs.open(fileUploadService.getChunkPath(fileId, chunkIndex), 'a+');
+            handleIndex = chunkIndex;
+            cipher = chunkKey ? await encryption.openChunkForAppend(handle, chunkKey, chunkIndex) : null;
+          }
+
+          // The slice that reaches the end of its chunk ends it with a final record
+          await handle.write(cipher ? cipher.update(slice, position + slice.length === chunkEnd) : slice);
+          position += slice.length;
+          cursor += slice.length;
+        }
+      }
+
+      return { position, error: null };
+    } catch (error) {
+      return { position, error };
+    } finally {
+      if (handle) await handle.close();
+    }
+  }
+
+  // Drop any bytes past `offset`, e.g. from a rejected PATCH or a crashed process
+  async truncateTo(fileUpload, offset, writtenTo = offset) {
+    const { fileId, chunkSize } = fileUpload;
+    const firstIndex = Math.floor(offset / chunkSize);
+    const lastIndex = Math.floor(Math.max(writtenTo - 1, offset) / chunkSize);
+    const keepBytes = offset - firstIndex * chunkSize;
+    const chunkPath = fileUploadService.getChunkPath(fileId, firstIndex);
+
+    try {
+      const chunkKey = await fileUploadService.getChunkKey(fileUpload);
+      if (chunkKey) {
+        await encryption.truncateChunk(chunkPath, keepBytes, chunkKey, firstIndex);
+      } else {
+        await fs.truncate(chunkPath, keepBytes);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      if (keepBytes > 0) {
+        throw new UploadError('Partially received chunk is missing. Please restart the upload.', fileId, firstIndex);
+      }
+    }
+
+    for (let i = firstIndex + 1; i <= lastIndex; i++) {
+      await fileUploadService.deleteChunk(fileId, i);
+    }
+  }
+
+  async markCompletedChunks(fileUpload, fromOffset, toOffset) {
+    const { fileId, chunkSize, size, totalChunks } = fileUpload;
+    const lastIndex = toOffset === size ? totalChunks : Math.floor(toOffset / chunkSize);
+
+    for (let i = Math.floor(fromOffset / chunkSize); i < lastIndex; i++) {
+      await FileUpload.markChunkReceived(fileId, i);
+    }
+  }
+
+  createChecksumHash(header) {
+    if (!header) return null;
+
+    const [algorithm, expected] = header.trim().split(/\s+/);
+    if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !expected) {
+      throw new ValidationError(`Unsupported checksum algorithm. Supported: ${CHECKSUM_ALGORITHMS.join(', ')}`);
+    }
+
+    const hash = crypto.createHash(algorithm);
+    hash.expected = expected;
+    return hash;
+  }
+
+  parseMetadata(header) {
+    const metadata = {};
+    if (!header) return metadata;
+
+    for (const pair of header.split(',')) {
+      const [key, value, ...rest] = pair.trim().split(' ');
+      if (!key || rest.length > 0 || !/^[\x21-\x2b\x2d-\x7e]+$/.test(key)) {
+        throw new ValidationError('Invalid Upload-Metadata header');
+      }
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+
+    return metadata;
+  }
+
+  encodeMetadata(metadata = {}) {
+    return Object.entries(metadata)
+      .filter(([, value]) => typeof value === 'string')
+      .map(([key, value]) => (value ? `${key} ${Buffer.from(value, 'utf8').toString('base64')}` : key))
+      .join(',');
+  }
+}
+
+module.exports = new TusUploadService();
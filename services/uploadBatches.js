@@ -0,0 +1,400 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { EventEmitter } = require('events');
+const config = require('../config');
+const logger = require('./logger');
+const fileUploadService = require('./fileUpload');
+const FileUpload = require('../models/FileUpload');
+const UploadBatch = require('../models/UploadBatch');
+const { ConflictError, ForbiddenError, NotFoundError, RetentionError, ValidationError } = require('../utils/errors');
+
+const BATCH_FIELDS = 'fileId originalName relativePath folderId status size uploadedChunks totalChunks batchSize errorMessage';
+const FAILED_STATUSES = ['failed', 'cancelled'];
+
+// Addresses callbacks may not reach unless their host is allowlisted:
+// loopback, private, link-local (cloud metadata), shared, multicast and reserved
+// ranges. IPv4-mapped IPv6 addresses are matched against the IPv4 ranges.
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Uploads started with the same batchId are reported on together. Batches
+// created with createBatch also have a lifecycle: they complete once every
+// member has completed and fail as soon as one member fails, emitting
+// 'completed' or 'failed' with the batch status and calling their
+// callbackUrl once either way.
+class UploadBatchService extends EventEmitter {
+  async createBatch({ expectedFiles, name, rollbackOnFailure = false, callbackUrl, createdBy = 'anonymous' }) {
+    if (callbackUrl) {
+      await this.assertCallbackUrl(callbackUrl);
+    }
+
+    const batch = await UploadBatch.create({
+      batchId: crypto.randomBytes(16).toString('hex'),
+      name,
+      expectedFiles,
+      rollbackOnFailure,
+      callbackUrl,
+      createdBy
+    });
+
+    logger.info('Upload batch created', { batchId: batch.batchId, expectedFiles, rollbackOnFailure });
+
+    return this.summarize(batch.batchId, [], batch.toObject());
+  }
+
+  // FileUploadService.initializeUpload for batch members. Created batches
+  // only take files from their creator, must still be uploading and have
+  // room for another file.
+  async initializeUpload(fileData, uploadedBy, uploadedFrom) {
+    const { batchId } = fileData;
+    const batch = batchId ? await this.reserveMember(batchId, uploadedBy) : null;
+
+    let result;
+    try {
+      result = await fileUploadService.initializeUpload(
+        batch ? { ...fileData, batchSize: batch.expectedFiles } : fileData,
+        uploadedBy,
+        uploadedFrom
+      );
+    } catch (error) {
+      if (batch) {
+        await UploadBatch.updateOne({ batchId }, { $inc: { initializedFiles: -1 } });
+      }
+      throw error;
+    }
+
+    // Content the server already stores completes the member right away
+    if (batchId && result.status === 'completed') {
+      result.batch = await this.recordCompletion(batchId);
+    }
+
+    return result;
+  }
+
+  // FileUploadService.completeUpload, then the member's batch is updated
+  async completeUpload(fileId) {
+    const member = await FileUpload.findByFileId(fileId).select('batchId').lean();
+    if (!member || !member.batchId) {
+      return fileUploadService.completeUpload(fileId);
+    }
+
+    let result;
+    try {
+      result = await fileUploadService.completeUpload(fileId);
+    } catch (error) {
+      await this.recordFailure(member.batchId, fileId);
+      throw error;
+    }
+
+    return { ...result, batch: await this.recordCompletion(member.batchId) };
+  }
+
+  // FileUploadService.cancelUpload; cancelling a member fails its batch
+  async cancelUpload(fileId, user = null) {
+    const result = await fileUploadService.cancelUpload(fileId, user);
+
+    const member = await FileUpload.findByFileId(fileId).select('batchId').lean();
+    if (member && member.batchId) {
+      await this.recordFailure(member.batchId, fileId);
+    }
+
+    return result;
+  }
+
+  // Batches that were never created only report the members `user` may access
+  async getBatchStatus(batchId, user = null) {
+    const [batch, files] = await Promise.all([
+      UploadBatch.findByBatchId(batchId).lean(),
+      FileUpload.find({ batchId, ...fileUploadService.accessFilter(user) })
+        .select(BATCH_FIELDS)
+        .sort({ createdAt: 1 })
+        .lean()
+    ]);
+    if (!batch && files.length === 0) {
+      throw new NotFoundError('Upload batch');
+    }
+    if (batch && user && !user.isAdmin && batch.createdBy !== user.id) {
+      throw new ForbiddenError('You do not have access to this upload batch');
+    }
+
+    return this.summarize(batchId, files, batch);
+  }
+
+  // Aggregate progress. Files the client has not initialized yet count
+  // towards totalFiles but not towards the byte totals. Batches that were
+  // never created only have the status their members add up to.
+  summarize(batchId, files, batch = null) {
+    const totalFiles = batch
+      ? batch.expectedFiles
+      : Math.max(files.length, ...files.map((file) => file.batchSize || 0));
+    const completedFiles = files.filter((file) => file.status === 'completed').length;
+    const failedFiles = files.filter((file) => FAILED_STATUSES.includes(file.status)).length;
+    const pendingFiles = totalFiles - completedFiles - failedFiles;
+
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    const uploadedBytes = files.reduce((sum, file) => {
+      if (file.status === 'completed') return sum + file.size;
+      return sum + Math.round(file.size * (file.uploadedChunks || 0) / file.totalChunks);
+    }, 0);
+
+    let status = 'uploading';
+    if (batch) {
+      status = batch.status;
+    } else if (completedFiles === totalFiles) {
+      status = 'completed';
+    } else if (pendingFiles === 0) {
+      status = 'failed';
+    }
+
+    return {
+      batchId,
+      status,
+      complete: status === 'completed',
+      ...(batch && {
+        name: batch.name,
+        rollbackOnFailure: batch.rollbackOnFailure,
+        callbackDeliveredAt: batch.callbackDeliveredAt,
+        callbackError: batch.callbackError,
+        createdAt: batch.createdAt,
+        completedAt: batch.completedAt,
+        failedAt: batch.failedAt,
+        failedFileId: batch.failedFileId,
+        rolledBackAt: batch.rolledBackAt
+      }),
+      totalFiles,
+      initializedFiles: files.length,
+      completedFiles,
+      failedFiles,
+      totalBytes,
+      uploadedBytes,
+      progress: totalBytes ? Math.round((uploadedBytes / totalBytes) * 100) : 0,
+      files: files.map((file) => ({
+        fileId: file.fileId,
+        originalName: file.originalName,
+        relativePath: file.relativePath || null,
+        folderId: file.folderId || null,
+        status: file.status,
+        size: file.size,
+        errorMessage: file.errorMessage
+      }))
+    };
+  }
+
+  // Count a new member against a created batch; null for batches that were
+  // never created
+  async reserveMember(batchId, uploadedBy) {
+    const batch = await UploadBatch.findOneAndUpdate(
+      { batchId, createdBy: uploadedBy, status: 'uploading', $expr: { $lt: ['$initializedFiles', '$expectedFiles'] } },
+      { $inc: { initializedFiles: 1 } },
+      { new: true }
+    ).lean();
+    if (batch) return batch;
+
+    const existing = await UploadBatch.findByBatchId(batchId).lean();
+    if (!existing) return null;
+    if (existing.createdBy !== uploadedBy) {
+      throw new ForbiddenError('You do not have access to this upload batch');
+    }
+    if (existing.status !== 'uploading') {
+      throw new ConflictError(`Upload batch is ${existing.status.replace('_', ' ')}`);
+    }
+    throw new ConflictError('Upload batch already has all of its files');
+  }
+
+  // Called when a member completes. The member that completes a created
+  // batch moves it to 'completed' and fires its hooks.
+  async recordCompletion(batchId) {
+    const status = await this.getBatchStatus(batchId);
+    if (status.status !== 'uploading' || status.completedFiles < status.totalFiles) return status;
+
+    const batch = await UploadBatch.findOneAndUpdate(
+      { batchId, status: 'uploading' },
+      { status: 'completed', completedAt: new Date() },
+      { new: true }
+    ).lean();
+    // Another member got there first
+    if (!batch) return this.getBatchStatus(batchId);
+
+    const completed = { ...status, status: 'completed', complete: true, completedAt: batch.completedAt };
+    this.notify('completed', completed, batch.callbackUrl);
+    return completed;
+  }
+
+  // Called when a member may have failed; a failed member fails a created
+  // batch and, with rollbackOnFailure, takes every other member with it
+  async recordFailure(batchId, fileId) {
+    try {
+      const member = await FileUpload.findByFileId(fileId).select('status').lean();
+      // Corrupted chunks are re-sent, the member has not failed
+      if (member && !FAILED_STATUSES.includes(member.status)) return;
+
+      const batch = await UploadBatch.findOneAndUpdate(
+        { batchId, status: 'uploading' },
+        { status: 'failed', failedAt: new Date(), failedFileId: fileId },
+        { new: true }
+      ).lean();
+      if (!batch) return;
+
+      logger.logUpload(fileId, 'failed its batch', { batchId });
+
+      if (batch.rollbackOnFailure) {
+        await this.rollback(batch);
+      }
+
+      this.notify('failed', await this.getBatchStatus(batchId), batch.callbackUrl);
+    } catch (error) {
+      // The member's own error is what the client needs to see
+      logger.logUploadError('record batch failure', error, { batchId, fileId });
+    }
+  }
+
+  // Permanently delete every member of a failed batch. Members on legal hold
+  // or under retention are kept and reported.
+  async rollback(batch) {
+    const members = await FileUpload.find({ batchId: batch.batchId }).select('fileId').lean();
+
+    const purged = [];
+    const skipped = [];
+    for (const { fileId } of members) {
+      try {
+        await fileUploadService.purgeFile(fileId);
+        purged.push(fileId);
+      } catch (error) {
+        if (!(error instanceof RetentionError || error instanceof NotFoundError)) throw error;
+        skipped.push({ fileId, reason: error.message });
+      }
+    }
+
+    await UploadBatch.updateOne(
+      { batchId: batch.batchId },
+      { status: 'rolled_back', rolledBackAt: new Date() }
+    );
+
+    logger.info('Upload batch rolled back', { batchId: batch.batchId, purged: purged.length, skipped: skipped.length });
+
+    return { purged, skipped };
+  }
+
+  // Run in-process listeners and POST the batch to its callback URL
+  notify(event, status, callbackUrl) {
+    logger.info(`Upload batch ${event}`, { batchId: status.batchId, files: status.totalFiles });
+
+    try {
+      this.emit(event, status);
+    } catch (error) {
+      logger.logUploadError(`batch ${event} listener`, error, { batchId: status.batchId });
+    }
+
+    if (callbackUrl) {
+      this.deliverCallback(callbackUrl, { event: `batch.${event}`, batch: status })
+        .catch((error) => logger.logUploadError('batch callback', error, { batchId: status.batchId }));
+    }
+  }
+
+  async deliverCallback(url, payload) {
+    const { callbackTimeout, callbackRetries, callbackRetryDelay } = config.batches;
+    const { batchId } = payload.batch;
+
+    let lastError;
+    for (let attempt = 1; attempt <= callbackRetries; attempt++) {
+      try {
+        await this.assertCallbackUrl(url);
+        await this.postCallback(url, payload, callbackTimeout);
+
+        await UploadBatch.updateOne({ batchId }, { callbackDeliveredAt: new Date(), $unset: { callbackError: 1 } });
+        logger.info('Upload batch callback delivered', { batchId, event: payload.event, attempt });
+        return;
+      } catch (error) {
+        lastError = error;
+        if (attempt < callbackRetries) {
+          await new Promise((resolve) => setTimeout(resolve, callbackRetryDelay * attempt));
+        }
+      }
+    }
+
+    await UploadBatch.updateOne({ batchId }, { callbackError: lastError.message });
+    throw lastError;
+  }
+
+  // POST the payload without following redirects. Unless the host is
+  // allowlisted, the address is checked again as the connection is made, so
+  // the host cannot switch to an internal address after assertCallbackUrl.
+  postCallback(url, payload, timeout) {
+    const target = new URL(url);
+    const body = JSON.stringify(payload);
+    const transport = target.protocol === 'https:' ? https : http;
+    const lookup = this.isAllowedCallbackHost(target.hostname)
+      ? undefined
+      : (hostname, options, callback) => dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+        if (!addresses.every((entry) => this.isPublicAddress(entry))) {
+          return callback(new Error(`Callback host ${hostname} resolves to a non-public address`));
+        }
+        callback(null, address, family);
+      });
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request(target, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+        lookup,
+        signal: AbortSignal.timeout(timeout)
+      }, (response) => {
+        response.resume();
+        response.on('end', () => {
+          if (response.statusCode >= 200 && response.statusCode < 300) {
+            resolve();
+          } else {
+            reject(new Error(`Callback responded with HTTP ${response.statusCode}`));
+          }
+        });
+        response.on('error', reject);
+      });
+
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  // Callback URLs must point to public addresses, unless their host is
+  // listed in BATCH_CALLBACK_ALLOWED_HOSTS
+  async assertCallbackUrl(url) {
+    const { hostname } = new URL(url);
+    if (this.isAllowedCallbackHost(hostname)) return;
+
+    const host = hostname.replace(/^\[|\]$/g, '');
+    let addresses = [host];
+    if (!net.isIP(host)) {
+      try {
+        addresses = (await dns.promises.lookup(host, { all: true })).map((entry) => entry.address);
+      } catch {
+        throw new ValidationError(`Callback host ${host} could not be resolved`);
+      }
+    }
+
+    if (!addresses.every((address) => this.isPublicAddress(address))) {
+      throw new ValidationError('Callback URL must point to a public address');
+    }
+  }
+
+  isAllowedCallbackHost(hostname) {
+    return config.batches.callbackAllowedHosts.includes(hostname.toLowerCase());
+  }
+
+  isPublicAddress(address) {
+    const type = net.isIP(address);
+    return type !== 0 && !NON_PUBLIC_ADDRESSES.check(address, type === 6 ? 'ipv6' : 'ipv4');
+  }
+}
+
+module.exports = new UploadBatchService();
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('./logger');
+const fileUploadService = require('./fileUpload');
+const folderService = require('./folders');
+const UploadToken = require('../models/UploadToken');
+const { matchesMimeType } = require('../utils/mimeType');
+const { createSignedToken, verifySignedToken } = require('../utils/signedToken');
+const {
+  ForbiddenError,
+  GoneError,
+  NotFoundError,
+  UnauthorizedError,
+  ValidationError
+} = require('../utils/errors');
+
+// Upload tokens let people without an account start a limited number of
+// uploads. A token stands in for a user on the chunked upload routes; each
+// /upload/init through it is checked against its limits and recorded, and
+// the file is created on behalf of the token's creator. See config.uploadTokens.
+class UploadTokenService {
+  async createToken({ name, expiresIn, maxUses = 1, maxFileSize = null, allowedMimeTypes, folderId = null, createdBy }) {
+    const { defaultExpiry, maxExpiry } = config.uploadTokens;
+    const lifetime = expiresIn || defaultExpiry;
+    if (lifetime > maxExpiry) {
+      throw new ValidationError(`Upload tokens can be valid for at most ${maxExpiry} seconds`);
+    }
+
+    // Files uploaded with the token belong to its creator, so it can only
+    // point at their folders
+    if (folderId) {
+      folderService.assertHoldsFilesOf(await folderService.findFolder(folderId), createdBy);
+    }
+
+    // Whole seconds, as the token carries them
+    const expiresAt = new Date((Math.floor(Date.now() / 1000) + lifetime) * 1000);
+    const uploadToken = await UploadToken.create({
+      tokenId: crypto.randomBytes(16).toString('hex'),
+      name,
+      createdBy,
+      folderId,
+      maxFileSize,
+      allowedMimeTypes: allowedMimeTypes && allowedMimeTypes.length ? allowedMimeTypes : undefined,
+      expiresAt,
+      maxUses
+    });
+
+    logger.info('Upload token created', {
+      tokenId: uploadToken.tokenId,
+      folderId,
+      expiresAt,
+      maxUses,
+      createdBy
+    });
+
+    return this.toTokenSummary(uploadToken.toObject());
+  }
+
+  // Tokens the user created; admins see everyone's
+  async listTokens(user) {
+    const tokens = await UploadToken.find(user.isAdmin ? {} : { createdBy: user.id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return { tokens: tokens.map((uploadToken) => this.toTokenSummary(uploadToken)) };
+  }
+
+  async revokeToken(tokenId, user) {
+    const existing = await UploadToken.findByTokenId(tokenId).lean();
+    if (!existing || existing.revokedAt) {
+      throw new NotFoundError('Upload token');
+    }
+    if (!user.isAdmin && existing.createdBy !== user.id) {
+      throw new ForbiddenError('You do not have access to this upload token');
+    }
+
+    const uploadToken = await UploadToken.findOneAndUpdate(
+      { tokenId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: user.id } },
+      { new: true }
+    ).lean();
+    if (!uploadToken) {
+      throw new NotFoundError('Upload token');
+    }
+
+    logger.info('Upload token revoked', { tokenId, revokedBy: user.id });
+
+    return this.toTokenSummary(uploadToken);
+  }
+
+  // The token record for an X-Upload-Token header. Expired and used-up
+  // tokens still authenticate so uploads already started can finish;
+  // initializeUpload enforces the limits.
+  async authenticate(token) {
+    const verified = verifySignedToken('upload-token', config.uploadTokens.secret, token);
+    const uploadToken = verified && await UploadToken.findByTokenId(verified.id).lean();
+    if (!uploadToken) {
+      throw new UnauthorizedError('Invalid upload token');
+    }
+    if (uploadToken.revokedAt) {
+      throw new UnauthorizedError('Upload token has been revoked');
+    }
+    return uploadToken;
+  }
+
+  // FileUploadService.initializeUpload for a token holder: the file must fit
+  // the token's limits, and one of its uses is reserved for it
+  async initializeUpload(uploadToken, fileData, uploadedFrom = {}) {
+    const { tokenId, createdBy } = uploadToken;
+    this.assertAllowed(uploadToken, fileData);
+
+    const now = new Date();
+    const reserved = await UploadToken.findOneAndUpdate(
+      { tokenId, revokedAt: null, expiresAt: { $gt: now }, $expr: { $lt: ['$useCount', '$maxUses'] } },
+      { $inc: { useCount: 1 }, $set: { lastUsedAt: now } }
+    );
+    if (!reserved) {
+      this.assertUsable(await UploadToken.findByTokenId(tokenId).lean());
+      throw new GoneError('Upload token has been used up');
+    }
+
+    let result;
+    try {
+      // Directories dropped on the page are recreated inside the token's folder
+      const folderId = fileData.relativePath
+        ? await folderService.ensurePath(uploadToken.folderId, fileData.relativePath, createdBy)
+        : uploadToken.folderId;
+
+      result = await fileUploadService.initializeUpload(
+        { ...fileData, folderId, uploadTokenId: tokenId },
+        createdBy,
+        uploadedFrom
+      );
+    } catch (error) {
+      await UploadToken.updateOne({ tokenId }, { $inc: { useCount: -1 } });
+      throw error;
+    }
+
+    await UploadToken.updateOne({ tokenId }, {
+      $push: {
+        uses: { at: now, fileId: result.fileId, fileName: fileData.fileName, fileSize: fileData.fileSize, ip: uploadedFrom.ip }
+      }
+    });
+
+    logger.logUpload(result.fileId, 'started with upload token', { tokenId, ip: uploadedFrom.ip });
+
+    return result;
+  }
+
+  assertAllowed(uploadToken, { fileSize, mimeType, parentFileId, batchId }) {
+    if (parentFileId || batchId) {
+      throw new ForbiddenError('Upload tokens cannot add versions or join upload batches');
+    }
+    if (uploadToken.maxFileSize && fileSize > uploadToken.maxFileSize) {
+      throw new ValidationError(`File exceeds this upload token's limit of ${uploadToken.maxFileSize} bytes`);
+    }
+
+    const { allowedMimeTypes } = uploadToken;
+    const type = mimeType || 'application/octet-stream';
+    if (allowedMimeTypes && !allowedMimeTypes.some((pattern) => matchesMimeType(pattern, type))) {
+      throw new ValidationError(`This upload token does not accept ${type} files`);
+    }
+  }
+
+  assertUsable(uploadToken, now = new Date()) {
+    if (!uploadToken || uploadToken.revokedAt) {
+      throw new UnauthorizedError('Upload token has been revoked');
+    }
+    if (uploadToken.expiresAt <= now) {
+      throw new GoneError('Upload token has expired');
+    }
+    if (uploadToken.useCount >= uploadToken.maxUses) {
+      throw new GoneError('Upload token has been used up');
+    }
+  }
+
+  signToken(tokenId, expiresAt) {
+    return createSignedToken('upload-token', config.uploadTokens.secret, tokenId, expiresAt);
+  }
+
+  // What token holders may see: the limits, but not who created the token
+  // or what others uploaded with it
+  toTokenInfo(uploadToken) {
+    return {
+      name: uploadToken.name || null,
+      expiresAt: uploadToken.expiresAt,
+      remainingUses: Math.max(0, uploadToken.maxUses - uploadToken.useCount),
+      maxFileSize: uploadToken.maxFileSize || config.upload.totalSizeLimit,
+      allowedMimeTypes: uploadToken.allowedMimeTypes || []
+    };
+  }
+
+  toTokenSummary(uploadToken) {
+    return {
+      tokenId: uploadToken.tokenId,
+      token: this.signToken(uploadToken.tokenId, uploadToken.expiresAt),
+      name: uploadToken.name || null,
+      folderId: uploadToken.folderId,
+      maxFileSize: uploadToken.maxFileSize,
+      allowedMimeTypes: uploadToken.allowedMimeTypes || [],
+      expiresAt: uploadToken.expiresAt,
+      maxUses: uploadToken.maxUses,
+      useCount: uploadToken.useCount,
+      createdBy: uploadToken.createdBy,
+      createdAt: uploadToken.createdAt,
+      revokedAt: uploadToken.revokedAt || null,
+      revokedBy: uploadToken.revokedBy || null,
+      lastUsedAt: uploadToken.lastUsedAt || null,
+      uses: uploadToken.uses || []
+    };
+  }
+}
+
+module.exports = new UploadTokenService();
@@ -1,46 +1,12 @@
 const request = require('supertest');
-const mongoose = require('mongoose');
-const { MongoMemoryServer } = require('mongodb-memory-server');
-const app = require('../app');
+const { app, api, useTestDatabase } = require('./helpers');
 
 describe('Large File Upload System', () => {
-  let mongoServer;
-  let server;
-
-  beforeAll(async () => {
-    // Start in-memory MongoDB
-    mongoServer = await MongoMemoryServer.create();
-    const mongoUri = mongoServer.getUri();
-    
-    // Override the MongoDB URI for testing
-    process.env.MONGO_URI = mongoUri;
-    process.env.NODE_ENV = 'test';
-    
-    // Start the application
-    server = app.getServer();
-  });
-
-  afterAll(async () => {
-    // Close server and database connections
-    if (server) {
-      await new Promise((resolve) => server.close(resolve));
-    }
-    await mongoose.connection.close();
-    await mongoServer.stop();
-  });
-
-  beforeEach(async () => {
-    // Clean up database before each test
-    const collections = mongoose.connection.collections;
-    for (const key in collections) {
-      const collection = collections[key];
-      await collection.deleteMany({});
-    }
-  });
+  useTestDatabase();
 
   describe('Health Check', () => {
     test('GET /health should return 200', async () => {
-      const response = await request(app.getApp())
+      const response = await request(app)
         .get('/health')
         .expect(200);
 
@@ -50,7 +16,7 @@ describe('Large File Upload System', () => {
     });
 
     test('GET /health/detailed should return detailed health info', async () => {
-      const response = await request(app.getApp())
+      const response = await request(app)
         .get('/health/detailed')
         .expect(200);
 
@@ -70,7 +36,7 @@ describe('Large File Upload System', () => {
         totalChunks: 1
       };
 
-      const response = await request(app.getApp())
+      const response = await api()
         .post('/api/upload/init')
         .send(uploadData)
         .expect(201);
@@ -81,7 +47,7 @@ describe('Large File Upload System', () => {
     });
 
     test('POST /api/upload/init should validate required fields', async () => {
-      const response = await request(app.getApp())
+      const response = await api()
         .post('/api/upload/init')
         .send({})
         .expect(400);
@@ -98,7 +64,7 @@ describe('Large File Upload System', () => {
         totalChunks: 1
       };
 
-      const response = await request(app.getApp())
+      const response = await api()
         .post('/api/upload/init')
         .send(uploadData)
         .expect(400);
@@ -109,7 +75,7 @@ describe('Large File Upload System', () => {
 
   describe('File Management', () => {
     test('GET /api/files should return empty list initially', async () => {
-      const response = await request(app.getApp())
+      const response = await api()
         .get('/api/files')
         .expect(200);
 
@@ -119,7 +85,7 @@ describe('Large File Upload System', () => {
     });
 
     test('GET /api/files/stats should return file statistics', async () => {
-      const response = await request(app.getApp())
+      const response = await api()
         .get('/api/files/stats')
         .expect(200);
 
@@ -131,7 +97,7 @@ describe('Large File Upload System', () => {
 
   describe('Error Handling', () => {
     test('GET /api/upload/status/invalid-id should return 400', async () => {
-      const response = await request(app.getApp())
+      const response = await api()
         .get('/api/upload/status/invalid-id')
         .expect(400);
 
@@ -140,7 +106,7 @@ describe('Large File Upload System', () => {
     });
 
     test('GET /api/upload/status/nonexistent should return 404', async () => {
-      const response = await request(app.getApp())
+      const response = await api()
         .get('/api/upload/status/12345678901234567890123456789012')
         .expect(404);
 
@@ -149,7 +115,7 @@ describe('Large File Upload System', () => {
     });
 
     test('POST /api/upload/complete with invalid fileId should return 400', async () => {
-      const response = await request(app.getApp())
+      const response = await api()
         .post('/api/upload/complete')
         .send({ fileId: 'invalid' })
         .expect(400);
@@ -169,7 +135,7 @@ describe('Large File Upload System', () => {
 
       // Make multiple requests quickly
       const promises = Array(25).fill().map(() =>
-        request(app.getApp())
+        api()
           .post('/api/upload/init')
           .send(uploadData)
       );
@@ -184,7 +150,7 @@ describe('Large File Upload System', () => {
 
   describe('Security', () => {
     test('Should include security headers', async () => {
-      const response = await request(app.getApp())
+      const response = await request(app)
         .get('/health')
         .expect(200);
 
@@ -194,7 +160,7 @@ describe('Large File Upload System', () => {
     });
 
     test('Should handle CORS preflight requests', async () => {
-      const response = await request(app.getApp())
+      const response = await request(app)
         .options('/api/upload/init')
         .expect(200);
 
@@ -205,7 +171,7 @@ describe('Large File Upload System', () => {
 
   describe('Frontend', () => {
     test('GET / should serve the frontend', async () => {
-      const response = await request(app.getApp())
+      const response = await request(app)
         .get('/')
         .expect(200);
 
@@ -0,0 +1,311 @@
+const request = require('supertest');
+const authService = require('../services/auth');
+const { app, as, uploadAs, useTestDatabase } = require('./helpers');
+
+useTestDatabase();
+
+describe('Authentication', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const crypto = require('crypto');
+  const FileUpload = require('../models/FileUpload');
+  const Folder = require('../models/Folder');
+
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+  test('Should reject API requests without a bearer token', async () => {
+    const response = await request(app)
+      .get('/api/files')
+      .expect(401);
+
+    expect(response.body.type).toBe('unauthorized');
+    expect(response.headers['www-authenticate']).toBe('Bearer');
+
+    await request(app)
+      .get('/api/health')
+      .expect(200);
+  });
+
+  test('Should reject tampered, expired and unsigned tokens', async () => {
+    const token = authService.signToken('alice');
+    const [header, , signature] = token.split('.');
+    const forged = `${header}.${encode({ sub: 'admin' })}.${signature}`;
+    const unsigned = `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ sub: 'alice' })}.`;
+
+    for (const bad of [forged, unsigned, 'not-a-token']) {
+      const response = await request(app)
+        .get('/api/files')
+        .set('Authorization', `Bearer ${bad}`)
+        .expect(401);
+      expect(response.body.error).toBe('Invalid token');
+    }
+
+    const expired = await request(app)
+      .get('/api/files')
+      .set('Authorization', `Bearer ${authService.signToken('alice', { expiresIn: -120 })}`)
+      .expect(401);
+    expect(expired.body.error).toBe('Token expired');
+  });
+
+  test('Should record the token subject as uploader and creator', async () => {
+    const alice = `Bearer ${authService.signToken('alice')}`;
+
+    const init = await request(app)
+      .post('/api/upload/init')
+      .set('Authorization', alice)
+      .send({ fileName: 'mine.txt', fileSize: 4, totalChunks: 1, uploadedBy: 'mallory' })
+      .expect(201);
+
+    const folder = await request(app)
+      .post('/api/folders')
+      .set('Authorization', alice)
+      .send({ name: 'Reports', createdBy: 'mallory' })
+      .expect(201);
+
+    expect((await FileUpload.findByFileId(init.body.data.fileId)).uploadedBy).toBe('alice');
+    expect((await Folder.findByFolderId(folder.body.data.folderId)).createdBy).toBe('alice');
+  });
+
+  test('Should accept RS256 tokens signed by a key in the JWKS file', async () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const jwksFile = path.join(os.tmpdir(), `jwks-${process.pid}.json`);
+    fs.writeFileSync(jwksFile, JSON.stringify({
+      keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'idp-1', use: 'sig', alg: 'RS256' }]
+    }));
+
+    const signRs256 = (kid, claims) => {
+      const signingInput = `${encode({ alg: 'RS256', typ: 'JWT', kid })}.${encode(claims)}`;
+      return `${signingInput}.${crypto.sign('sha256', Buffer.from(signingInput), privateKey).toString('base64url')}`;
+    };
+    const exp = Math.floor(Date.now() / 1000) + 300;
+
+    process.env.JWT_JWKS_FILE = jwksFile;
+    try {
+      authService.reloadKeys();
+
+      await request(app)
+        .get('/api/files')
+        .set('Authorization', `Bearer ${signRs256('idp-1', { sub: 'carol', exp })}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/files')
+        .set('Authorization', `Bearer ${signRs256('unknown', { sub: 'carol', exp })}`)
+        .expect(401);
+    } finally {
+      delete process.env.JWT_JWKS_FILE;
+      authService.reloadKeys();
+      fs.unlinkSync(jwksFile);
+    }
+  });
+
+  test('Should answer unauthenticated S3 requests with an S3 error', async () => {
+    const response = await request(app)
+      .post('/api/s3/bucket/report.bin?uploads')
+      .expect(401);
+
+    expect(response.text).toContain('<Code>AccessDenied</Code>');
+  });
+});
+
+describe('Access Control', () => {
+  const FileUpload = require('../models/FileUpload');
+
+  test('Should only list the caller\'s own files', async () => {
+    const aliceFile = await uploadAs('alice', 'alice-notes');
+    await uploadAs('bob', 'bob-notes');
+
+    const files = await as('alice').get('/api/files').expect(200);
+    expect(files.body.data.files.map(f => f.fileId)).toEqual([aliceFile]);
+    expect(files.body.data.files[0].ownerId).toBe('alice');
+
+    const root = await as('alice').get('/api/folders').expect(200);
+    expect(root.body.data.files.map(f => f.fileId)).toEqual([aliceFile]);
+
+    const stats = await as('alice').get('/api/files/stats').expect(200);
+    expect(stats.body.data.totalFiles).toBe(1);
+
+    await as('bob').delete(`/api/files/${(await FileUpload.findOne({ ownerId: 'bob' })).fileId}`).expect(200);
+    const trash = await as('alice').get('/api/trash').expect(200);
+    expect(trash.body.data.files).toEqual([]);
+  });
+
+  test('Should keep folders to their owner', async () => {
+    const Folder = require('../models/Folder');
+    const created = await as('alice').post('/api/folders').send({ name: 'Private' }).expect(201);
+    const { folderId } = created.body.data;
+    await as('bob').post('/api/folders').send({ name: 'Private' }).expect(201);
+
+    const root = await as('alice').get('/api/folders').expect(200);
+    expect(root.body.data.folders.map(f => f.folderId)).toEqual([folderId]);
+
+    await as('bob').get(`/api/folders/${folderId}`).expect(403);
+    await as('bob').patch(`/api/folders/${folderId}`).send({ name: 'Mine' }).expect(403);
+    await as('bob').delete(`/api/folders/${folderId}`).expect(403);
+    await as('bob').post('/api/folders').send({ name: 'Inside', parentId: folderId }).expect(403);
+
+    // Nothing of bob's can be put in alice's folder
+    await as('bob')
+      .post('/api/upload/init')
+      .send({ fileName: 'planted.txt', fileSize: 1, totalChunks: 1, folderId })
+      .expect(403);
+    await as('bob')
+      .post('/api/upload/init')
+      .send({ fileName: 'planted.txt', fileSize: 1, totalChunks: 1, folderId, relativePath: 'sub/planted.txt' })
+      .expect(403);
+    const bobFile = await uploadAs('bob', 'bob-notes');
+    await as('bob').post(`/api/files/${bobFile}/move`).send({ folderId }).expect(403);
+    await as('bob').post('/api/upload-tokens').send({ folderId }).expect(403);
+    expect(await Folder.countDocuments({ createdBy: 'bob', parentId: folderId })).toBe(0);
+
+    // Admins can use everyone's folders, but files still only go into their owner's
+    const admin = () => as('root', { roles: ['admin'] });
+    await admin().get(`/api/folders/${folderId}`).expect(200);
+    const sub = await admin().post('/api/folders').send({ name: 'Sub', parentId: folderId }).expect(201);
+    expect(sub.body.data.createdBy).toBe('alice');
+    await admin().post(`/api/files/${bobFile}/move`).send({ folderId }).expect(403);
+
+    const aliceFile = await uploadAs('alice', 'alice-notes');
+    await admin().post(`/api/files/${aliceFile}/move`).send({ folderId }).expect(200);
+  });
+
+  test('Should answer 403 for other users\' files', async () => {
+    const fileId = await uploadAs('alice', 'private');
+
+    const forbidden = await as('bob').get(`/api/upload/status/${fileId}`).expect(403);
+    expect(forbidden.body.type).toBe('forbidden');
+
+    await as('bob').get(`/api/download/${fileId}`).expect(403);
+    await as('bob').delete(`/api/files/${fileId}`).expect(403);
+    await as('bob').get(`/api/files/${fileId}/versions`).expect(403);
+    await as('bob').post(`/api/files/${fileId}/legal-hold`).send({ reason: 'Mine now' }).expect(403);
+    await as('bob')
+      .post('/api/upload/init')
+      .send({ fileName: 'v2.txt', fileSize: 2, totalChunks: 1, parentFileId: fileId })
+      .expect(403);
+
+    const download = await as('alice').get(`/api/download/${fileId}`).expect(200);
+    expect(Buffer.from(download.body).toString()).toBe('private');
+  });
+
+  test('Should not complete uploads from another user\'s content hash', async () => {
+    const fileId = await uploadAs('alice', 'alice-secret');
+    const { checksum, size } = await FileUpload.findOne({ fileId }).lean();
+
+    const init = await as('bob')
+      .post('/api/upload/init')
+      .send({ fileName: 'guess.txt', fileSize: size, totalChunks: 1, sha256: checksum })
+      .expect(201);
+    expect(init.body.data.status).toBe('pending');
+    expect(init.body.data.deduplicated).toBeUndefined();
+
+    await as('bob').get(`/api/download/${init.body.data.fileId}`).expect(404);
+  });
+
+  test('Should keep other users out of unfinished uploads', async () => {
+    const init = await as('alice')
+      .post('/api/upload/init')
+      .send({ fileName: 'draft.txt', fileSize: 5, totalChunks: 1 })
+      .expect(201);
+    const { fileId } = init.body.data;
+
+    await as('bob')
+      .post('/api/upload/chunk')
+      .set('x-file-id', fileId)
+      .set('x-chunk-index', '0')
+      .set('x-total-chunks', '1')
+      .attach('chunk', Buffer.from('evil!'), 'blob')
+      .expect(403);
+
+    await as('bob').post('/api/upload/cancel').send({ fileId }).expect(403);
+    await as('bob').post('/api/upload/complete').send({ fileId }).expect(403);
+
+    const status = await as('alice').get(`/api/upload/status/${fileId}`).expect(200);
+    expect(status.body.data.uploadedChunks).toBe(0);
+    expect(status.body.data.status).toBe('pending');
+  });
+
+  test('Admins should access every file, and versions keep their owner', async () => {
+    const fileId = await uploadAs('alice', 'v1');
+    const admin = { roles: ['admin'] };
+
+    const files = await as('root', admin).get('/api/files').expect(200);
+    expect(files.body.data.files.map(f => f.fileId)).toEqual([fileId]);
+
+    const v2 = await uploadAs('root', 'v2', { parentFileId: fileId }, admin);
+    expect((await FileUpload.findByFileId(v2)).ownerId).toBe('alice');
+    await as('alice').get(`/api/download/${v2}`).expect(200);
+
+    await as('root', admin).delete(`/api/files/${fileId}`).expect(200);
+  });
+
+  test('Should not let other users join a created batch', async () => {
+    const batch = await as('alice').post('/api/batches').send({ expectedFiles: 2 }).expect(201);
+    const { batchId } = batch.body.data;
+
+    await as('bob')
+      .post('/api/upload/init')
+      .send({ fileName: 'intruder.txt', fileSize: 1, totalChunks: 1, batchId })
+      .expect(403);
+    await as('bob').get(`/api/batches/${batchId}`).expect(403);
+
+    const status = await as('alice').get(`/api/batches/${batchId}`).expect(200);
+    expect(status.body.data.initializedFiles).toBe(0);
+  });
+
+  test('Should take the caller from a trusted proxy header when configured', async () => {
+    process.env.AUTH_USER_HEADER = 'X-Forwarded-User';
+    process.env.TRUSTED_PROXY_IPS = '127.0.0.0/8,::1';
+    try {
+      const init = await request(app)
+        .post('/api/upload/init')
+        .set('X-Forwarded-User', 'dave')
+        .send({ fileName: 'proxied.txt', fileSize: 1, totalChunks: 1 })
+        .expect(201);
+
+      expect((await FileUpload.findByFileId(init.body.data.fileId)).ownerId).toBe('dave');
+    } finally {
+      delete process.env.AUTH_USER_HEADER;
+      delete process.env.TRUSTED_PROXY_IPS;
+    }
+
+    await request(app)
+      .get('/api/files')
+      .set('X-Forwarded-User', 'dave')
+      .expect(401);
+  });
+
+  test('Should ignore proxy headers from clients that are not the proxy', async () => {
+    process.env.AUTH_USER_HEADER = 'X-Forwarded-User';
+    process.env.AUTH_ROLES_HEADER = 'X-Forwarded-Roles';
+    process.env.TRUSTED_PROXY_IPS = '203.0.113.10';
+    process.env.AUTH_PROXY_SECRET = 'proxy-secret';
+    try {
+      await request(app)
+        .get('/api/files')
+        .set('X-Forwarded-User', 'admin')
+        .set('X-Forwarded-Roles', 'admin')
+        .set('X-Forwarded-For', '203.0.113.10')
+        .expect(401);
+
+      await request(app)
+        .get('/api/files')
+        .set('X-Forwarded-User', 'admin')
+        .set('X-Auth-Proxy-Secret', 'guessed')
+        .expect(401);
+
+      const response = await request(app)
+        .get('/api/files')
+        .set('X-Forwarded-User', 'dave')
+        .set('X-Auth-Proxy-Secret', 'proxy-secret')
+        .expect(200);
+      expect(response.body.success).toBe(true);
+    } finally {
+      delete process.env.AUTH_USER_HEADER;
+      delete process.env.AUTH_ROLES_HEADER;
+      delete process.env.TRUSTED_PROXY_IPS;
+      delete process.env.AUTH_PROXY_SECRET;
+    }
+  });
+});
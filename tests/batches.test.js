@@ -0,0 +1,143 @@
+const { api, useTestDatabase } = require('./helpers');
+
+useTestDatabase();
+
+describe('Upload Batches', () => {
+  const http = require('http');
+  const FileUpload = require('../models/FileUpload');
+  const uploadBatchService = require('../services/uploadBatches');
+
+  const createBatch = async (fields) => {
+    const response = await api()
+      .post('/api/batches')
+      .send(fields)
+      .expect(201);
+    return response.body.data.batchId;
+  };
+
+  const initMember = (batchId, text) => api()
+    .post('/api/upload/init')
+    .send({ fileName: `${text}.bin`, fileSize: Buffer.byteLength(text), totalChunks: 1, batchId });
+
+  const uploadMember = async (batchId, text) => {
+    const init = await initMember(batchId, text).expect(201);
+    const { fileId } = init.body.data;
+
+    await api()
+      .post('/api/upload/chunk')
+      .set('x-file-id', fileId)
+      .set('x-chunk-index', '0')
+      .set('x-total-chunks', '1')
+      .attach('chunk', Buffer.from(text), 'blob')
+      .expect(200);
+
+    const complete = await api()
+      .post('/api/upload/complete')
+      .send({ fileId })
+      .expect(200);
+
+    return { fileId, batch: complete.body.data.batch };
+  };
+
+  test('Should complete once every member has completed, firing hooks once', async () => {
+    const batchId = await createBatch({ expectedFiles: 2, name: 'model' });
+    const completed = jest.fn();
+    uploadBatchService.on('completed', completed);
+
+    try {
+      const first = await uploadMember(batchId, 'weights');
+      expect(first.batch.status).toBe('uploading');
+      expect(completed).not.toHaveBeenCalled();
+
+      const second = await uploadMember(batchId, 'config');
+      expect(second.batch.status).toBe('completed');
+      expect(second.batch.completedFiles).toBe(2);
+      expect(completed).toHaveBeenCalledTimes(1);
+      expect(completed.mock.calls[0][0].batchId).toBe(batchId);
+    } finally {
+      uploadBatchService.off('completed', completed);
+    }
+
+    // The batch is full
+    await initMember(batchId, 'extra').expect(409);
+  });
+
+  test('Should roll back every member when one fails', async () => {
+    const batchId = await createBatch({ expectedFiles: 3, rollbackOnFailure: true });
+    const done = await uploadMember(batchId, 'model');
+
+    const init = await initMember(batchId, 'weights').expect(201);
+    await api()
+      .post('/api/upload/cancel')
+      .send({ fileId: init.body.data.fileId })
+      .expect(200);
+
+    const status = await api().get(`/api/batches/${batchId}`).expect(200);
+    expect(status.body.data.status).toBe('rolled_back');
+    expect(status.body.data.failedFileId).toBe(init.body.data.fileId);
+    expect(await FileUpload.exists({ fileId: done.fileId })).toBeNull();
+
+    // A failed batch takes no more members
+    await initMember(batchId, 'config').expect(409);
+  });
+
+  test('Should POST the completed batch to its callback URL', async () => {
+    const received = [];
+    const receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push(JSON.parse(body));
+        res.end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, resolve));
+    process.env.BATCH_CALLBACK_ALLOWED_HOSTS = '127.0.0.1';
+
+    try {
+      const callbackUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+      const batchId = await createBatch({ expectedFiles: 1, callbackUrl });
+      await uploadMember(batchId, 'only');
+
+      for (let i = 0; i < 50 && received.length === 0; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      expect(received).toHaveLength(1);
+      expect(received[0].event).toBe('batch.completed');
+      expect(received[0].batch.batchId).toBe(batchId);
+    } finally {
+      delete process.env.BATCH_CALLBACK_ALLOWED_HOSTS;
+      await new Promise((resolve) => receiver.close(resolve));
+    }
+  });
+
+  test('Should refuse callback URLs on internal addresses', async () => {
+    for (const callbackUrl of [
+      'http://127.0.0.1:8080/hook',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://10.1.2.3/hook',
+      'http://[::1]/hook',
+      'http://[::ffff:192.168.0.1]/hook',
+      'http://localhost/hook'
+    ]) {
+      const response = await api()
+        .post('/api/batches')
+        .send({ expectedFiles: 1, callbackUrl })
+        .expect(400);
+      expect(response.body.error).toMatch(/public address|could not be resolved/);
+    }
+
+    await expect(uploadBatchService.deliverCallback('http://127.0.0.1:1/hook', {
+      event: 'batch.completed',
+      batch: { batchId: 'f'.repeat(32) }
+    })).rejects.toThrow('public address');
+  });
+
+  test('Should validate batch creation', async () => {
+    await api().post('/api/batches').send({}).expect(400);
+    await api()
+      .post('/api/batches')
+      .send({ expectedFiles: 2, callbackUrl: 'file:///etc/passwd' })
+      .expect(400);
+  });
+});
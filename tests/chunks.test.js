@@ -0,0 +1,262 @@
+const { api, useTestDatabase } = require('./helpers');
+
+useTestDatabase();
+
+describe('Chunk Tracking', () => {
+  const initUpload = async (totalChunks) => {
+    const response = await api()
+      .post('/api/upload/init')
+      .send({
+        fileName: 'chunked.bin',
+        fileSize: totalChunks * 4,
+        mimeType: 'application/octet-stream',
+        totalChunks
+      })
+      .expect(201);
+
+    return response.body.data.fileId;
+  };
+
+  const sendChunk = (fileId, chunkIndex, totalChunks) =>
+    api()
+      .post('/api/upload/chunk')
+      .set('x-file-id', fileId)
+      .set('x-chunk-index', String(chunkIndex))
+      .set('x-total-chunks', String(totalChunks))
+      .attach('chunk', Buffer.from(`c${chunkIndex}__`), 'blob');
+
+  test('Out-of-order chunks should report the exact missing indices', async () => {
+    const fileId = await initUpload(4);
+
+    await sendChunk(fileId, 3, 4).expect(200);
+    await sendChunk(fileId, 1, 4).expect(200);
+
+    const response = await api()
+      .get(`/api/upload/status/${fileId}`)
+      .expect(200);
+
+    expect(response.body.data.uploadedChunks).toBe(2);
+    expect(response.body.data.missingChunks).toEqual([0, 2]);
+  });
+
+  test('Retried chunks should not be counted twice', async () => {
+    const fileId = await initUpload(2);
+
+    await sendChunk(fileId, 1, 2).expect(200);
+    const response = await sendChunk(fileId, 1, 2).expect(200);
+
+    expect(response.body.data.uploadedChunks).toBe(1);
+  });
+
+  test('POST /api/upload/complete should reject when chunks are missing', async () => {
+    const fileId = await initUpload(3);
+
+    await sendChunk(fileId, 2, 3).expect(200);
+
+    await api()
+      .post('/api/upload/complete')
+      .send({ fileId })
+      .expect(400);
+  });
+
+  test('POST /api/upload/complete should list the missing chunks', async () => {
+    const fileId = await initUpload(3);
+
+    await sendChunk(fileId, 1, 3).expect(200);
+
+    const response = await api()
+      .post('/api/upload/complete')
+      .send({ fileId })
+      .expect(400);
+
+    expect(response.body.missingChunks).toEqual([0, 2]);
+  });
+
+  test('Orphan cleanup should leave chunks that are still being staged', async () => {
+    const fs = require('fs');
+    const { Readable } = require('stream');
+    const fileUploadService = require('../services/fileUpload');
+    const fileId = await initUpload(2);
+
+    const staged = await fileUploadService.stageChunk(fileId, 0, Readable.from([Buffer.from('c0__')]));
+    await fileUploadService.cleanupOrphanedChunks();
+    expect(fs.existsSync(staged.path)).toBe(true);
+
+    const result = await fileUploadService.uploadChunk(fileId, 0, staged, 2);
+    expect(result.uploadedChunks).toBe(1);
+
+    // Staged bodies abandoned long ago are removed
+    const abandoned = await fileUploadService.stageChunk(fileId, 1, Readable.from([Buffer.from('c1__')]));
+    const longAgo = new Date(Date.now() - 3 * 60 * 60 * 1000);
+    fs.utimesSync(abandoned.path, longAgo, longAgo);
+    await fileUploadService.cleanupOrphanedChunks();
+    expect(fs.existsSync(abandoned.path)).toBe(false);
+  });
+});
+
+describe('Chunk Checksums', () => {
+  const crypto = require('crypto');
+
+  const initUpload = async () => {
+    const response = await api()
+      .post('/api/upload/init')
+      .send({
+        fileName: 'checksummed.bin',
+        fileSize: 8,
+        mimeType: 'application/octet-stream',
+        totalChunks: 2
+      })
+      .expect(201);
+
+    return response.body.data.fileId;
+  };
+
+  const sendChunk = (fileId, chunkIndex, data, checksum) =>
+    api()
+      .post('/api/upload/chunk')
+      .set('x-file-id', fileId)
+      .set('x-chunk-index', String(chunkIndex))
+      .set('x-total-chunks', '2')
+      .set('x-chunk-checksum', checksum)
+      .attach('chunk', data, 'blob');
+
+  const sha256 = (data) => `sha256=${crypto.createHash('sha256').update(data).digest('hex')}`;
+
+  test('Chunks matching their checksum should be accepted', async () => {
+    const fileId = await initUpload();
+    const data = Buffer.from('abcd');
+
+    const response = await sendChunk(fileId, 0, data, sha256(data)).expect(200);
+
+    expect(response.body.data.uploadedChunks).toBe(1);
+  });
+
+  test('Corrupted chunks should be rejected as retryable', async () => {
+    const fileId = await initUpload();
+
+    const response = await sendChunk(fileId, 0, Buffer.from('abcd'), sha256('abce')).expect(422);
+
+    expect(response.body.type).toBe('checksum_mismatch');
+    expect(response.body.retryable).toBe(true);
+
+    const status = await api()
+      .get(`/api/upload/status/${fileId}`)
+      .expect(200);
+
+    expect(status.body.data.missingChunks).toEqual([0, 1]);
+  });
+
+  test('A corrupted retry should not discard the accepted chunk', async () => {
+    const fileId = await initUpload();
+    const data = Buffer.from('abcd');
+
+    await sendChunk(fileId, 0, data, sha256(data)).expect(200);
+    await sendChunk(fileId, 0, Buffer.from('abce'), sha256(data)).expect(422);
+
+    const status = await api()
+      .get(`/api/upload/status/${fileId}`)
+      .expect(200);
+
+    expect(status.body.data.missingChunks).toEqual([1]);
+  });
+
+  test('Base64 CRC32C checksums should be accepted', async () => {
+    const fileId = await initUpload();
+    const { computeChecksum } = require('../utils/checksum');
+    const data = Buffer.from('abcd');
+    const crc = Buffer.from(computeChecksum('crc32c', data), 'hex').toString('base64');
+
+    await sendChunk(fileId, 1, data, `crc32c=${crc}`).expect(200);
+  });
+
+  test('Malformed checksum headers should be rejected', async () => {
+    const fileId = await initUpload();
+
+    await sendChunk(fileId, 0, Buffer.from('abcd'), 'sha256=nothex!').expect(400);
+  });
+});
+
+describe('File Checksums', () => {
+  const crypto = require('crypto');
+  const content = Buffer.from('verifiable artifact');
+  const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+
+  const uploadFile = async (expectedSha256) => {
+    const init = await api()
+      .post('/api/upload/init')
+      .send({
+        fileName: 'artifact.bin',
+        fileSize: content.length,
+        mimeType: 'application/octet-stream',
+        totalChunks: 1,
+        sha256: expectedSha256
+      })
+      .expect(201);
+
+    const fileId = init.body.data.fileId;
+
+    await api()
+      .post('/api/upload/chunk')
+      .set('x-file-id', fileId)
+      .set('x-chunk-index', '0')
+      .set('x-total-chunks', '1')
+      .attach('chunk', content, 'blob')
+      .expect(200);
+
+    return fileId;
+  };
+
+  test('Completed uploads should expose their SHA-256', async () => {
+    const fileId = await uploadFile(sha256);
+
+    await api()
+      .post('/api/upload/complete')
+      .send({ fileId })
+      .expect(200);
+
+    const status = await api()
+      .get(`/api/upload/status/${fileId}`)
+      .expect(200);
+
+    expect(status.body.data.checksum).toBe(sha256);
+    expect(status.body.data.md5).toBe(crypto.createHash('md5').update(content).digest('hex'));
+
+    const download = await api()
+      .get(`/api/download/${fileId}`)
+      .expect(200);
+
+    expect(download.headers.etag).toBe(`"${sha256}"`);
+    expect(download.headers['cache-control']).toBe('private, no-store');
+    expect(download.headers.digest).toContain(`sha-256=${Buffer.from(sha256, 'hex').toString('base64')}`);
+  });
+
+  test('Uploads not matching the expected SHA-256 should fail', async () => {
+    const fileId = await uploadFile('0'.repeat(64));
+
+    const response = await api()
+      .post('/api/upload/complete')
+      .send({ fileId })
+      .expect(422);
+
+    expect(response.body.type).toBe('checksum_mismatch');
+    expect(response.body.retryable).toBeUndefined();
+
+    const status = await api()
+      .get(`/api/upload/status/${fileId}`)
+      .expect(200);
+
+    expect(status.body.data.status).toBe('failed');
+  });
+
+  test('POST /api/upload/init should reject a malformed SHA-256', async () => {
+    await api()
+      .post('/api/upload/init')
+      .send({
+        fileName: 'artifact.bin',
+        fileSize: 10,
+        totalChunks: 1,
+        sha256: 'abc'
+      })
+      .expect(400);
+  });
+});
@@ -0,0 +1,168 @@
+const { api, compliance, upload, useTestDatabase } = require('./helpers');
+
+useTestDatabase();
+
+describe('Folders', () => {
+  const FileUpload = require('../models/FileUpload');
+
+  const createFolder = async (name, parentId) => {
+    const response = await api()
+      .post('/api/folders')
+      .send({ name, parentId })
+      .expect(201);
+    return response.body.data.folderId;
+  };
+
+  const uploadFile = (text, folderId) =>
+    upload(text, { fileName: 'notes.txt', folderId }).then(({ fileId }) => fileId);
+
+  test('Should list a folder with its subfolders, files and breadcrumbs', async () => {
+    const projects = await createFolder('Projects');
+    const reports = await createFolder('Reports', projects);
+    const fileId = await uploadFile('q3', reports);
+    await uploadFile('at the root');
+
+    const root = await api().get('/api/folders').expect(200);
+    expect(root.body.data.breadcrumbs).toEqual([]);
+    expect(root.body.data.folders.map(f => f.name)).toEqual(['Projects']);
+    expect(root.body.data.files).toHaveLength(1);
+
+    const listing = await api().get(`/api/folders/${reports}`).expect(200);
+    expect(listing.body.data.breadcrumbs.map(b => b.name)).toEqual(['Projects', 'Reports']);
+    expect(listing.body.data.files.map(f => f.fileId)).toEqual([fileId]);
+
+    // Sibling names are unique
+    await api()
+      .post('/api/folders')
+      .send({ name: 'Reports', parentId: projects })
+      .expect(409);
+  });
+
+  test('Should rename and move folders but not into themselves', async () => {
+    const a = await createFolder('a');
+    const b = await createFolder('b', a);
+    const c = await createFolder('c', b);
+
+    await api()
+      .patch(`/api/folders/${a}`)
+      .send({ parentId: c })
+      .expect(400);
+
+    // Moving b to the root takes c with it
+    await api()
+      .patch(`/api/folders/${b}`)
+      .send({ name: 'b2', parentId: null })
+      .expect(200);
+
+    const listing = await api().get(`/api/folders/${c}`).expect(200);
+    expect(listing.body.data.breadcrumbs.map(crumb => crumb.name)).toEqual(['b2', 'c']);
+  });
+
+  test('Should move a file with all of its versions', async () => {
+    const folderId = await createFolder('Archive');
+    const fileId = await uploadFile('v1');
+
+    await api()
+      .post('/api/upload/init')
+      .send({ fileName: 'notes.txt', fileSize: 2, totalChunks: 1, parentFileId: fileId })
+      .expect(201);
+
+    await api()
+      .post(`/api/files/${fileId}/move`)
+      .send({ folderId })
+      .expect(200);
+
+    expect(await FileUpload.countDocuments({ folderId })).toBe(2);
+
+    await api()
+      .post(`/api/files/${fileId}/move`)
+      .send({ folderId: 'a'.repeat(32) })
+      .expect(404);
+  });
+
+  test('Should only delete a non-empty folder recursively, sending its files to the trash', async () => {
+    const parent = await createFolder('parent');
+    const child = await createFolder('child', parent);
+    const fileId = await uploadFile('keep me', child);
+
+    await api().delete(`/api/folders/${parent}`).expect(409);
+
+    const response = await api()
+      .delete(`/api/folders/${parent}?recursive=true`)
+      .expect(200);
+    expect(response.body.data.deletedFolders).toBe(2);
+    expect(response.body.data.deletedFiles).toBe(1);
+
+    await api().get(`/api/folders/${child}`).expect(404);
+
+    // Restored files whose folder is gone come back at the root
+    await api().post(`/api/files/${fileId}/restore`).expect(200);
+    const root = await api().get('/api/folders').expect(200);
+    expect(root.body.data.files.map(f => f.fileId)).toEqual([fileId]);
+  });
+
+  test('Should not delete a folder holding a file on legal hold', async () => {
+    const folderId = await createFolder('evidence');
+    const fileId = await uploadFile('exhibit A', folderId);
+
+    await compliance()
+      .post(`/api/files/${fileId}/legal-hold`)
+      .send({ reason: 'Litigation' })
+      .expect(200);
+
+    await api()
+      .delete(`/api/folders/${folderId}?recursive=true`)
+      .expect(409);
+
+    await api().get(`/api/folders/${folderId}`).expect(200);
+    expect((await FileUpload.findOne({ fileId }).lean()).trashedAt).toBeUndefined();
+  });
+});
+
+describe('Folder Uploads', () => {
+  const uploadFile = async (text, fields) => {
+    const { fileId, init, complete } = await upload(text, { fileName: fields.relativePath.split('/').pop(), ...fields });
+    return { fileId, folderId: init.folderId, batch: complete.batch };
+  };
+
+  test('Should recreate the directory structure from relative paths', async () => {
+    const a = await uploadFile('a', { relativePath: 'photos/2024/a.jpg' });
+    const b = await uploadFile('b', { relativePath: 'photos/2024/b.jpg' });
+    const c = await uploadFile('c', { relativePath: 'photos/c.jpg' });
+
+    expect(a.folderId).toBeTruthy();
+    expect(b.folderId).toBe(a.folderId);
+    expect(c.folderId).not.toBe(a.folderId);
+
+    const listing = await api().get(`/api/folders/${a.folderId}`).expect(200);
+    expect(listing.body.data.breadcrumbs.map(crumb => crumb.name)).toEqual(['photos', '2024']);
+    expect(listing.body.data.files).toHaveLength(2);
+  });
+
+  test('Should reject paths that leave the uploaded directory', async () => {
+    for (const relativePath of ['../etc/passwd', '/abs/file.txt', 'a//b.txt', 'a/./b.txt']) {
+      await api()
+        .post('/api/upload/init')
+        .send({ fileName: 'x', fileSize: 1, totalChunks: 1, relativePath })
+        .expect(400);
+    }
+  });
+
+  test('Should report a batch as complete once every file is done', async () => {
+    const batchId = 'batch-0001';
+    const first = await uploadFile('one', { relativePath: 'set/one.txt', batchId, batchSize: 2 });
+    expect(first.batch.complete).toBe(false);
+    expect(first.batch.completedFiles).toBe(1);
+    expect(first.batch.totalFiles).toBe(2);
+
+    const second = await uploadFile('two', { relativePath: 'set/two.txt', batchId, batchSize: 2 });
+    expect(second.batch.complete).toBe(true);
+
+    const status = await api().get(`/api/batches/${batchId}`).expect(200);
+    expect(status.body.data.status).toBe('completed');
+    expect(status.body.data.progress).toBe(100);
+    expect(status.body.data.files.map(f => f.relativePath)).toEqual(['set/one.txt', 'set/two.txt']);
+
+    await api().get('/api/batches/unknown-batch').expect(404);
+  });
+});
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Set before the app is loaded: config insists on a MongoDB URI (the real one
+// is filled in once the in-memory server is up, config reads it on connect),
+// and each test file gets an upload directory of its own
+process.env.NODE_ENV = 'test';
+process.env.MONGO_URI = process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/large_file_upload_test';
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../app');
+const authService = require('../services/auth');
+const databaseService = require('../services/database');
+
+// Requests as `sub`, with extra JWT claims such as roles and groups; a test's
+// own Authorization header wins
+const as = (sub, claims) => request.agent(app)
+  .set('Authorization', `Bearer ${authService.signToken(sub, claims)}`);
+
+// Requests from the authenticated test user
+const api = () => as('test-user');
+
+// Requests from a compliance officer, who places and releases legal holds
+const compliance = () => as('legal-team', { roles: ['compliance'] });
+
+// Upload `content` as one chunk and complete it. `fields` are merged into the
+// init request, and `agent` makes the requests (the test user by default).
+const upload = async (content, fields = {}, agent = api) => {
+  const body = Buffer.from(content);
+  const init = await agent()
+    .post('/api/upload/init')
+    .send({ fileName: 'file.txt', fileSize: body.length, totalChunks: 1, ...fields })
+    .expect(201);
+  const { fileId } = init.body.data;
+
+  await agent()
+    .post('/api/upload/chunk')
+    .set('x-file-id', fileId)
+    .set('x-chunk-index', '0')
+    .set('x-total-chunks', '1')
+    .attach('chunk', body, 'blob')
+    .expect(200);
+
+  const complete = await agent()
+    .post('/api/upload/complete')
+    .send({ fileId })
+    .expect(200);
+
+  return { fileId, init: init.body.data, complete: complete.body.data };
+};
+
+// Files uploaded by `sub`, named after their content
+const uploadAs = (sub, text, fields = {}, claims) =>
+  upload(text, { fileName: `${text}.txt`, ...fields }, () => as(sub, claims)).then(({ fileId }) => fileId);
+
+// Run the test file against an in-memory MongoDB that is emptied before each test
+const useTestDatabase = () => {
+  let mongoServer;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    process.env.MONGO_URI = mongoServer.getUri();
+
+    await databaseService.connect();
+    await databaseService.createIndexes();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+    fs.rmSync(process.env.UPLOAD_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    const collections = mongoose.connection.collections;
+    for (const key in collections) {
+      await collections[key].deleteMany({});
+    }
+  });
+};
+
+module.exports = {
+  app,
+  api,
+  as,
+  compliance,
+  upload,
+  uploadAs,
+  useTestDatabase
+};
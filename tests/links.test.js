@@ -0,0 +1,173 @@
+const request = require('supertest');
+const { app, api, as, upload, useTestDatabase } = require('./helpers');
+
+useTestDatabase();
+
+describe('Download Links', () => {
+  const DownloadLink = require('../models/DownloadLink');
+
+  const uploadFile = (text) => upload(text, { fileName: `${text}.txt` }).then(({ fileId }) => fileId);
+
+  const createLink = (fileId, body = {}) => api()
+    .post(`/api/files/${fileId}/links`)
+    .send(body)
+    .expect(201)
+    .then(response => response.body.data);
+
+  test('Should download without an account and record each use', async () => {
+    const fileId = await uploadFile('public-report');
+    const link = await createLink(fileId, { expiresIn: 3600 });
+
+    expect(link.url).toMatch(new RegExp(`/d/${link.token}$`));
+    expect(new Date(link.expiresAt).getTime()).toBeGreaterThan(Date.now() + 3500 * 1000);
+
+    const download = await request(app).get(`/d/${link.token}`).expect(200);
+    expect(Buffer.from(download.body).toString()).toBe('public-report');
+    expect(download.headers['cache-control']).toBe('private, no-store');
+
+    const partial = await request(app)
+      .get(`/d/${link.token}`)
+      .set('Range', 'bytes=7-12')
+      .expect(206);
+    expect(Buffer.from(partial.body).toString()).toBe('report');
+
+    const links = await api().get(`/api/files/${fileId}/links`).expect(200);
+    expect(links.body.data.links).toHaveLength(1);
+    expect(links.body.data.links[0].downloadCount).toBe(2);
+
+    const uses = await api().get(`/api/files/${fileId}/links/${link.linkId}/uses`).expect(200);
+    expect(uses.body.data.uses.map(use => [use.range || null, use.resumed])).toEqual([
+      ['bytes=7-12', false],
+      [null, false]
+    ]);
+    expect(uses.body.data.pagination.total).toBe(2);
+  });
+
+  test('Should only let the next range of the latest download resume it', async () => {
+    const fileId = await uploadFile('resumable-download');
+    const link = await createLink(fileId, { maxDownloads: 1 });
+    const get = (range, userAgent = 'downloader/1.0') => request(app)
+      .get(`/d/${link.token}`)
+      .set('User-Agent', userAgent)
+      .set('Range', range);
+
+    await get('bytes=0-9').expect(206);
+    const resumed = await get('bytes=10-').expect(206);
+    expect(Buffer.from(resumed.body).toString()).toBe('download');
+
+    // Ranges already served, other clients and new downloads are counted
+    await get('bytes=10-').expect(410);
+    await get('bytes=1-').expect(410);
+    await get('bytes=0-').expect(410);
+
+    const { downloadCount } = await DownloadLink.findOne({ linkId: link.linkId }).lean();
+    expect(downloadCount).toBe(1);
+
+    const uses = await api().get(`/api/files/${fileId}/links/${link.linkId}/uses`).expect(200);
+    expect(uses.body.data.uses.map(use => [use.range, use.resumed])).toEqual([
+      ['bytes=10-', true],
+      ['bytes=0-9', false]
+    ]);
+  });
+
+  test('Should not resume for another client or after the resume window', async () => {
+    const fileId = await uploadFile('resumable-download');
+    const link = await createLink(fileId, { maxDownloads: 2 });
+    const get = (range, userAgent = 'downloader/1.0') => request(app)
+      .get(`/d/${link.token}`)
+      .set('User-Agent', userAgent)
+      .set('Range', range);
+
+    await get('bytes=0-4').expect(206);
+    await get('bytes=5-9', 'other/2.0').expect(206);
+    expect((await DownloadLink.findOne({ linkId: link.linkId }).lean()).downloadCount).toBe(2);
+    await get('bytes=10-', 'downloader/1.0').expect(410);
+
+    await DownloadLink.updateOne(
+      { linkId: link.linkId },
+      { $set: { downloadCount: 1, 'lastDownload.startedAt': new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) } }
+    );
+    await get('bytes=10-', 'other/2.0').expect(206);
+    expect((await DownloadLink.findOne({ linkId: link.linkId }).lean()).downloadCount).toBe(2);
+  });
+
+  test('Should not redirect link downloads to presigned storage URLs', async () => {
+    const storage = require('../services/storage');
+    const getDownloadUrl = jest.spyOn(storage, 'getDownloadUrl')
+      .mockResolvedValue('https://bucket.example.com/object?X-Amz-Signature=abc');
+    try {
+      const fileId = await uploadFile('presignable');
+      await api().get(`/api/download/${fileId}`).expect(302);
+
+      const link = await createLink(fileId, { maxDownloads: 1, allowedIps: ['127.0.0.0/8', '::1'] });
+      const download = await request(app).get(`/d/${link.token}`).expect(200);
+      expect(Buffer.from(download.body).toString()).toBe('presignable');
+      await request(app).get(`/d/${link.token}`).expect(410);
+    } finally {
+      getDownloadUrl.mockRestore();
+    }
+  });
+
+  test('Should stop working after maxDownloads, expiry or revocation', async () => {
+    const fileId = await uploadFile('limited');
+
+    const once = await createLink(fileId, { maxDownloads: 1 });
+    await request(app).get(`/d/${once.token}`).expect(200);
+    const used = await request(app).get(`/d/${once.token}`).expect(410);
+    expect(used.body.type).toBe('gone');
+
+    const revoked = await createLink(fileId);
+    await api().delete(`/api/files/${fileId}/links/${revoked.linkId}`).expect(200);
+    await request(app).get(`/d/${revoked.token}`).expect(410);
+    await api().delete(`/api/files/${fileId}/links/${revoked.linkId}`).expect(404);
+
+    const expired = await createLink(fileId);
+    await DownloadLink.updateOne({ linkId: expired.linkId }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+    await request(app).get(`/d/${expired.token}`).expect(410);
+
+    // The expiry is signed into the token
+    const [linkId, expires, signature] = expired.token.split('.');
+    await request(app).get(`/d/${linkId}.${Number(expires) + 3600}.${signature}`).expect(404);
+
+    await api().post(`/api/files/${fileId}/links`).send({ expiresIn: 365 * 24 * 3600 }).expect(400);
+  });
+
+  test('Should check passwords and allowed IPs', async () => {
+    const fileId = await uploadFile('secret');
+
+    const protectedLink = await createLink(fileId, { password: 'open sesame' });
+    expect(protectedLink.passwordProtected).toBe(true);
+    expect(protectedLink.passwordHash).toBeUndefined();
+
+    await request(app).get(`/d/${protectedLink.token}`).expect(401);
+    await request(app).get(`/d/${protectedLink.token}`).set('X-Link-Password', 'wrong').expect(401);
+    await request(app).get(`/d/${protectedLink.token}`).set('X-Link-Password', 'open sesame').expect(200);
+    await request(app)
+      .post(`/d/${protectedLink.token}`)
+      .type('form')
+      .send({ password: 'open sesame' })
+      .expect(200);
+
+    const elsewhere = await createLink(fileId, { allowedIps: ['203.0.113.0/24'] });
+    await request(app).get(`/d/${elsewhere.token}`).expect(403);
+
+    const local = await createLink(fileId, { allowedIps: ['127.0.0.0/8', '::1'] });
+    await request(app).get(`/d/${local.token}`).expect(200);
+  });
+
+  test('Should require manage access to create links', async () => {
+    const fileId = await uploadFile('managed');
+    const asBob = () => as('bob');
+
+    await asBob().post(`/api/files/${fileId}/links`).send({}).expect(403);
+
+    await api()
+      .post(`/api/files/${fileId}/grants`)
+      .send({ principalType: 'user', principalId: 'bob', permission: 'manage' })
+      .expect(200);
+    await asBob().post(`/api/files/${fileId}/links`).send({}).expect(201);
+
+    await api().delete(`/api/files/${fileId}`).expect(200);
+    await api().post(`/api/files/${fileId}/links`).send({}).expect(404);
+  });
+});
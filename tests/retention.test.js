@@ -0,0 +1,332 @@
+const { api, as, compliance, upload, useTestDatabase } = require('./helpers');
+
+useTestDatabase();
+
+describe('Expiry and Retention', () => {
+  const FileUpload = require('../models/FileUpload');
+  const fileUploadService = require('../services/fileUpload');
+  const storage = require('../services/storage');
+  const content = Buffer.from('content with a lifetime');
+  const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  const uploadFile = (options = {}) =>
+    upload(content, { fileName: 'kept.txt', ...options }).then(({ fileId }) => fileId);
+
+  test('Completed files should outlive the upload session expiry', async () => {
+    const fileId = await uploadFile();
+
+    const record = await FileUpload.findOne({ fileId }).lean();
+    expect(record.expiresAt).toBeNull();
+    expect(record.deleteAfter).toBeFalsy();
+
+    await FileUpload.updateOne({ fileId }, { expiresAt: hoursAgo(1) });
+    await fileUploadService.cleanupExpiredUploads();
+
+    expect(await FileUpload.exists({ fileId })).toBeTruthy();
+  });
+
+  test('Expired upload sessions should be discarded', async () => {
+    const init = await api()
+      .post('/api/upload/init')
+      .send({ fileName: 'abandoned.txt', fileSize: 100, totalChunks: 1 })
+      .expect(201);
+    const { fileId } = init.body.data;
+
+    await FileUpload.updateOne({ fileId }, { expiresAt: hoursAgo(1) });
+    await fileUploadService.cleanupExpiredUploads();
+
+    expect(await FileUpload.exists({ fileId })).toBeNull();
+  });
+
+  test('Files past their retention should be deleted with their stored bytes', async () => {
+    const fileId = await uploadFile({ retentionDays: 7 });
+
+    const record = await FileUpload.findOne({ fileId }).lean();
+    const days = (record.deleteAfter - record.processingCompletedAt) / (24 * 60 * 60 * 1000);
+    expect(Math.round(days)).toBe(7);
+
+    const location = storage.locate(record);
+    await FileUpload.updateOne({ fileId }, { deleteAfter: hoursAgo(1) });
+    await fileUploadService.cleanupExpiredUploads();
+
+    expect(await FileUpload.exists({ fileId })).toBeNull();
+    expect(await storage.exists(location)).toBe(false);
+  });
+
+  test('PATCH /api/files/:fileId/retention should change the deadline', async () => {
+    const fileId = await uploadFile({ retentionDays: 7 });
+
+    const response = await api()
+      .patch(`/api/files/${fileId}/retention`)
+      .send({ deleteAfter: '2099-01-01T00:00:00Z' })
+      .expect(200);
+    expect(new Date(response.body.data.deleteAfter).toISOString()).toBe('2099-01-01T00:00:00.000Z');
+
+    const forever = await api()
+      .patch(`/api/files/${fileId}/retention`)
+      .send({ retentionDays: 0 })
+      .expect(200);
+    expect(forever.body.data.deleteAfter).toBeNull();
+
+    await api()
+      .patch(`/api/files/${fileId}/retention`)
+      .send({ retentionDays: 1, deleteAfter: '2099-01-01T00:00:00Z' })
+      .expect(400);
+  });
+
+  test('Only admins should be able to shorten retention', async () => {
+    const fileId = await uploadFile({ retentionDays: 30 });
+    const admin = () => as('test-user', { roles: ['admin'] });
+
+    await api()
+      .patch(`/api/files/${fileId}/retention`)
+      .send({ retentionDays: 60 })
+      .expect(200);
+
+    const forbidden = await api()
+      .patch(`/api/files/${fileId}/retention`)
+      .send({ retentionDays: 1 })
+      .expect(403);
+    expect(forbidden.body.type).toBe('forbidden');
+
+    await api()
+      .patch(`/api/files/${fileId}/retention`)
+      .send({ deleteAfter: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() })
+      .expect(403);
+
+    const shortened = await admin()
+      .patch(`/api/files/${fileId}/retention`)
+      .send({ retentionDays: 1 })
+      .expect(200);
+    const days = (new Date(shortened.body.data.deleteAfter) - Date.now()) / (24 * 60 * 60 * 1000);
+    expect(Math.round(days)).toBe(1);
+  });
+});
+
+describe('Retention Rules and Legal Hold', () => {
+  const FileUpload = require('../models/FileUpload');
+  const fileUploadService = require('../services/fileUpload');
+  const content = Buffer.from('content under retention');
+  const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  beforeAll(() => {
+    process.env.RETENTION_RULES = JSON.stringify([
+      { tag: 'contract', retainDays: 365 },
+      { mimeType: 'application/*', retainDays: 30 }
+    ]);
+  });
+
+  afterAll(() => {
+    delete process.env.RETENTION_RULES;
+  });
+
+  const uploadFile = (options = {}) =>
+    upload(content, { fileName: 'held.txt', mimeType: 'text/plain', ...options }).then(({ fileId }) => fileId);
+
+  test('Matching rules should set a minimum retention date that blocks deletion', async () => {
+    const fileId = await uploadFile({ tags: ['contract'], mimeType: 'application/pdf', retentionDays: 7 });
+
+    const record = await FileUpload.findOne({ fileId }).lean();
+    const days = (record.retainUntil - record.createdAt) / (24 * 60 * 60 * 1000);
+    expect(Math.round(days)).toBe(365);
+    // The shorter retention is extended to the rule's minimum
+    expect(record.deleteAfter.getTime()).toBe(record.retainUntil.getTime());
+
+    const response = await api()
+      .delete(`/api/files/${fileId}`)
+      .expect(409);
+    expect(response.body.type).toBe('retention');
+    expect(response.body.retainUntil).toBeDefined();
+
+    await api()
+      .patch(`/api/files/${fileId}/retention`)
+      .send({ deleteAfter: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() })
+      .expect(409);
+  });
+
+  test('Files matching no rule should not be retained', async () => {
+    const fileId = await uploadFile();
+
+    const record = await FileUpload.findOne({ fileId }).lean();
+    expect(record.retainUntil).toBeFalsy();
+
+    await api()
+      .delete(`/api/files/${fileId}`)
+      .expect(200);
+  });
+
+  test('A legal hold should block deletion and expiry until released', async () => {
+    const fileId = await uploadFile();
+
+    await compliance()
+      .post(`/api/files/${fileId}/legal-hold`)
+      .send({ requestedBy: 'legal' })
+      .expect(400);
+
+    const placed = await compliance()
+      .post(`/api/files/${fileId}/legal-hold`)
+      .send({ reason: 'Litigation 2024-17', requestedBy: 'legal' })
+      .expect(200);
+    expect(placed.body.data.legalHold).toBe(true);
+
+    await compliance()
+      .post(`/api/files/${fileId}/legal-hold`)
+      .send({ reason: 'Again' })
+      .expect(409);
+
+    const rejected = await api()
+      .delete(`/api/files/${fileId}`)
+      .expect(409);
+    expect(rejected.body.legalHold).toBe(true);
+
+    await FileUpload.updateOne({ fileId }, { deleteAfter: hoursAgo(1) });
+    await fileUploadService.cleanupExpiredUploads();
+    expect(await FileUpload.exists({ fileId })).toBeTruthy();
+
+    await compliance()
+      .post(`/api/files/${fileId}/legal-hold/release`)
+      .send({ reason: 'Case closed', requestedBy: 'legal' })
+      .expect(200);
+
+    const history = await api()
+      .get(`/api/files/${fileId}/legal-hold`)
+      .expect(200);
+    expect(history.body.data.legalHold).toBe(false);
+    expect(history.body.data.events.map(e => [e.action, e.reason])).toEqual([
+      ['placed', 'Litigation 2024-17'],
+      ['released', 'Case closed']
+    ]);
+
+    await api()
+      .delete(`/api/files/${fileId}`)
+      .expect(200);
+  });
+
+  test('Only compliance officers and admins should place or release legal holds', async () => {
+    const fileId = await uploadFile();
+
+    const forbidden = await api()
+      .post(`/api/files/${fileId}/legal-hold`)
+      .send({ reason: 'My own file' })
+      .expect(403);
+    expect(forbidden.body.type).toBe('forbidden');
+
+    await compliance()
+      .post(`/api/files/${fileId}/legal-hold`)
+      .send({ reason: 'Audit' })
+      .expect(200);
+
+    await api()
+      .post(`/api/files/${fileId}/legal-hold/release`)
+      .send({ reason: 'Not needed' })
+      .expect(403);
+
+    await as('root', { roles: ['admin'] })
+      .post(`/api/files/${fileId}/legal-hold/release`)
+      .send({ reason: 'Audit done' })
+      .expect(200);
+  });
+
+  test('Held upload sessions should not expire', async () => {
+    const init = await api()
+      .post('/api/upload/init')
+      .send({ fileName: 'evidence.txt', fileSize: 100, totalChunks: 1 })
+      .expect(201);
+    const { fileId } = init.body.data;
+
+    await compliance()
+      .post(`/api/files/${fileId}/legal-hold`)
+      .send({ reason: 'Preserve partial upload' })
+      .expect(200);
+
+    await FileUpload.updateOne({ fileId }, { expiresAt: hoursAgo(1) });
+    await fileUploadService.cleanupExpiredUploads();
+
+    expect(await FileUpload.exists({ fileId })).toBeTruthy();
+  });
+});
+
+describe('Trash', () => {
+  const FileUpload = require('../models/FileUpload');
+  const fileUploadService = require('../services/fileUpload');
+  const storage = require('../services/storage');
+  const content = Buffer.from('content that was deleted by accident');
+
+  const uploadFile = () => upload(content, { fileName: 'oops.txt' }).then(({ fileId }) => fileId);
+
+  test('Deleted files should move to the trash and be restorable', async () => {
+    const fileId = await uploadFile();
+
+    const deleted = await api()
+      .delete(`/api/files/${fileId}`)
+      .expect(200);
+    expect(deleted.body.data.trashed).toBe(true);
+    expect(deleted.body.data.purgeAfter).toBeDefined();
+
+    const files = await api().get('/api/files').expect(200);
+    expect(files.body.data.files).toHaveLength(0);
+
+    const trash = await api().get('/api/trash').expect(200);
+    expect(trash.body.data.files.map(f => f.fileId)).toEqual([fileId]);
+
+    await api().get(`/api/download/${fileId}`).expect(404);
+
+    await api()
+      .post(`/api/files/${fileId}/restore`)
+      .expect(200);
+
+    const download = await api()
+      .get(`/api/download/${fileId}`)
+      .expect(200);
+    expect(Buffer.from(download.body).toString()).toBe(content.toString());
+
+    await api()
+      .post(`/api/files/${fileId}/restore`)
+      .expect(404);
+  });
+
+  test('Purging from the trash should delete the stored bytes', async () => {
+    const fileId = await uploadFile();
+    const location = storage.locate(await FileUpload.findOne({ fileId }).lean());
+
+    // Only trashed files can be purged
+    await api()
+      .delete(`/api/trash/${fileId}`)
+      .expect(404);
+
+    await api().delete(`/api/files/${fileId}`).expect(200);
+    await api().delete(`/api/trash/${fileId}`).expect(200);
+
+    expect(await FileUpload.exists({ fileId })).toBeNull();
+    expect(await storage.exists(location)).toBe(false);
+  });
+
+  test('Trashed files should be purged after the grace period', async () => {
+    const kept = await uploadFile();
+    const expired = await uploadFile();
+
+    await api().delete(`/api/files/${kept}`).expect(200);
+    await api().delete(`/api/files/${expired}`).expect(200);
+    await FileUpload.updateOne({ fileId: expired }, { purgeAfter: new Date(Date.now() - 1000) });
+
+    const purged = await fileUploadService.emptyTrash();
+    expect(purged).toBe(1);
+
+    expect(await FileUpload.exists({ fileId: expired })).toBeNull();
+    expect(await FileUpload.exists({ fileId: kept })).toBeTruthy();
+  });
+
+  test('Unfinished uploads should be deleted without going to the trash', async () => {
+    const init = await api()
+      .post('/api/upload/init')
+      .send({ fileName: 'partial.txt', fileSize: 100, totalChunks: 2 })
+      .expect(201);
+    const { fileId } = init.body.data;
+
+    const deleted = await api()
+      .delete(`/api/files/${fileId}`)
+      .expect(200);
+    expect(deleted.body.data.trashed).toBeUndefined();
+    expect(await FileUpload.exists({ fileId })).toBeNull();
+  });
+});
@@ -0,0 +1,135 @@
+const { app, api, useTestDatabase } = require('./helpers');
+
+useTestDatabase();
+
+describe('S3 Multipart API', () => {
+  const createMultipartUpload = async () => {
+    const response = await api()
+      .post('/api/s3/test-bucket/reports/data.csv?uploads')
+      .set('Content-Type', 'text/csv')
+      .expect(200);
+
+    expect(response.headers['content-type']).toContain('application/xml');
+    return /<UploadId>([a-f0-9]{32})<\/UploadId>/.exec(response.text)[1];
+  };
+
+  const uploadPart = (uploadId, partNumber, body) =>
+    api()
+      .put(`/api/s3/test-bucket/reports/data.csv?partNumber=${partNumber}&uploadId=${uploadId}`)
+      .set('Content-Type', 'application/octet-stream')
+      .send(Buffer.from(body));
+
+  test('UploadPart should return the part MD5 as ETag', async () => {
+    const uploadId = await createMultipartUpload();
+    const response = await uploadPart(uploadId, 1, 'part-one').expect(200);
+
+    const md5 = require('crypto').createHash('md5').update('part-one').digest('hex');
+    expect(response.headers.etag).toBe(`"${md5}"`);
+  });
+
+  test('ListParts should list uploaded parts in order', async () => {
+    const uploadId = await createMultipartUpload();
+    await uploadPart(uploadId, 2, 'second').expect(200);
+    await uploadPart(uploadId, 1, 'first').expect(200);
+
+    const response = await api()
+      .get(`/api/s3/test-bucket/reports/data.csv?uploadId=${uploadId}`)
+      .expect(200);
+
+    expect(response.text).toMatch(/<PartNumber>1<\/PartNumber>[\s\S]*<PartNumber>2<\/PartNumber>/);
+  });
+
+  test('CompleteMultipartUpload should reject unknown ETags', async () => {
+    const uploadId = await createMultipartUpload();
+    await uploadPart(uploadId, 1, 'only-part').expect(200);
+
+    const response = await api()
+      .post(`/api/s3/test-bucket/reports/data.csv?uploadId=${uploadId}`)
+      .set('Content-Type', 'application/xml')
+      .send('<CompleteMultipartUpload><Part><PartNumber>1</PartNumber><ETag>"deadbeef"</ETag></Part></CompleteMultipartUpload>')
+      .expect(400);
+
+    expect(response.text).toContain('<Code>InvalidPart</Code>');
+  });
+
+  test('Unknown upload IDs should return NoSuchUpload', async () => {
+    const response = await api()
+      .delete('/api/s3/test-bucket/reports/data.csv?uploadId=12345678901234567890123456789012')
+      .expect(404);
+
+    expect(response.text).toContain('<Code>NoSuchUpload</Code>');
+  });
+
+  describe('with SigV4 access keys', () => {
+    const AWS = require('aws-sdk');
+    const FileUpload = require('../models/FileUpload');
+    let listener;
+
+    beforeAll((done) => {
+      listener = app.listen(0, '127.0.0.1', done);
+    });
+
+    afterAll((done) => {
+      listener.close(done);
+    });
+
+    const s3Client = ({ accessKeyId, secretAccessKey }) => new AWS.S3({
+      endpoint: `http://127.0.0.1:${listener.address().port}/api/s3`,
+      s3ForcePathStyle: true,
+      signatureVersion: 'v4',
+      region: 'us-east-1',
+      accessKeyId,
+      secretAccessKey,
+      maxRetries: 0
+    });
+
+    const createAccessKey = async () => (await api()
+      .post('/api/access-keys')
+      .send({ name: 'sdk' })
+      .expect(201)).body.data;
+
+    test('Stock SDKs should upload with an access key and act as its owner', async () => {
+      const accessKey = await createAccessKey();
+      expect(accessKey.accessKeyId).toMatch(/^AKFU[A-F0-9]{16}$/);
+
+      const s3 = s3Client(accessKey);
+      const Key = 'reports/q1 (final).csv';
+      const { UploadId } = await s3.createMultipartUpload({ Bucket: 'test-bucket', Key }).promise();
+      const { ETag } = await s3.uploadPart({
+        Bucket: 'test-bucket', Key, UploadId, PartNumber: 1, Body: Buffer.from('a,b\n1,2\n')
+      }).promise();
+      await s3.completeMultipartUpload({
+        Bucket: 'test-bucket', Key, UploadId, MultipartUpload: { Parts: [{ ETag, PartNumber: 1 }] }
+      }).promise();
+
+      const fileUpload = await FileUpload.findOne({ fileId: UploadId }).lean();
+      expect(fileUpload.status).toBe('completed');
+      expect(fileUpload.ownerId).toBe('test-user');
+
+      const listed = await api().get('/api/access-keys').expect(200);
+      expect(listed.body.data.keys[0].secretAccessKey).toBeUndefined();
+      expect(listed.body.data.keys[0].lastUsedAt).not.toBeNull();
+    });
+
+    test('Should refuse wrong secrets, revoked keys and tampered bodies', async () => {
+      const accessKey = await createAccessKey();
+
+      await expect(s3Client({ ...accessKey, secretAccessKey: 'wrong' })
+        .createMultipartUpload({ Bucket: 'test-bucket', Key: 'a.bin' }).promise())
+        .rejects.toMatchObject({ statusCode: 403, code: 'SignatureDoesNotMatch' });
+
+      const s3 = s3Client(accessKey);
+      const { UploadId } = await s3.createMultipartUpload({ Bucket: 'test-bucket', Key: 'a.bin' }).promise();
+      const tampered = s3.uploadPart({ Bucket: 'test-bucket', Key: 'a.bin', UploadId, PartNumber: 1, Body: 'signed' });
+      tampered.on('sign', () => {
+        tampered.httpRequest.body = 'swappd';
+      });
+      await expect(tampered.promise())
+        .rejects.toMatchObject({ statusCode: 400, code: 'XAmzContentSHA256Mismatch' });
+
+      await api().delete(`/api/access-keys/${accessKey.accessKeyId}`).expect(200);
+      await expect(s3.listParts({ Bucket: 'test-bucket', Key: 'a.bin', UploadId }).promise())
+        .rejects.toMatchObject({ statusCode: 403, code: 'InvalidAccessKeyId' });
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const { as, uploadAs, useTestDatabase } = require('./helpers');
+
+useTestDatabase();
+
+describe('Sharing', () => {
+  const FileUpload = require('../models/FileUpload');
+
+  const share = (sub, fileId, principalType, principalId, permission) => as(sub)
+    .post(`/api/files/${fileId}/grants`)
+    .send({ principalType, principalId, permission });
+
+  test('Read access should allow downloads but not deletes', async () => {
+    const fileId = await uploadAs('alice', 'report');
+
+    const granted = await share('alice', fileId, 'user', 'bob', 'read').expect(200);
+    expect(granted.body.data.ownerId).toBe('alice');
+    expect(granted.body.data.grants).toEqual([
+      expect.objectContaining({ principalType: 'user', principalId: 'bob', permission: 'read', grantedBy: 'alice' })
+    ]);
+
+    const download = await as('bob').get(`/api/download/${fileId}`).expect(200);
+    expect(Buffer.from(download.body).toString()).toBe('report');
+    await as('bob').get(`/api/upload/status/${fileId}`).expect(200);
+
+    const files = await as('bob').get('/api/files').expect(200);
+    expect(files.body.data.files.map(f => f.fileId)).toEqual([fileId]);
+
+    const forbidden = await as('bob').delete(`/api/files/${fileId}`).expect(403);
+    expect(forbidden.body.error).toBe('You need write access to this file');
+
+    await as('carol').get(`/api/download/${fileId}`).expect(403);
+  });
+
+  test('Should share with groups from the token', async () => {
+    const fileId = await uploadAs('alice', 'team-plan');
+    await share('alice', fileId, 'group', 'engineering', 'write').expect(200);
+
+    await as('bob', { groups: ['engineering'] }).get(`/api/download/${fileId}`).expect(200);
+    await as('bob', { groups: 'sales engineering' }).delete(`/api/files/${fileId}`).expect(200);
+    await as('carol', { groups: ['sales'] }).get(`/api/files/${fileId}/versions`).expect(403);
+  });
+
+  test('Should require manage access to change grants', async () => {
+    const fileId = await uploadAs('alice', 'budget');
+    await share('alice', fileId, 'user', 'bob', 'write').expect(200);
+
+    await share('bob', fileId, 'user', 'carol', 'read').expect(403);
+    await as('bob').get(`/api/files/${fileId}/grants`).expect(200);
+
+    // Sharing again replaces the permission
+    await share('alice', fileId, 'user', 'bob', 'manage').expect(200);
+    const granted = await share('bob', fileId, 'user', 'carol', 'read').expect(200);
+    expect(granted.body.data.grants.map(g => `${g.principalId}:${g.permission}`)).toEqual(['bob:manage', 'carol:read']);
+
+    const revoked = await as('alice').delete(`/api/files/${fileId}/grants/user/carol`).expect(200);
+    expect(revoked.body.data.grants.map(g => g.principalId)).toEqual(['bob']);
+    await as('carol').get(`/api/download/${fileId}`).expect(403);
+
+    await as('alice').delete(`/api/files/${fileId}/grants/user/carol`).expect(404);
+    await share('alice', fileId, 'user', 'alice', 'read').expect(400);
+    await share('alice', fileId, 'user', 'dave', 'owner').expect(400);
+  });
+
+  test('Grants should apply to every version of a file', async () => {
+    const fileId = await uploadAs('alice', 'spec-v1');
+    const v2 = await uploadAs('alice', 'spec-v2', { parentFileId: fileId });
+
+    await share('alice', fileId, 'user', 'bob', 'write').expect(200);
+    await as('bob').get(`/api/download/${v2}`).expect(200);
+
+    const v3 = await uploadAs('bob', 'spec-v3', { parentFileId: v2 });
+    const latest = await FileUpload.findByFileId(v3);
+    expect(latest.ownerId).toBe('alice');
+    expect(latest.acl.map(g => g.principalId)).toEqual(['bob']);
+
+    await as('alice').delete(`/api/files/${v3}/grants/user/bob`).expect(200);
+    await as('bob').get(`/api/download/${fileId}`).expect(403);
+  });
+});
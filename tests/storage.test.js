@@ -0,0 +1,428 @@
+const { api, upload, useTestDatabase } = require('./helpers');
+
+useTestDatabase();
+
+describe('Deduplication', () => {
+  const content = Buffer.from('same installer bytes');
+
+  const uploadFile = (fileName) =>
+    upload(content, { fileName, mimeType: 'application/octet-stream' }).then(({ fileId }) => fileId);
+
+  test('Identical uploads should share one stored file', async () => {
+    await uploadFile('first.bin');
+    await uploadFile('second.bin');
+
+    const files = await api()
+      .get('/api/files')
+      .expect(200);
+
+    const [first, second] = files.body.data.files;
+    expect(first.storageKey).toBe(second.storageKey);
+
+    const stats = await api()
+      .get('/api/files/stats')
+      .expect(200);
+
+    expect(stats.body.data.storage.logicalSize).toBe(content.length * 2);
+    expect(stats.body.data.storage.physicalSize).toBe(content.length);
+  });
+
+  test('POST /api/upload/init with a stored hash should complete without chunks', async () => {
+    const stored = await uploadFile('first.bin');
+    const sha256 = require('crypto').createHash('sha256').update(content).digest('hex');
+
+    const init = await api()
+      .post('/api/upload/init')
+      .send({
+        fileName: 'again.bin',
+        fileSize: content.length,
+        mimeType: 'application/octet-stream',
+        totalChunks: 1,
+        sha256
+      })
+      .expect(201);
+
+    expect(init.body.data.status).toBe('completed');
+    expect(init.body.data.deduplicated).toBe(true);
+
+    // The original can go away without affecting the instant copy
+    await api()
+      .delete(`/api/files/${stored}`)
+      .expect(200);
+    await api()
+      .delete(`/api/trash/${stored}`)
+      .expect(200);
+
+    const download = await api()
+      .get(`/api/download/${init.body.data.fileId}`)
+      .expect(200);
+
+    expect(Buffer.from(download.body).toString()).toBe(content.toString());
+  });
+
+  test('POST /api/upload/init with an unknown hash should start a normal upload', async () => {
+    const init = await api()
+      .post('/api/upload/init')
+      .send({
+        fileName: 'new.bin',
+        fileSize: content.length,
+        totalChunks: 1,
+        sha256: 'f'.repeat(64)
+      })
+      .expect(201);
+
+    expect(init.body.data.status).toBe('pending');
+    expect(init.body.data.deduplicated).toBeUndefined();
+  });
+
+  test('Deleting one copy should keep the shared content downloadable', async () => {
+    const first = await uploadFile('first.bin');
+    const second = await uploadFile('second.bin');
+
+    await api()
+      .delete(`/api/files/${first}`)
+      .expect(200);
+    await api()
+      .delete(`/api/trash/${first}`)
+      .expect(200);
+
+    const download = await api()
+      .get(`/api/download/${second}`)
+      .expect(200);
+
+    expect(Buffer.from(download.body).toString()).toBe(content.toString());
+  });
+});
+
+describe('Storage Drivers', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { Readable } = require('stream');
+  const LocalStorageDriver = require('../services/storage/local');
+
+  const readAll = async (stream) => {
+    const parts = [];
+    for await (const data of stream) parts.push(data);
+    return Buffer.concat(parts).toString();
+  };
+
+  test('Completed uploads should record their storage location', async () => {
+    const init = await api()
+      .post('/api/upload/init')
+      .send({ fileName: 'stored.txt', fileSize: 5, totalChunks: 1 })
+      .expect(201);
+    const { fileId } = init.body.data;
+
+    await api()
+      .post('/api/upload/chunk')
+      .set('x-file-id', fileId)
+      .set('x-chunk-index', '0')
+      .set('x-total-chunks', '1')
+      .attach('chunk', Buffer.from('hello'), 'blob')
+      .expect(200);
+
+    await api()
+      .post('/api/upload/complete')
+      .send({ fileId })
+      .expect(200);
+
+    const files = await api()
+      .get('/api/files')
+      .expect(200);
+
+    expect(files.body.data.files[0].storageDriver).toBe('gridfs');
+    expect(files.body.data.files[0].storageKey).toBeDefined();
+  });
+
+  test('Local driver should put, read ranges, stat and delete files', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+    const driver = new LocalStorageDriver({ root });
+
+    try {
+      const { key, size } = await driver.put(Readable.from([Buffer.from('hello '), Buffer.from('world')]));
+      expect(size).toBe(11);
+
+      expect(await readAll(await driver.get(key))).toBe('hello world');
+      expect(await readAll(await driver.get(key, { start: 6, end: 10 }))).toBe('world');
+      expect((await driver.stat(key)).size).toBe(11);
+
+      await driver.delete(key);
+      expect(await driver.exists(key)).toBe(false);
+      await expect(driver.get(key)).rejects.toThrow('not found');
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+
+  test('S3 driver should presign downloads against a custom endpoint', async () => {
+    const S3StorageDriver = require('../services/storage/s3');
+    const driver = new S3StorageDriver({
+      s3Bucket: 'uploads',
+      endpoint: 'http://localhost:9000',
+      forcePathStyle: true,
+      accessKeyId: 'minio',
+      secretAccessKey: 'minio-secret',
+      region: 'us-east-1',
+      presignedDownloads: true,
+      presignedUrlExpiry: 60
+    });
+
+    const url = new URL(await driver.getSignedUrl('abc123', { filename: 'report.pdf' }));
+    expect(url.origin).toBe('http://localhost:9000');
+    expect(url.pathname).toBe('/uploads/abc123');
+    expect(url.searchParams.get('X-Amz-Expires')).toBe('60');
+    expect(url.searchParams.get('response-content-disposition')).toContain('report.pdf');
+  });
+});
+
+describe('Storage Tiering', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const FileUpload = require('../models/FileUpload');
+  const storageTieringService = require('../services/storageTiering');
+  const content = Buffer.from('rarely downloaded content');
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  let coldRoot;
+
+  beforeAll(() => {
+    coldRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'cold-'));
+    process.env.STORAGE_COLD_DRIVER = 'local';
+    process.env.STORAGE_LOCAL_ROOT = coldRoot;
+    process.env.STORAGE_TIER_POLICIES = JSON.stringify([
+      { mimeType: 'image/*', coldAfterDays: null },
+      { coldAfterDays: 30 }
+    ]);
+  });
+
+  afterAll(() => {
+    delete process.env.STORAGE_COLD_DRIVER;
+    delete process.env.STORAGE_LOCAL_ROOT;
+    delete process.env.STORAGE_TIER_POLICIES;
+    fs.rmSync(coldRoot, { recursive: true, force: true });
+  });
+
+  const uploadFile = (fileName, mimeType) =>
+    upload(content, { fileName, mimeType }).then(({ fileId }) => fileId);
+
+  test('Policies should match by MIME type and idle time', () => {
+    const file = { mimeType: 'text/plain', size: 10, downloadCount: 0, createdAt: daysAgo(40) };
+
+    expect(storageTieringService.getTargetTier(file, 'hot')).toBe('cold');
+    expect(storageTieringService.getTargetTier({ ...file, lastDownloadedAt: daysAgo(1) }, 'hot')).toBe('hot');
+    expect(storageTieringService.getTargetTier({ ...file, mimeType: 'image/png' }, 'hot')).toBe('hot');
+  });
+
+  test('Idle files should move to cold storage and back when downloaded', async () => {
+    const fileId = await uploadFile('archive.txt', 'text/plain');
+    await FileUpload.updateOne({ fileId }, { processingCompletedAt: daysAgo(40) });
+
+    const demoted = await storageTieringService.runMigration();
+    expect(demoted.demoted).toBe(1);
+
+    let record = await FileUpload.findOne({ fileId }).lean();
+    expect(record.storageTier).toBe('cold');
+    expect(record.storageDriver).toBe('local');
+
+    // Downloads are served from whichever tier holds the bytes
+    await FileUpload.updateOne({ fileId }, { tierChangedAt: daysAgo(1) });
+    const download = await api()
+      .get(`/api/download/${fileId}`)
+      .expect(200);
+    expect(Buffer.from(download.body).toString()).toBe(content.toString());
+
+    const promoted = await storageTieringService.runMigration();
+    expect(promoted.promoted).toBe(1);
+
+    record = await FileUpload.findOne({ fileId }).lean();
+    expect(record.storageTier).toBe('hot');
+    expect(record.storageDriver).toBe('gridfs');
+  });
+
+  test('Files matching a keep-hot policy should stay in place', async () => {
+    const fileId = await uploadFile('photo.png', 'image/png');
+    await FileUpload.updateOne({ fileId }, { processingCompletedAt: daysAgo(400) });
+
+    const result = await storageTieringService.runMigration();
+    expect(result.demoted).toBe(0);
+
+    const record = await FileUpload.findOne({ fileId }).lean();
+    expect(record.storageTier).toBe('hot');
+  });
+});
+
+describe('Encryption at Rest', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const crypto = require('crypto');
+  const FileUpload = require('../models/FileUpload');
+  const storage = require('../services/storage');
+  const encryptionService = require('../services/encryption');
+  const marker = 'secret-plaintext-marker;';
+  const content = Buffer.from(marker.repeat(6000));
+  const chunkSize = 100000;
+  let keyDir;
+
+  const writeKeyFile = (activeKeyId, keys) => {
+    fs.writeFileSync(path.join(keyDir, 'keys.json'), JSON.stringify({ activeKeyId, keys }));
+    encryptionService.reloadKeys();
+  };
+
+  beforeAll(() => {
+    keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keys-'));
+    process.env.ENCRYPTION_KEY_FILE = path.join(keyDir, 'keys.json');
+    writeKeyFile('k1', { k1: crypto.randomBytes(32).toString('base64') });
+  });
+
+  afterAll(() => {
+    delete process.env.ENCRYPTION_KEY_FILE;
+    fs.rmSync(keyDir, { recursive: true, force: true });
+  });
+
+  const readAll = async (stream) => {
+    const parts = [];
+    for await (const data of stream) parts.push(data);
+    return Buffer.concat(parts);
+  };
+
+  const uploadChunks = async () => {
+    const totalChunks = Math.ceil(content.length / chunkSize);
+    const init = await api()
+      .post('/api/upload/init')
+      .send({ fileName: 'secret.bin', fileSize: content.length, mimeType: 'application/octet-stream', totalChunks })
+      .expect(201);
+    const { fileId } = init.body.data;
+
+    for (let i = 0; i < totalChunks; i++) {
+      await api()
+        .post('/api/upload/chunk')
+        .set('x-file-id', fileId)
+        .set('x-chunk-index', String(i))
+        .set('x-total-chunks', String(totalChunks))
+        .attach('chunk', content.subarray(i * chunkSize, (i + 1) * chunkSize), 'blob')
+        .expect(200);
+    }
+
+    return fileId;
+  };
+
+  const complete = (fileId) => api()
+    .post('/api/upload/complete')
+    .send({ fileId })
+    .expect(200);
+
+  test('Chunks and stored files should never hold plaintext', async () => {
+    const fileId = await uploadChunks();
+
+    const chunk = fs.readFileSync(path.join(process.env.UPLOAD_DIR || './uploads', fileId, 'chunk-0'));
+    expect(chunk.includes(marker)).toBe(false);
+
+    await complete(fileId);
+
+    const record = await FileUpload.findOne({ fileId }).lean();
+    expect(record.encryption.keyId).toBe('k1');
+
+    const stored = await readAll(await storage.get(storage.locate(record)));
+    expect(stored.length).toBeGreaterThan(content.length);
+    expect(stored.includes(marker)).toBe(false);
+  });
+
+  test('Downloads should decrypt whole files and byte ranges', async () => {
+    const fileId = await uploadChunks();
+    await complete(fileId);
+
+    const download = await api()
+      .get(`/api/download/${fileId}`)
+      .expect(200);
+    expect(Buffer.compare(Buffer.from(download.body), content)).toBe(0);
+
+    const start = 65530;
+    const end = 131080;
+    const partial = await api()
+      .get(`/api/download/${fileId}`)
+      .set('Range', `bytes=${start}-${end}`)
+      .expect(206);
+    expect(Buffer.compare(Buffer.from(partial.body), content.subarray(start, end + 1))).toBe(0);
+
+    const suffix = await api()
+      .get(`/api/download/${fileId}`)
+      .set('Range', 'bytes=-500')
+      .expect(206);
+    expect(suffix.headers['content-range']).toBe(`bytes ${content.length - 500}-${content.length - 1}/${content.length}`);
+    expect(Buffer.compare(Buffer.from(suffix.body), content.subarray(content.length - 500))).toBe(0);
+
+    const beyond = await api()
+      .get(`/api/download/${fileId}`)
+      .set('Range', `bytes=${content.length}-`)
+      .expect(416);
+    expect(beyond.headers['content-range']).toBe(`bytes */${content.length}`);
+  });
+
+  test('Tampered chunks should be detected and requested again', async () => {
+    const fileId = await uploadChunks();
+
+    const chunkPath = path.join(process.env.UPLOAD_DIR || './uploads', fileId, 'chunk-1');
+    const chunk = fs.readFileSync(chunkPath);
+    chunk[chunk.length - 100] ^= 1;
+    fs.writeFileSync(chunkPath, chunk);
+
+    const response = await api()
+      .post('/api/upload/complete')
+      .send({ fileId })
+      .expect(422);
+    expect(response.body.retryable).toBe(true);
+    expect(response.body.missingChunks).toEqual([1]);
+  });
+
+  test('Swapped chunk files should be detected', async () => {
+    const fileId = await uploadChunks();
+
+    const chunkDir = path.join(process.env.UPLOAD_DIR || './uploads', fileId);
+    fs.renameSync(path.join(chunkDir, 'chunk-0'), path.join(chunkDir, 'swap'));
+    fs.renameSync(path.join(chunkDir, 'chunk-1'), path.join(chunkDir, 'chunk-0'));
+    fs.renameSync(path.join(chunkDir, 'swap'), path.join(chunkDir, 'chunk-1'));
+
+    const response = await api()
+      .post('/api/upload/complete')
+      .send({ fileId })
+      .expect(422);
+    expect(response.body.missingChunks).toEqual([0]);
+  });
+
+  test('Chunks cut off after a whole record should be detected', async () => {
+    const fileId = await uploadChunks();
+
+    // The first record of chunk 0 holds 64KB of its 100000 bytes
+    const chunkPath = path.join(process.env.UPLOAD_DIR || './uploads', fileId, 'chunk-0');
+    fs.truncateSync(chunkPath, 16 + 65536 + 16);
+
+    const response = await api()
+      .post('/api/upload/complete')
+      .send({ fileId })
+      .expect(422);
+    expect(response.body.missingChunks).toEqual([0]);
+  });
+
+  test('Key rotation should re-wrap data keys without touching contents', async () => {
+    const fileId = await uploadChunks();
+    await complete(fileId);
+
+    const { k1 } = JSON.parse(fs.readFileSync(process.env.ENCRYPTION_KEY_FILE, 'utf8')).keys;
+    writeKeyFile('k2', { k1, k2: crypto.randomBytes(32).toString('base64') });
+
+    const result = await encryptionService.rotateDataKeys();
+    expect(result.uploads).toBeGreaterThan(0);
+
+    const record = await FileUpload.findOne({ fileId }).lean();
+    expect(record.encryption.keyId).toBe('k2');
+
+    // The old master key is no longer needed
+    writeKeyFile('k2', { k2: JSON.parse(fs.readFileSync(process.env.ENCRYPTION_KEY_FILE, 'utf8')).keys.k2 });
+    const download = await api()
+      .get(`/api/download/${fileId}`)
+      .expect(200);
+    expect(Buffer.compare(Buffer.from(download.body), content)).toBe(0);
+  });
+});
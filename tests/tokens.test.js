@@ -0,0 +1,126 @@
+const request = require('supertest');
+const { app, api, as, upload, useTestDatabase } = require('./helpers');
+
+useTestDatabase();
+
+describe('Upload Tokens', () => {
+  const FileUpload = require('../models/FileUpload');
+  const UploadToken = require('../models/UploadToken');
+
+  const issueToken = (body = {}) => api()
+    .post('/api/upload-tokens')
+    .send(body)
+    .expect(201)
+    .then(response => response.body.data);
+
+  const withToken = (token) => request.agent(app).set('X-Upload-Token', token);
+
+  const uploadWith = (token, text, fields = {}) =>
+    upload(text, { fileName: `${text}.txt`, mimeType: 'text/plain', ...fields }, () => withToken(token))
+      .then(({ fileId }) => fileId);
+
+  test('Should upload into the token\'s folder on behalf of its creator', async () => {
+    const folder = await api().post('/api/folders').send({ name: 'Partner drop' }).expect(201);
+    const { folderId } = folder.body.data;
+    const issued = await issueToken({ name: 'Acme', folderId });
+
+    expect(issued.maxUses).toBe(1);
+    expect(issued.url).toMatch(new RegExp(`/drop#token=${issued.token}$`));
+
+    const info = await withToken(issued.token).get('/api/upload/token').expect(200);
+    expect(info.body.data).toMatchObject({ name: 'Acme', remainingUses: 1 });
+    expect(info.body.data.createdBy).toBeUndefined();
+
+    const fileId = await uploadWith(issued.token, 'partner-data');
+    const record = await FileUpload.findByFileId(fileId);
+    expect(record.ownerId).toBe('test-user');
+    expect(record.folderId).toBe(folderId);
+    expect(record.uploadTokenId).toBe(issued.tokenId);
+
+    await withToken(issued.token).get(`/api/upload/status/${fileId}`).expect(200);
+
+    const download = await api().get(`/api/download/${fileId}`).expect(200);
+    expect(Buffer.from(download.body).toString()).toBe('partner-data');
+
+    const tokens = await api().get('/api/upload-tokens').expect(200);
+    expect(tokens.body.data.tokens[0].useCount).toBe(1);
+    expect(tokens.body.data.tokens[0].uses).toEqual([
+      expect.objectContaining({ fileId, fileName: 'partner-data.txt', fileSize: 12 })
+    ]);
+  });
+
+  test('Should only be accepted by the upload routes', async () => {
+    const { token } = await issueToken({ maxUses: 2 });
+    const fileId = await uploadWith(token, 'scoped');
+
+    await withToken(token).get('/api/files').expect(401);
+    await withToken(token).get(`/api/download/${fileId}`).expect(401);
+    await withToken(token).post('/api/upload-tokens').send({}).expect(401);
+
+    // Other users' uploads stay out of reach
+    const other = await api()
+      .post('/api/upload/init')
+      .send({ fileName: 'internal.txt', fileSize: 4, totalChunks: 1 })
+      .expect(201);
+    await withToken(token).get(`/api/upload/status/${other.body.data.fileId}`).expect(403);
+    await withToken(token).post('/api/upload/cancel').send({ fileId: other.body.data.fileId }).expect(403);
+  });
+
+  test('Should enforce size, type and use limits', async () => {
+    const { token, tokenId } = await issueToken({ maxUses: 1, maxFileSize: 10, allowedMimeTypes: ['text/*'] });
+
+    const tooBig = await withToken(token)
+      .post('/api/upload/init')
+      .send({ fileName: 'big.txt', fileSize: 11, mimeType: 'text/plain', totalChunks: 1 })
+      .expect(400);
+    expect(tooBig.body.error).toMatch(/limit of 10 bytes/);
+
+    await withToken(token)
+      .post('/api/upload/init')
+      .send({ fileName: 'image.png', fileSize: 5, mimeType: 'image/png', totalChunks: 1 })
+      .expect(400);
+
+    // Rejected uploads do not use the token up
+    expect((await UploadToken.findByTokenId(tokenId)).useCount).toBe(0);
+
+    await uploadWith(token, 'ok');
+    const usedUp = await withToken(token)
+      .post('/api/upload/init')
+      .send({ fileName: 'again.txt', fileSize: 2, mimeType: 'text/plain', totalChunks: 1 })
+      .expect(410);
+    expect(usedUp.body.type).toBe('gone');
+  });
+
+  test('Should stop expired and revoked tokens', async () => {
+    const expiring = await issueToken({ maxUses: 5 });
+    await UploadToken.updateOne({ tokenId: expiring.tokenId }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+    await withToken(expiring.token)
+      .post('/api/upload/init')
+      .send({ fileName: 'late.txt', fileSize: 4, totalChunks: 1 })
+      .expect(410);
+
+    const revoked = await issueToken({ maxUses: 5 });
+    const init = await withToken(revoked.token)
+      .post('/api/upload/init')
+      .send({ fileName: 'cut-off.txt', fileSize: 4, totalChunks: 1 })
+      .expect(201);
+
+    const asBob = as('bob');
+    await asBob.delete(`/api/upload-tokens/${revoked.tokenId}`).expect(403);
+    await api().delete(`/api/upload-tokens/${revoked.tokenId}`).expect(200);
+
+    const rejected = await withToken(revoked.token)
+      .post('/api/upload/chunk')
+      .set('x-file-id', init.body.data.fileId)
+      .set('x-chunk-index', '0')
+      .set('x-total-chunks', '1')
+      .attach('chunk', Buffer.from('late'), 'blob')
+      .expect(401);
+    expect(rejected.body.error).toBe('Upload token has been revoked');
+  });
+
+  test('Should serve the drop box page', async () => {
+    const response = await request(app).get('/drop').expect(200);
+    expect(response.text).toContain('X-Upload-Token');
+  });
+});
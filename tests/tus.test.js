@@ -0,0 +1,81 @@
+const { api, useTestDatabase } = require('./helpers');
+
+useTestDatabase();
+
+describe('tus Resumable Uploads', () => {
+  const encode = (value) => Buffer.from(value).toString('base64');
+
+  const createTusUpload = async (length) => {
+    const response = await api()
+      .post('/api/tus')
+      .set('Tus-Resumable', '1.0.0')
+      .set('Upload-Length', String(length))
+      .set('Upload-Metadata', `filename ${encode('tus.txt')},filetype ${encode('text/plain')}`)
+      .expect(201);
+
+    expect(response.headers['tus-resumable']).toBe('1.0.0');
+    return response.headers.location.split('/').pop();
+  };
+
+  test('OPTIONS /api/tus should advertise supported extensions', async () => {
+    const response = await api()
+      .options('/api/tus')
+      .expect(204);
+
+    expect(response.headers['tus-version']).toBe('1.0.0');
+    expect(response.headers['tus-extension']).toContain('creation');
+    expect(response.headers['tus-extension']).toContain('checksum');
+  });
+
+  test('Requests without Tus-Resumable should return 412', async () => {
+    await api()
+      .post('/api/tus')
+      .set('Upload-Length', '10')
+      .expect(412);
+  });
+
+  test('HEAD should report the offset after a partial PATCH', async () => {
+    const fileId = await createTusUpload(10);
+
+    await api()
+      .patch(`/api/tus/${fileId}`)
+      .set('Tus-Resumable', '1.0.0')
+      .set('Upload-Offset', '0')
+      .set('Content-Type', 'application/offset+octet-stream')
+      .send(Buffer.from('hello'))
+      .expect(204);
+
+    const response = await api()
+      .head(`/api/tus/${fileId}`)
+      .set('Tus-Resumable', '1.0.0')
+      .expect(200);
+
+    expect(response.headers['upload-offset']).toBe('5');
+    expect(response.headers['upload-length']).toBe('10');
+  });
+
+  test('PATCH with a stale Upload-Offset should return 409', async () => {
+    const fileId = await createTusUpload(10);
+
+    await api()
+      .patch(`/api/tus/${fileId}`)
+      .set('Tus-Resumable', '1.0.0')
+      .set('Upload-Offset', '3')
+      .set('Content-Type', 'application/offset+octet-stream')
+      .send(Buffer.from('hello'))
+      .expect(409);
+  });
+
+  test('PATCH with a wrong Upload-Checksum should return 460', async () => {
+    const fileId = await createTusUpload(5);
+
+    await api()
+      .patch(`/api/tus/${fileId}`)
+      .set('Tus-Resumable', '1.0.0')
+      .set('Upload-Offset', '0')
+      .set('Upload-Checksum', `sha1 ${encode('not-the-digest')}`)
+      .set('Content-Type', 'application/offset+octet-stream')
+      .send(Buffer.from('hello'))
+      .expect(460);
+  });
+});
@@ -0,0 +1,101 @@
+const { api, upload, useTestDatabase } = require('./helpers');
+
+useTestDatabase();
+
+describe('File Versioning', () => {
+  const FileUpload = require('../models/FileUpload');
+
+  const uploadFile = (text, parentFileId) =>
+    upload(text, { fileName: 'report.csv', parentFileId }).then(({ fileId }) => fileId);
+
+  const download = async (fileId, version) => {
+    const response = await api()
+      .get(`/api/download/${fileId}`)
+      .query(version !== undefined ? { version } : {})
+      .expect(200);
+    return Buffer.from(response.body).toString();
+  };
+
+  test('A new version should replace the file in the listing once complete', async () => {
+    const first = await uploadFile('a,b\n1,2\n');
+
+    const init = await api()
+      .post('/api/upload/init')
+      .send({ fileName: 'report.csv', fileSize: 12, totalChunks: 1, parentFileId: first })
+      .expect(201);
+    expect(init.body.data.logicalFileId).toBe(first);
+    expect(init.body.data.version).toBe(2);
+
+    // Still uploading: the first version stays current
+    let files = await api().get('/api/files').expect(200);
+    expect(files.body.data.files.map(f => f.fileId)).toEqual([first]);
+
+    const second = await uploadFile('a,b\n1,2\n3,4\n', first);
+    files = await api().get('/api/files').expect(200);
+    expect(files.body.data.files.map(f => f.fileId)).toEqual([second]);
+    expect(files.body.data.files[0].version).toBe(3);
+
+    const all = await api().get('/api/files?allVersions=true').expect(200);
+    expect(all.body.data.pagination.total).toBe(3);
+
+    const versions = await api().get(`/api/files/${first}/versions`).expect(200);
+    expect(versions.body.data.currentVersion).toBe(3);
+    expect(versions.body.data.versions.map(v => v.version)).toEqual([3, 2, 1]);
+
+    expect(await download(first)).toBe('a,b\n1,2\n');
+    expect(await download(first, 'current')).toBe('a,b\n1,2\n3,4\n');
+    expect(await download(second, 1)).toBe('a,b\n1,2\n');
+  });
+
+  test('An older version should be promotable to current', async () => {
+    const first = await uploadFile('old');
+    await uploadFile('new', first);
+
+    await api()
+      .post(`/api/files/${first}/promote`)
+      .expect(200);
+
+    const files = await api().get('/api/files').expect(200);
+    expect(files.body.data.files.map(f => f.fileId)).toEqual([first]);
+    expect(await download(first, 'current')).toBe('old');
+  });
+
+  test('Deleting the current version should fall back to the previous one', async () => {
+    const first = await uploadFile('v1');
+    const second = await uploadFile('v2', first);
+
+    await api().delete(`/api/files/${second}`).expect(200);
+    expect(await download(first, 'current')).toBe('v1');
+
+    // Restoring it keeps the fallback current until it is promoted again
+    await api().post(`/api/files/${second}/restore`).expect(200);
+    expect(await download(first, 'current')).toBe('v1');
+  });
+
+  test('Old versions should be prunable by count', async () => {
+    const first = await uploadFile('v1');
+    const second = await uploadFile('v2', first);
+    const third = await uploadFile('v3', first);
+
+    await api()
+      .post(`/api/files/${third}/versions/prune`)
+      .send({})
+      .expect(400);
+
+    const response = await api()
+      .post(`/api/files/${third}/versions/prune`)
+      .send({ keep: 2 })
+      .expect(200);
+    expect(response.body.data.pruned).toEqual([first]);
+
+    expect(await FileUpload.exists({ fileId: first })).toBeNull();
+    expect(await FileUpload.exists({ fileId: second })).toBeTruthy();
+  });
+
+  test('A new version of an unknown file should be rejected', async () => {
+    await api()
+      .post('/api/upload/init')
+      .send({ fileName: 'report.csv', fileSize: 10, totalChunks: 1, parentFileId: 'a'.repeat(32) })
+      .expect(404);
+  });
+});
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+const SUPPORTED_ALGORITHMS = ['sha256', 'sha1', 'md5', 'crc32c'];
+const DIGEST_BYTES = { sha256: 32, sha1: 20, md5: 16, crc32c: 4 };
+
+// CRC-32C (Castagnoli) lookup table, reflected polynomial 0x82F63B78
+const CRC32C_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0x82f63b78 : crc >>> 1;
+    }
+    table[i] = crc >>> 0;
+  }
+  return table;
+})();
+
+// Minimal hash-like wrapper so CRC32C can be used like crypto.createHash()
+class Crc32c {
+  constructor() {
+    this.crc = 0xffffffff;
+  }
+
+  update(data) {
+    let crc = this.crc;
+    for (let i = 0; i < data.length; i++) {
+      crc = CRC32C_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    this.crc = crc >>> 0;
+    return this;
+  }
+
+  digest(encoding) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE((this.crc ^ 0xffffffff) >>> 0);
+    return encoding ? buffer.toString(encoding) : buffer;
+  }
+}
+
+const createChecksum = (algorithm) => {
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported checksum algorithm: ${algorithm}`);
+  }
+  return algorithm === 'crc32c' ? new Crc32c() : crypto.createHash(algorithm);
+};
+
+const computeChecksum = (algorithm, data) => createChecksum(algorithm).update(data).digest('hex');
+
+// Parse "<algorithm>=<digest>" (or "<algorithm>:<digest>") with a hex or base64
+// digest into the normalized "<algorithm>:<hex>" form, or null if malformed
+const parseChecksum = (value) => {
+  const match = /^([a-z0-9]+)[=:](.+)$/i.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const algorithm = match[1].toLowerCase();
+  const digest = match[2].trim();
+  const expectedBytes = DIGEST_BYTES[algorithm];
+  if (!expectedBytes) return null;
+
+  let hex = null;
+  if (/^[a-f0-9]+$/i.test(digest) && digest.length === expectedBytes * 2) {
+    hex = digest.toLowerCase();
+  } else if (/^[A-Za-z0-9+/]+={0,2}$/.test(digest)) {
+    const decoded = Buffer.from(digest, 'base64');
+    if (decoded.length === expectedBytes) hex = decoded.toString('hex');
+  }
+
+  return hex ? `${algorithm}:${hex}` : null;
+};
+
+// Check data against a normalized "<algorithm>:<hex>" checksum
+const verifyChecksum = (checksum, data) => {
+  const [algorithm, hex] = checksum.split(':');
+  return computeChecksum(algorithm, data) === hex;
+};
+
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  createChecksum,
+  computeChecksum,
+  parseChecksum,
+  verifyChecksum
+};
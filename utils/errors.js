@@ -40,6 +40,20 @@ class ForbiddenError extends AppError {
   }
 }
 
+// Bearer tokens that fail verification; errorHandler answers both with a 401
+class JsonWebTokenError extends UnauthorizedError {
+  constructor(message = 'Invalid token') {
+    super(message);
+  }
+}
+
+class TokenExpiredError extends JsonWebTokenError {
+  constructor(expiredAt) {
+    super('Token expired');
+    this.expiredAt = expiredAt;
+  }
+}
+
 class ConflictError extends AppError {
   constructor(message = 'Resource conflict') {
     super(message, 409);
@@ -47,6 +61,25 @@ class ConflictError extends AppError {
   }
 }
 
+// Something that existed but cannot be used any more, such as an expired or
+// used-up download link
+class GoneError extends AppError {
+  constructor(message = 'Resource no longer available') {
+    super(message, 410);
+    this.type = 'gone';
+  }
+}
+
+// A file that retention or a legal hold protects from deletion and expiry
+class RetentionError extends AppError {
+  constructor(message, { legalHold = false, retainUntil = null } = {}) {
+    super(message, 409);
+    this.type = 'retention';
+    this.legalHold = legalHold;
+    this.retainUntil = retainUntil;
+  }
+}
+
 class TooManyRequestsError extends AppError {
   constructor(message = 'Too many requests', retryAfter = null) {
     super(message, 429);
@@ -64,6 +97,14 @@ class UploadError extends AppError {
   }
 }
 
+class ChecksumMismatchError extends AppError {
+  constructor(message = 'Checksum mismatch', statusCode = 460) {
+    super(message, statusCode);
+    this.type = 'checksum_mismatch';
+    this.retryable = true;
+  }
+}
+
 class DatabaseError extends AppError {
   constructor(message, operation = null) {
     super(message, 500);
@@ -228,6 +269,22 @@ const errorHandler = (err, req, res, next) => {
     response.retryAfter = error.retryAfter;
   }
 
+  // Tell clients the same request may succeed if re-sent (e.g. corrupted chunk)
+  if (error.retryable) {
+    response.retryable = true;
+  }
+
+  // Why a file cannot be deleted yet
+  if (error.type === 'retention') {
+    response.legalHold = error.legalHold;
+    response.retainUntil = error.retainUntil;
+  }
+
+  // Chunks the client has to (re-)send before the upload can complete
+  if (error.details && Array.isArray(error.details.missingChunks)) {
+    response.missingChunks = error.details.missingChunks;
+  }
+
   res.status(error.statusCode || 500).json(response);
 };
 
@@ -285,9 +342,14 @@ module.exports = {
   NotFoundError,
   UnauthorizedError,
   ForbiddenError,
+  JsonWebTokenError,
+  TokenExpiredError,
   ConflictError,
+  GoneError,
+  RetentionError,
   TooManyRequestsError,
   UploadError,
+  ChecksumMismatchError,
   DatabaseError,
   FileSystemError,
   NetworkError,
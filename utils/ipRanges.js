@@ -0,0 +1,23 @@
+const net = require('net');
+
+// Whether `ip` is one of `ranges`, a list of IP addresses and CIDR ranges
+const matchesIpRanges = (ranges, ip) => {
+  if (!ip || !net.isIP(ip)) return false;
+
+  // BlockList also matches IPv4-mapped IPv6 addresses against IPv4 ranges
+  const list = new net.BlockList();
+  for (const entry of ranges) {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (prefix !== undefined) {
+      list.addSubnet(address, parseInt(prefix, 10), type);
+    } else {
+      list.addAddress(address, type);
+    }
+  }
+  return list.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+};
+
+module.exports = {
+  matchesIpRanges
+};
@@ -0,0 +1,11 @@
+// Match a MIME type against an exact type or a "type/*" wildcard
+const matchesMimeType = (pattern, mimeType = '') => {
+  if (pattern.endsWith('/*')) {
+    return mimeType.startsWith(pattern.slice(0, -1));
+  }
+  return pattern === mimeType;
+};
+
+module.exports = {
+  matchesMimeType
+};
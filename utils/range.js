@@ -0,0 +1,25 @@
+// The byte range a "Range: bytes=..." header asks for in a file of `size`
+// bytes, as inclusive { start, end }. Returns null when there is no range or
+// it is not one we serve (the whole file is sent instead), and false when it
+// lies entirely past the end of the file.
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+
+  // "bytes=-N" is the last N bytes
+  if (!match[1]) {
+    const length = parseInt(match[2], 10);
+    return length > 0 && size > 0 ? { start: Math.max(0, size - length), end: size - 1 } : false;
+  }
+
+  const start = parseInt(match[1], 10);
+  const end = match[2] ? parseInt(match[2], 10) : size - 1;
+  if (match[2] && end < start) return null;
+  if (start >= size) return false;
+
+  return { start, end: Math.min(end, size - 1) };
+};
+
+module.exports = {
+  parseRange
+};
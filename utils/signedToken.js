@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+// "<id>.<expiry in seconds>.<HMAC>" tokens, used by download links and
+// upload tokens. The purpose is signed along with the payload, so one kind
+// of token cannot pass for another, or for a JWT, when they share a secret.
+const sign = (purpose, secret, payload) => crypto
+  .createHmac('sha256', secret)
+  .update(`${purpose}.${payload}`)
+  .digest('base64url');
+
+const createSignedToken = (purpose, secret, id, expiresAt) => {
+  const payload = `${id}.${Math.floor(expiresAt.getTime() / 1000)}`;
+  return `${payload}.${sign(purpose, secret, payload)}`;
+};
+
+// { id, expiresAt } of a token whose signature checks out, otherwise null.
+// Expiry is left to the caller.
+const verifySignedToken = (purpose, secret, token) => {
+  const [id, expires, signature] = String(token).split('.');
+  if (!id || !/^\d+$/.test(expires || '')) return null;
+
+  const expected = Buffer.from(sign(purpose, secret, `${id}.${expires}`));
+  const given = Buffer.from(signature || '');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return null;
+  }
+
+  return { id, expiresAt: new Date(parseInt(expires, 10) * 1000) };
+};
+
+module.exports = {
+  createSignedToken,
+  verifySignedToken
+};
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+
+// AWS Signature Version 4, as S3 checks it on requests signed with an
+// Authorization header. Paths and query strings are re-encoded the way the
+// AWS SDKs encode them before signing.
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// RFC 3986 percent-encoding
+const encode = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+// Credential scope, signed headers and signature of a SigV4 Authorization
+// header, or null when it is not one
+const parseAuthorization = (header) => {
+  const match = new RegExp(`^${ALGORITHM}\\s+(.+)$`).exec(header || '');
+  if (!match) return null;
+
+  const fields = {};
+  for (const part of match[1].split(/\s*,\s*/)) {
+    const separator = part.indexOf('=');
+    fields[part.slice(0, separator)] = part.slice(separator + 1);
+  }
+
+  const [accessKeyId, date, region, service, terminator] = (fields.Credential || '').split('/');
+  if (!accessKeyId || !/^\d{8}$/.test(date || '') || !region || !service || terminator !== 'aws4_request' ||
+      !fields.SignedHeaders || !/^[a-f0-9]{64}$/.test(fields.Signature || '')) {
+    return null;
+  }
+
+  return {
+    accessKeyId,
+    date,
+    region,
+    service,
+    signedHeaders: fields.SignedHeaders.split(';'),
+    signature: fields.Signature
+  };
+};
+
+const canonicalRequest = ({ method, path, query, headers }, signedHeaders, payloadHash) => {
+  const canonicalPath = path.split('/').map((segment) => encode(decode(segment))).join('/');
+  const canonicalQuery = (query || '').split('&')
+    .filter(Boolean)
+    .map((pair) => {
+      const separator = pair.indexOf('=');
+      const name = separator === -1 ? pair : pair.slice(0, separator);
+      const value = separator === -1 ? '' : pair.slice(separator + 1);
+      return [encode(decode(name)), encode(decode(value))];
+    })
+    .sort(([nameA, valueA], [nameB, valueB]) => compare(nameA, nameB) || compare(valueA, valueB))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+  const canonicalHeaders = signedHeaders
+    .map((name) => `${name}:${String(headers[name] ?? '').trim().replace(/\s+/g, ' ')}\n`)
+    .join('');
+
+  return [method, canonicalPath, canonicalQuery, canonicalHeaders, signedHeaders.join(';'), payloadHash].join('\n');
+};
+
+// Hex signature of a request ({ method, path, query, headers } with
+// lower-case header names) for the parsed credentials
+const signRequest = (request, secret, { date, region, service, signedHeaders }, amzDate, payloadHash) => {
+  const scope = `${date}/${region}/${service}/aws4_request`;
+  const stringToSign = [
+    ALGORITHM,
+    amzDate,
+    scope,
+    sha256Hex(canonicalRequest(request, signedHeaders, payloadHash))
+  ].join('\n');
+
+  const signingKey = [date, region, service, 'aws4_request'].reduce(hmac, `AWS4${secret}`);
+  return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+};
+
+// Time of an X-Amz-Date header (YYYYMMDD'T'HHMMSS'Z'), or null
+const parseAmzDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value || '');
+  return match ? new Date(`${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}Z`) : null;
+};
+
+module.exports = {
+  parseAuthorization,
+  signRequest,
+  parseAmzDate,
+  sha256Hex
+};